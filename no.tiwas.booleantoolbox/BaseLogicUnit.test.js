@@ -0,0 +1,408 @@
+/**
+ * Unit Tests for BaseLogicUnit formulas
+ *
+ * Run with: npm test
+ */
+
+// The Homey SDK is only available on the Homey itself
+jest.mock('homey', () => ({ Device: class {}, Driver: class {}, App: class {} }), { virtual: true });
+
+const BaseLogicUnit = require('./lib/BaseLogicUnit');
+const BaseLogicDriver = require('./lib/BaseLogicDriver');
+const LogicUnitDevice = require('./drivers/logic-unit/device');
+const FormulaCache = require('./lib/FormulaCache');
+
+/**
+ * Logic Unit instance without the Homey runtime (onInit is not called)
+ */
+function createUnit(formulas, inputs = ['a', 'b']) {
+  const unit = Object.create(BaseLogicUnit.prototype);
+  unit.logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), flow: jest.fn(), formula: jest.fn() };
+  unit.formulaCache = new FormulaCache();
+  unit.availableInputs = inputs;
+  unit.formulas = formulas;
+  unit.homey = { app: null };
+  return unit;
+}
+
+/**
+ * Homey flow manager that records the device trigger cards that were fired
+ */
+function createFlow() {
+  const fired = [];
+  return {
+    fired,
+    getDeviceTriggerCard: jest.fn((id) => ({
+      trigger: jest.fn(async (device, tokens, state) => { fired.push({ id, tokens, state }); })
+    }))
+  };
+}
+
+/**
+ * Register the shared Logic Unit flow cards on a driver without the Homey runtime
+ * @returns {{listeners: Object, autocompletes: Object}} Run and autocomplete listeners by card id
+ */
+async function registerDriverCards() {
+  const listeners = {};
+  const autocompletes = {};
+  const card = (id) => ({
+    id,
+    registerRunListener: jest.fn((listener) => { listeners[id] = listener; }),
+    registerArgumentAutocompleteListener: jest.fn((arg, listener) => { autocompletes[`${id}.${arg}`] = listener; })
+  });
+  const driver = Object.create(BaseLogicDriver.prototype);
+  driver.logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), flow: jest.fn() };
+  driver.homey = {
+    flow: { getTriggerCard: card, getConditionCard: card, getActionCard: card },
+    __: (key) => key
+  };
+  await driver.registerFlowCards();
+  return { listeners, autocompletes };
+}
+
+/**
+ * Latch/flip-flop formula with its type fields, as initializeFormulas builds it
+ */
+function createStatefulFormula(unit, data) {
+  return {
+    id: 'f1',
+    name: 'Formula 1',
+    enabled: true,
+    result: false,
+    inputStates: { a: 'undefined', b: 'undefined', c: 'undefined' },
+    ...unit.parseFormulaType(data)
+  };
+}
+
+describe('BaseLogicUnit', () => {
+  describe('Formula dependencies', () => {
+    test('should find referenced sibling formulas', () => {
+      const unit = createUnit([
+        { id: 'f1', expression: 'A AND B' },
+        { id: 'f2', expression: 'F1 OR A' },
+        { id: 'f3', expression: 'A AND (' }
+      ]);
+      expect(unit.getFormulaDependencies(unit.formulas[0])).toEqual([]);
+      expect(unit.getFormulaDependencies(unit.formulas[1])).toEqual(['f1']);
+      expect(unit.getFormulaDependencies(unit.formulas[2])).toEqual([]);
+    });
+
+    test('should not treat input names or invalid ids as references', () => {
+      const unit = createUnit([
+        { id: 'a', expression: 'B' },
+        { id: 'my formula', expression: 'A' },
+        { id: 'f3', expression: 'A AND B' }
+      ]);
+      expect([...unit.getFormulaReferenceMap().keys()]).toEqual(['F3']);
+      expect(unit.getFormulaDependencies(unit.formulas[0])).toEqual([]);
+    });
+
+    test('should order formulas so dependencies come first', () => {
+      const unit = createUnit([
+        { id: 'f1', expression: 'F2 AND F3' },
+        { id: 'f2', expression: 'F3 OR A' },
+        { id: 'f3', expression: 'A AND B' }
+      ]);
+      unit.updateFormulaDependencies();
+      expect(unit.formulaCycle).toBe(null);
+      expect(unit.formulaOrder).toEqual(['f3', 'f2', 'f1']);
+      expect(unit.getFormulasInDependencyOrder().map((f) => f.id)).toEqual(['f3', 'f2', 'f1']);
+      expect(unit.logger.warn).not.toHaveBeenCalled();
+    });
+
+    test('should detect a circular reference', () => {
+      const unit = createUnit([
+        { id: 'f1', expression: 'F2 AND A' },
+        { id: 'f2', expression: 'F3 OR B' },
+        { id: 'f3', expression: 'NOT F1' }
+      ]);
+      unit.updateFormulaDependencies();
+      expect(unit.formulaCycle).toEqual(['f1', 'f2', 'f3', 'f1']);
+      // Settings order is kept when there is a cycle
+      expect(unit.formulaOrder).toEqual(['f1', 'f2', 'f3']);
+      expect(unit.logger.warn).toHaveBeenCalledWith('formula.error_circular_reference', {
+        cycle: 'f1 -> f2 -> f3 -> f1'
+      });
+    });
+
+    test('should detect a formula referring to itself', () => {
+      const unit = createUnit([
+        { id: 'f1', expression: 'A' },
+        { id: 'f2', expression: 'F2 OR B' }
+      ]);
+      unit.updateFormulaDependencies();
+      expect(unit.formulaCycle).toEqual(['f2', 'f2']);
+    });
+
+    test('should clear the cycle when it is fixed', () => {
+      const unit = createUnit([
+        { id: 'f1', expression: 'F2' },
+        { id: 'f2', expression: 'F1' }
+      ]);
+      unit.updateFormulaDependencies();
+      expect(unit.formulaCycle).not.toBe(null);
+
+      unit.formulas[1].expression = 'A';
+      unit.updateFormulaDependencies();
+      expect(unit.formulaCycle).toBe(null);
+      expect(unit.formulaOrder).toEqual(['f2', 'f1']);
+    });
+  });
+
+  describe('Named inputs', () => {
+    let unit;
+
+    const createNamedUnit = (inputNames, UnitClass = BaseLogicUnit) => {
+      const named = Object.create(UnitClass.prototype);
+      Object.assign(named, createUnit([], []));
+      named.homey.__ = (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key);
+      named.getName = () => 'Named unit';
+      named.declaredInputs = named.parseInputNames(inputNames).names;
+      named.availableInputs = named.getAvailableInputIds();
+      return named;
+    };
+
+    beforeEach(() => {
+      unit = createNamedUnit('door_open, alarm_armed');
+    });
+
+    test('should parse the declared input names', () => {
+      expect(unit.parseInputNames('Door_Open; alarm_armed  zone2')).toEqual({
+        names: ['door_open', 'alarm_armed', 'zone2'],
+        error: null
+      });
+      expect(unit.parseInputNames('  ')).toEqual({ names: [], error: null });
+      expect(unit.parseInputNames('2nd_door').error).toMatch('settings.input_name_invalid');
+      expect(unit.parseInputNames('door, and').error).toMatch('settings.input_name_reserved');
+      expect(unit.parseInputNames('door, DOOR').error).toMatch('settings.input_name_duplicate');
+      const tooMany = Array.from({ length: BaseLogicUnit.MAX_NAMED_INPUTS + 1 }, (_, i) => `in${i}`);
+      expect(unit.parseInputNames(tooMany.join(',')).error).toMatch('settings.input_names_too_many');
+    });
+
+    test('should use the declared names instead of A-J', () => {
+      expect(unit.hasNamedInputs()).toBe(true);
+      expect(unit.getAvailableInputIds()).toEqual(['door_open', 'alarm_armed']);
+      expect(unit.getInputOptions()).toEqual([
+        { id: 'door_open', name: 'door_open' },
+        { id: 'alarm_armed', name: 'alarm_armed' }
+      ]);
+
+      const letters = createNamedUnit('');
+      letters.numInputs = 3;
+      expect(letters.getAvailableInputIds()).toEqual(['a', 'b', 'c']);
+      expect(letters.getInputDisplayName('b')).toBe('B');
+    });
+
+    test('should offer the declared names in the set_input_lu autocomplete', async () => {
+      const { autocompletes } = await registerDriverCards();
+      const device = createNamedUnit('door_open, alarm_armed, motion', LogicUnitDevice);
+      device.formulas = [{ id: 'f1', name: 'Alarm', expression: 'door_open AND alarm_armed' }];
+
+      expect(await autocompletes['set_input_lu.input']('', { device })).toEqual([
+        { id: 'door_open', name: 'door_open' },
+        { id: 'alarm_armed', name: 'alarm_armed' }
+      ]);
+      expect(await autocompletes['set_input_lu.input']('alarm', { device })).toEqual([
+        { id: 'alarm_armed', name: 'alarm_armed' }
+      ]);
+    });
+
+    test('should match set_all_inputs_lu JSON keys to declared names', async () => {
+      unit.formulas = [{ id: 'f1', enabled: true }];
+      unit.setInputForFormula = jest.fn(async () => {});
+
+      const values = JSON.stringify({ DOOR_OPEN: true, alarm_armed: 'false', a: true });
+      expect(await unit.setAllInputsFromFlow({ values })).toBe(true);
+      expect(unit.setInputForFormula.mock.calls).toEqual([
+        ['f1', 'door_open', true],
+        ['f1', 'alarm_armed', false]
+      ]);
+      expect(unit.logger.warn).toHaveBeenCalledWith(
+        "setAllInputsFromFlow: JSON contains invalid input key 'a' for this device."
+      );
+    });
+
+    test('should validate expressions against the declared names', () => {
+      expect(unit.validateExpression('door_open AND NOT alarm_armed')).toEqual({ valid: true });
+      expect(unit.validateExpression('DOOR_OPEN OR Alarm_Armed')).toEqual({ valid: true });
+
+      const unknown = unit.validateExpression('door_open AND window_open');
+      expect(unknown.valid).toBe(false);
+      expect(unknown.details).toMatchObject({ code: 'UNKNOWN_INPUT' });
+
+      // Letters are not inputs once names are declared
+      expect(unit.validateExpression('A AND door_open').valid).toBe(false);
+    });
+  });
+
+  describe('Formula changed triggers', () => {
+    test('should fire formula_changed_to_lu and the deprecated card', async () => {
+      const unit = createUnit([]);
+      unit.homey.flow = createFlow();
+      unit.getName = () => 'Alarm unit';
+
+      await unit.triggerFormulaChanged({ id: 'f2', name: 'Armed' }, true);
+      await unit.triggerFormulaChanged({ id: 'f2', name: 'Armed' }, false);
+
+      expect(unit.homey.flow.fired).toEqual([
+        {
+          id: 'formula_changed_to_lu',
+          tokens: { device_name: 'Alarm unit', formula_name: 'Armed', result: true },
+          state: { formulaId: 'f2', result: true }
+        },
+        {
+          id: 'formula_changed_to_true_lu_deprecated',
+          tokens: { device_name: 'Alarm unit', formula_name: 'Armed', result: true },
+          state: { formulaId: 'f2', result: true }
+        },
+        {
+          id: 'formula_changed_to_lu',
+          tokens: { device_name: 'Alarm unit', formula_name: 'Armed', result: false },
+          state: { formulaId: 'f2', result: false }
+        },
+        {
+          id: 'formula_changed_to_false_lu_deprecated',
+          tokens: { device_name: 'Alarm unit', formula_name: 'Armed', result: false },
+          state: { formulaId: 'f2', result: false }
+        }
+      ]);
+      expect(unit.logger.error).not.toHaveBeenCalled();
+    });
+
+    test('should only run flows for the selected formula and result', async () => {
+      const { listeners } = await registerDriverCards();
+
+      const args = (formulaId, result) => ({
+        device: { driver: { id: 'logic-unit' } },
+        formula: { id: formulaId },
+        result
+      });
+      const state = { formulaId: 'f2', result: true };
+      expect(await listeners.formula_changed_to_lu(args('f2', 'true'), state)).toBe(true);
+      expect(await listeners.formula_changed_to_lu(args('f1', 'true'), state)).toBe(false);
+      expect(await listeners.formula_changed_to_lu(args('f2', 'false'), state)).toBe(false);
+      expect(await listeners.formula_changed_to_true_lu_deprecated(args('f2'), state)).toBe(true);
+      expect(await listeners.formula_changed_to_true_lu_deprecated(args('f1'), state)).toBe(false);
+      expect(await listeners.formula_changed_to_false_lu_deprecated(args('f2'), state)).toBe(false);
+    });
+
+    test('should fire when a Kleene formula is decided before all inputs are known', async () => {
+      const unit = createUnit([]);
+      unit.homey.flow = createFlow();
+      unit.getName = () => 'Alarm unit';
+      const formula = {
+        id: 'f1',
+        name: 'Formula 1',
+        expression: 'A OR B',
+        enabled: true,
+        result: null,
+        timedOut: false,
+        lastInputTime: Date.now(),
+        inputStates: { a: true, b: 'undefined' },
+        lockedInputs: {},
+        evaluation: 'kleene'
+      };
+      unit.formulas = [formula];
+
+      expect(await unit.evaluateFormula('f1')).toBe(true);
+      expect(unit.homey.flow.fired.map((f) => f.id)).toEqual([
+        'formula_changed_to_lu',
+        'formula_changed_to_true_lu_deprecated'
+      ]);
+    });
+  });
+
+  describe('Stateful formulas', () => {
+    let unit;
+    let formula;
+
+    const setup = (data) => {
+      unit = createUnit([], ['a', 'b', 'c']);
+      formula = createStatefulFormula(unit, data);
+      unit.formulas = [formula];
+      unit.saveFormulaStates = jest.fn();
+      unit.homey.flow = createFlow();
+      unit.getName = () => 'Latch unit';
+    };
+    // Results published through the formula_changed_to trigger
+    const changes = () => unit.homey.flow.fired
+      .filter((f) => f.id === 'formula_changed_to_lu')
+      .map((f) => f.state);
+    const set = async (inputs) => {
+      Object.assign(formula.inputStates, inputs);
+      return unit.evaluateStatefulFormula(formula);
+    };
+
+    test('SR latch should set, hold and reset', async () => {
+      setup({ type: 'sr_latch', set: 'A', reset: 'B' });
+      expect(await set({ a: true })).toBe(true);
+      expect(await set({ a: false })).toBe(true);
+      expect(await set({ a: 'undefined' })).toBe(true);
+      expect(await set({ b: true })).toBe(false);
+      expect(changes()).toEqual([{ formulaId: 'f1', result: true }, { formulaId: 'f1', result: false }]);
+      expect(unit.homey.flow.fired.map((f) => f.id)).toEqual([
+        'formula_changed_to_lu',
+        'formula_changed_to_true_lu_deprecated',
+        'formula_changed_to_lu',
+        'formula_changed_to_false_lu_deprecated'
+      ]);
+      expect(unit.saveFormulaStates).toHaveBeenCalledTimes(2);
+    });
+
+    test('SR latch should give reset priority by default', async () => {
+      setup({ type: 'sr_latch', set: 'A', reset: 'B' });
+      expect(await set({ a: true, b: true })).toBe(false);
+
+      setup({ type: 'sr_latch', set: 'A', reset: 'B', priority: 'set' });
+      expect(await set({ a: true, b: true })).toBe(true);
+    });
+
+    test('toggle should flip on rising edges only', async () => {
+      setup({ type: 'toggle', expression: 'A' });
+      // The first evaluation is never an edge
+      expect(await set({ a: true })).toBe(false);
+      expect(await set({ a: false })).toBe(false);
+      expect(await set({ a: true })).toBe(true);
+      expect(await set({ a: true })).toBe(true);
+      expect(await set({ a: false })).toBe(true);
+      expect(await set({ a: true })).toBe(false);
+      expect(changes().map((c) => c.result)).toEqual([true, false]);
+    });
+
+    test('JK flip-flop should set, reset and toggle on the clock edge', async () => {
+      setup({ type: 'jk', j: 'A', k: 'B', clock: 'C' });
+      await set({ a: false, b: false, c: false });
+      expect(await set({ a: true, b: false })).toBe(false); // no clock edge yet
+      expect(await set({ c: true })).toBe(true);
+      await set({ c: false });
+      expect(await set({ a: true, b: true, c: true })).toBe(false);
+      await set({ c: false });
+      expect(await set({ c: true })).toBe(true);
+      await set({ c: false });
+      expect(await set({ a: false, b: true, c: true })).toBe(false);
+      expect(changes().map((c) => c.result)).toEqual([true, false, true, false]);
+    });
+
+    test('JK flip-flop without clock should react to J/K edges', async () => {
+      setup({ type: 'jk', j: 'A', k: 'B' });
+      await set({ a: false, b: false });
+      expect(await set({ a: true })).toBe(true);
+      expect(await set({ b: true })).toBe(false);
+    });
+
+    test('should not trigger or save during the initial evaluation', async () => {
+      setup({ type: 'sr_latch', set: 'A', reset: 'B' });
+      formula.inputStates.a = true;
+      unit.updateFormulaDependencies();
+      await unit.evaluateAllFormulasInitial();
+
+      expect(formula.result).toBe(true);
+      expect(unit.isInitialEvaluation).toBe(false);
+      expect(unit.homey.flow.fired).toEqual([]);
+      expect(unit.saveFormulaStates).not.toHaveBeenCalled();
+
+      expect(await set({ a: false, b: true })).toBe(false);
+      expect(changes()).toEqual([{ formulaId: 'f1', result: false }]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for DeviceOutputRegistry
+ *
+ * Run with: npm test
+ */
+
+const DeviceOutputRegistry = require('./lib/DeviceOutputRegistry');
+
+function createDevice(name, outputs = {}) {
+  return {
+    name,
+    getName() { return this.name; },
+    getDeviceOutput: (formulaId) => (formulaId ? outputs[formulaId.toLowerCase()] : outputs.output)
+  };
+}
+
+describe('DeviceOutputRegistry', () => {
+  let registry;
+  let drivers;
+
+  beforeEach(() => {
+    DeviceOutputRegistry.instance = null;
+    drivers = {
+      'logic-unit-2': { id: 'logic-unit-2', devices: [] },
+      'logic-device': { id: 'logic-device', devices: [] },
+      'other': { id: 'other', devices: [createDevice('Other')] }
+    };
+    Object.values(drivers).forEach((driver) => {
+      driver.getDevices = jest.fn(() => driver.devices);
+    });
+    const homey = { drivers: { getDrivers: () => drivers } };
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    registry = new DeviceOutputRegistry(homey, logger);
+  });
+
+  test('should resolve references by name, ignoring case and whitespace', () => {
+    drivers['logic-unit-2'].devices.push(createDevice(' Hallway Presence ', { f1: true, output: false }));
+    expect(registry.resolveReference('@"HALLWAY PRESENCE".F1')).toMatchObject({ resolved: true, value: true });
+    expect(registry.getReferenceValues(['@"HALLWAY PRESENCE"', 'A'])).toEqual({ '@"HALLWAY PRESENCE"': false });
+    expect(registry.getUnresolvedReferences(['@"HALLWAY PRESENCE".F9', '@"OTHER"']))
+      .toEqual(['@"HALLWAY PRESENCE".F9', '@"OTHER"']);
+  });
+
+  test('should index names once until a device is added, renamed or removed', async () => {
+    const device = createDevice('Hall', { f1: true });
+    drivers['logic-device'].devices.push(device);
+
+    registry.resolveReference('@"HALL".F1');
+    registry.resolveReference('@"HALL".F1');
+    expect(drivers['logic-device'].getDevices).toHaveBeenCalledTimes(1);
+
+    await registry.notifyOutputChanged(device, 'output');
+    registry.resolveReference('@"HALL".F1');
+    expect(drivers['logic-device'].getDevices).toHaveBeenCalledTimes(1);
+
+    device.name = 'Hallway';
+    await registry.notifyOutputChanged(device, 'renamed');
+    expect(registry.resolveReference('@"HALL".F1').resolved).toBe(false);
+    expect(registry.resolveReference('@"HALLWAY".F1').resolved).toBe(true);
+    expect(drivers['logic-device'].getDevices).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report names shared by several devices as ambiguous', async () => {
+    const first = createDevice('Hall', { f1: true });
+    drivers['logic-unit-2'].devices.push(first);
+    drivers['logic-device'].devices.push(createDevice('hall', { f1: false }));
+
+    expect(registry.findDeviceByName('Hall')).toBe(null);
+    expect(registry.resolveReference('@"HALL".F1')).toMatchObject({ resolved: false, ambiguous: true });
+    expect(registry.getReferenceValues(['@"HALL".F1'])).toEqual({});
+    expect(registry.getAmbiguousReferences(['@"HALL".F1'])).toEqual(['@"HALL".F1']);
+    expect(registry.getUnresolvedReferences(['@"HALL".F1'])).toEqual([]);
+
+    drivers['logic-device'].devices = [];
+    await registry.notifyOutputChanged(first, 'removed');
+    expect(registry.findDeviceByName('Hall')).toBe(first);
+  });
+
+  test('should skip devices that are being deleted', () => {
+    const device = createDevice('Hall', { f1: true });
+    device._isDeleting = true;
+    drivers['logic-device'].devices.push(device);
+    expect(registry.findDeviceByName('Hall')).toBe(null);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for FormulaCache
+ *
+ * Run with: npm test
+ */
+
+const FormulaCache = require('./lib/FormulaCache');
+
+describe('FormulaCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    FormulaCache.instance = null;
+    cache = new FormulaCache();
+  });
+
+  test('should be a singleton', () => {
+    expect(new FormulaCache()).toBe(cache);
+  });
+
+  test('should compile each expression once', () => {
+    const first = cache.compile('A AND B');
+    const second = cache.compile('  A AND B ');
+    expect(second).toBe(first);
+    expect(first.variables).toEqual(['A', 'B']);
+    expect(cache.getStats()).toEqual({ size: 1, hits: 1, misses: 1 });
+  });
+
+  test('should flag temporal and clock expressions', () => {
+    expect(cache.compile('A FOR 5s').temporal).toBe(true);
+    expect(cache.compile('A AND NIGHT').clock).toBe(true);
+    expect(cache.compile('A OR B').temporal).toBe(false);
+  });
+
+  test('should not cache parse errors', () => {
+    expect(() => cache.compile('A AND (')).toThrow();
+    expect(cache.getStats().size).toBe(0);
+  });
+
+  test('should evict the least recently used entry', () => {
+    cache.MAX_ENTRIES = 2;
+    cache.compile('A');
+    cache.compile('B');
+    cache.compile('A'); // A is now the most recently used
+    cache.compile('C');
+    expect([...cache.entries.keys()]).toEqual(['A', 'C']);
+  });
+
+  test('should recompile after invalidate', () => {
+    const first = cache.compile('A OR B');
+    cache.invalidate(['A OR B', '']);
+    expect(cache.compile('A OR B')).not.toBe(first);
+  });
+
+  test('should evaluate in two- and three-valued mode', () => {
+    expect(cache.evaluate('A AND B', { A: true, B: true })).toBe(true);
+    expect(cache.evaluateKleene('A OR B', { A: true })).toBe(true);
+    expect(cache.evaluateKleene('A AND B', { A: true })).toBe(null);
+  });
+
+  test('should keep temporal state when another device invalidates the expression', () => {
+    const state = new Map();
+    const at = (now) => cache.evaluator.createTemporalContext({ now, state });
+
+    expect(cache.evaluate('(A AND B) FOR 10s', { A: true, B: true }, at(0))).toBe(false);
+
+    // Another device edits its formulas (or the entry is evicted) - new AST nodes
+    cache.invalidate('(A AND B) FOR 10s');
+
+    expect(cache.evaluate('(A AND B) FOR 10s', { A: true, B: true }, at(10000))).toBe(true);
+  });
+});
@@ -75,9 +75,24 @@ describe('FormulaEvaluator', () => {
       expect(() => evaluator.tokenize('$')).toThrow('Unexpected character: $');
     });
 
-    test('should reject invalid numbers', () => {
-      expect(() => evaluator.tokenize('2')).toThrow('Invalid number: 2');
-      expect(() => evaluator.tokenize('123')).toThrow('Invalid number: 2'); // '1' is OK, '2' throws error
+    test('should tokenize numbers other than 0 and 1 as NUMBER', () => {
+      expect(evaluator.tokenize('2')).toEqual([{ type: 'NUMBER', value: 2 }]);
+      expect(evaluator.tokenize('123')).toEqual([{ type: 'NUMBER', value: 123 }]);
+      expect(evaluator.tokenize('21.5')).toEqual([{ type: 'NUMBER', value: 21.5 }]);
+      expect(evaluator.tokenize('-3')).toEqual([{ type: 'NUMBER', value: -3 }]);
+      expect(evaluator.tokenize('10')).toEqual([{ type: 'NUMBER', value: 10 }]);
+    });
+
+    test('should tokenize comparison operators', () => {
+      expect(evaluator.tokenize('A > 2')).toContainEqual({ type: 'COMPARE', value: '>' });
+      expect(evaluator.tokenize('A >= 2')).toContainEqual({ type: 'COMPARE', value: '>=' });
+      expect(evaluator.tokenize('A < 2')).toContainEqual({ type: 'COMPARE', value: '<' });
+      expect(evaluator.tokenize('A <= 2')).toContainEqual({ type: 'COMPARE', value: '<=' });
+      expect(evaluator.tokenize('A == 2')).toContainEqual({ type: 'COMPARE', value: '==' });
+    });
+
+    test('should reject a single equals sign', () => {
+      expect(() => evaluator.tokenize('A = 2')).toThrow('Unexpected character: =');
     });
 
     test('should reject empty expression', () => {
@@ -383,6 +398,547 @@ describe('FormulaEvaluator', () => {
           expect(() => evaluator.evaluate('A AND B', { A: true })).toThrow(/Variable .* is not defined/); 
         });  });
 
+  describe('Error Positions', () => {
+    const errorFor = (expr) => {
+      try {
+        evaluator.parse(evaluator.tokenize(expr));
+      } catch (e) {
+        return e;
+      }
+      throw new Error(`Expected "${expr}" to fail`);
+    };
+
+    test('should throw structured syntax errors', () => {
+      const error = errorFor('A AND $ B');
+      expect(error).toBeInstanceOf(FormulaEvaluator.FormulaSyntaxError);
+      expect(error.toJSON()).toEqual({
+        code: 'UNEXPECTED_CHARACTER',
+        message: 'Unexpected character: $',
+        position: 6,
+        length: 1,
+        expected: []
+      });
+    });
+
+    test('should point at the unclosed parenthesis', () => {
+      expect(errorFor('A OR (B AND C')).toMatchObject({ code: 'UNBALANCED_PARENTHESES', position: 5, expected: [')'] });
+      expect(errorFor('A AND B)')).toMatchObject({ code: 'UNEXPECTED_TOKEN', position: 7, length: 1 });
+    });
+
+    test('should report positions in the original expression', () => {
+      expect(errorFor('  A AND')).toMatchObject({ code: 'UNEXPECTED_END', position: 7, length: 0 });
+      expect(errorFor('A XOR foo bar')).toMatchObject({ code: 'UNEXPECTED_TOKEN', position: 10, length: 3 });
+      expect(errorFor('A FOR 5')).toMatchObject({ code: 'EXPECTED_DURATION', position: 6, expected: ['duration'] });
+      expect(errorFor('@"Hallway" AND @"')).toMatchObject({ code: 'UNTERMINATED_DEVICE_NAME', position: 15 });
+    });
+
+    test('should describe errors with a column and an excerpt', () => {
+      expect(FormulaEvaluator.describeError(errorFor('A AND $ B'), 'A AND $ B')).toMatchObject({
+        code: 'UNEXPECTED_CHARACTER',
+        column: 7,
+        excerpt: 'A AND [$] B'
+      });
+      expect(FormulaEvaluator.describeError(new Error('Variable A is not defined'))).toMatchObject({
+        code: 'INVALID_EXPRESSION',
+        position: null,
+        column: null
+      });
+    });
+
+    test('should keep tokens and AST nodes plain', () => {
+      const tokens = evaluator.tokenize('door AND B');
+      expect(tokens[0]).toEqual({ type: 'VARIABLE', value: 'DOOR' });
+      expect(FormulaEvaluator.getSourcePosition(tokens[2])).toEqual({ position: 9, length: 1 });
+      const ast = evaluator.parse(tokens);
+      expect(FormulaEvaluator.getSourcePosition(ast.left)).toEqual({ position: 0, length: 4 });
+    });
+  });
+
+  describe('Numeric Comparisons', () => {
+    test('should parse comparison with higher precedence than NOT', () => {
+      const ast = evaluator.parse(evaluator.tokenize('NOT A > 21.5'));
+      expect(ast).toEqual({
+        type: 'UnaryOp',
+        operator: 'NOT',
+        operand: {
+          type: 'Comparison',
+          operator: '>',
+          left: { type: 'Variable', name: 'A' },
+          right: { type: 'Number', value: 21.5 }
+        }
+      });
+    });
+
+    test('should compare raw numeric values', () => {
+      expect(evaluator.evaluate('A > 21.5', { A: 22 })).toBe(true);
+      expect(evaluator.evaluate('A > 21.5', { A: 21.5 })).toBe(false);
+      expect(evaluator.evaluate('A >= 21.5', { A: 21.5 })).toBe(true);
+      expect(evaluator.evaluate('A < 5', { A: -2 })).toBe(true);
+      expect(evaluator.evaluate('A <= -2', { A: -2 })).toBe(true);
+      expect(evaluator.evaluate('A == 3', { A: 3 })).toBe(true);
+      expect(evaluator.evaluate('A == 3', { A: '3' })).toBe(true);
+    });
+
+    test('should combine comparisons with boolean operators', () => {
+      expect(evaluator.evaluate('A > 21.5 AND NOT B', { A: 23, B: false })).toBe(true);
+      expect(evaluator.evaluate('A > 21.5 AND NOT B', { A: 23, B: true })).toBe(false);
+      expect(evaluator.evaluate('(A < 10) OR B', { A: 12, B: false })).toBe(false);
+    });
+
+    test('should use != as numeric not-equal next to a number', () => {
+      expect(evaluator.evaluate('A != 21.5', { A: 20 })).toBe(true);
+      expect(evaluator.evaluate('A != 21.5', { A: 21.5 })).toBe(false);
+      expect(evaluator.evaluate('21.5 != A', { A: 20 })).toBe(true);
+      expect(evaluator.evaluate('A != 21.5 AND B', { A: 20, B: true })).toBe(true);
+
+      const kleene = (expr, vars) => evaluator.evaluateKleene(evaluator.parse(evaluator.tokenize(expr)), vars);
+      expect(kleene('A != 21.5', { A: 20 })).toBe(true);
+      expect(kleene('A != 21.5', { A: 21.5 })).toBe(false);
+      expect(kleene('A != 21.5', {})).toBe(null);
+    });
+
+    test('should keep != between inputs as XOR', () => {
+      expect(evaluator.parse(evaluator.tokenize('A != B')).operator).toBe('XOR');
+      expect(evaluator.evaluate('A != B', { A: true, B: false })).toBe(true);
+    });
+
+    test('should treat booleans and 0/1 literals as numbers in comparisons', () => {
+      expect(evaluator.evaluate('A == 1', { A: true })).toBe(true);
+      expect(evaluator.evaluate('A > 0', { A: false })).toBe(false);
+      expect(evaluator.evaluate('A == B', { A: 2, B: 2 })).toBe(true);
+    });
+
+    test('should treat numeric variables as truthy outside comparisons', () => {
+      expect(evaluator.evaluate('A AND B', { A: 5, B: true })).toBe(true);
+      expect(evaluator.evaluate('A', { A: 0 })).toBe(false);
+    });
+
+    test('should reject undefined and non-numeric operands', () => {
+      expect(() => evaluator.evaluate('A > 2', {})).toThrow('Variable A is not defined');
+      expect(() => evaluator.evaluate('A > 2', { A: 'open' })).toThrow('Variable A is not numeric');
+    });
+
+    test('should reject chained comparisons', () => {
+      expect(() => evaluator.evaluate('1 < A < 3', { A: 2 })).toThrow('Unexpected token: <');
+    });
+
+    test('should reject numbers that are not compared', () => {
+      const error = (expression) => {
+        try {
+          evaluator.parse(evaluator.tokenize(expression));
+        } catch (e) {
+          return e;
+        }
+        return null;
+      };
+
+      expect(error('A AND 5')).toMatchObject({ code: 'NUMBER_NOT_COMPARED', position: 6, length: 1 });
+      expect(error('A AND 5').message).toBe('Number 5 must be compared (e.g. A > 5)');
+      expect(error('21.5 OR A')).toMatchObject({ code: 'NUMBER_NOT_COMPARED', position: 0 });
+      expect(error('NOT -2')).toMatchObject({ code: 'NUMBER_NOT_COMPARED' });
+      expect(error('A AND (5)')).toMatchObject({ code: 'NUMBER_NOT_COMPARED' });
+      // Compared numbers and the count of ATLEAST are fine
+      expect(error('A AND 5 < B')).toBe(null);
+      expect(error('ATLEAST(2, A, B, C)')).toBe(null);
+      expect(() => evaluator.evaluate('A AND 5', { A: true })).toThrow('must be compared');
+    });
+  });
+
+  describe('Three-valued (Kleene) Evaluation', () => {
+    const kleene = (expr, vars) => evaluator.evaluateKleene(evaluator.parse(evaluator.tokenize(expr)), vars);
+
+    test('should decide OR as soon as one side is true', () => {
+      expect(kleene('A OR B', { A: true })).toBe(true);
+      expect(kleene('A OR B', { B: true })).toBe(true);
+      expect(kleene('A OR B', { A: false })).toBe(null);
+      expect(kleene('A OR B', { A: false, B: false })).toBe(false);
+    });
+
+    test('should decide AND as soon as one side is false', () => {
+      expect(kleene('A AND B', { A: false })).toBe(false);
+      expect(kleene('A AND B', { B: false })).toBe(false);
+      expect(kleene('A AND B', { A: true })).toBe(null);
+      expect(kleene('A AND B', { A: true, B: true })).toBe(true);
+    });
+
+    test('should keep NOT and XOR unknown while an operand is unknown', () => {
+      expect(kleene('NOT A', {})).toBe(null);
+      expect(kleene('A XOR B', { A: true })).toBe(null);
+      expect(kleene('A XOR B', { A: true, B: false })).toBe(true);
+    });
+
+    test('should treat the "undefined" marker as unknown', () => {
+      expect(kleene('A OR B', { A: 'undefined', B: true })).toBe(true);
+      expect(kleene('A', { A: 'undefined' })).toBe(null);
+    });
+
+    test('should treat comparisons with unknown operands as unknown', () => {
+      expect(kleene('A > 21.5', {})).toBe(null);
+      expect(kleene('A > 21.5 OR B', { B: true })).toBe(true);
+      expect(kleene('A > 21.5 AND B', { A: 22, B: true })).toBe(true);
+    });
+
+    test('should compare a decided operand that has unknown inputs', () => {
+      expect(kleene('(A OR B) > 0', { A: true })).toBe(true);
+      expect(kleene('(A AND B) == 0', { A: false })).toBe(true);
+      expect(kleene('(A OR B) > 0', { A: false })).toBe(null);
+    });
+
+    test('should match two-valued evaluation when all inputs are known', () => {
+      const vars = { A: true, B: false, C: true };
+      const expr = '(A AND NOT B) XOR (C OR B)';
+      expect(kleene(expr, vars)).toBe(evaluator.evaluate(expr, vars));
+    });
+  });
+
+  describe('Device References', () => {
+    test('should tokenize device and formula references', () => {
+      expect(evaluator.tokenize('@"Hallway Presence".f1 AND A')).toEqual([
+        { type: 'VARIABLE', value: '@"HALLWAY PRESENCE".F1' },
+        { type: 'AND', value: 'AND' },
+        { type: 'VARIABLE', value: 'A' }
+      ]);
+      expect(evaluator.tokenize('@"Lamp (hall)"')).toEqual([
+        { type: 'VARIABLE', value: '@"LAMP (HALL)"' }
+      ]);
+    });
+
+    test('should evaluate device references as variables', () => {
+      const vars = { '@"HALLWAY PRESENCE".F1': true, A: false };
+      expect(evaluator.evaluate('@"Hallway Presence".f1 AND NOT A', vars)).toBe(true);
+      expect(() => evaluator.evaluate('@"Kitchen" OR A', { A: false })).toThrow(/is not defined/);
+    });
+
+    test('should reject malformed references', () => {
+      expect(() => evaluator.tokenize('@Hallway')).toThrow('Unexpected character: @');
+      expect(() => evaluator.tokenize('@"Hallway')).toThrow('Unterminated device name');
+      expect(() => evaluator.tokenize('@""')).toThrow('Empty device name');
+      expect(() => evaluator.tokenize('@"Hallway". AND A')).toThrow(/Expected formula id/);
+    });
+
+    test('should parse and strip reference names', () => {
+      expect(FormulaEvaluator.parseDeviceReference('@"HALLWAY PRESENCE".F1'))
+        .toEqual({ deviceName: 'HALLWAY PRESENCE', formulaId: 'F1' });
+      expect(FormulaEvaluator.parseDeviceReference('@"KITCHEN"'))
+        .toEqual({ deviceName: 'KITCHEN', formulaId: null });
+      expect(FormulaEvaluator.parseDeviceReference('A')).toBeNull();
+      expect(FormulaEvaluator.stripDeviceReferences('@"Hall A".f1 AND B').trim()).toBe('AND B');
+    });
+  });
+
+  describe('Time-based Operators', () => {
+    const compile = (expr) => evaluator.parse(evaluator.tokenize(expr));
+
+    test('should tokenize durations and temporal keywords', () => {
+      expect(evaluator.tokenize('A FOR 300s')).toEqual([
+        { type: 'VARIABLE', value: 'A' },
+        { type: 'FOR', value: 'FOR' },
+        { type: 'DURATION', value: 300000 }
+      ]);
+      expect(evaluator.tokenize('500ms 5m 2h 1.5s').map(t => t.value))
+        .toEqual([500, 300000, 7200000, 1500]);
+      expect(evaluator.tokenize('RISE(A)')[0]).toEqual({ type: 'FUNCTION', value: 'RISE' });
+    });
+
+    test('should parse FOR, WITHIN and function calls', () => {
+      expect(compile('A AND B FOR 5m')).toEqual({
+        type: 'BinaryOp',
+        operator: 'AND',
+        left: { type: 'Variable', name: 'A' },
+        right: {
+          type: 'Temporal',
+          operator: 'FOR',
+          operand: { type: 'Variable', name: 'B' },
+          duration: 300000
+        }
+      });
+      expect(compile('B WITHIN 10s OF C')).toEqual({
+        type: 'Temporal',
+        operator: 'WITHIN',
+        left: { type: 'Variable', name: 'B' },
+        right: { type: 'Variable', name: 'C' },
+        duration: 10000
+      });
+      expect(compile('FALL(A OR B)')).toEqual({
+        type: 'Call',
+        name: 'FALL',
+        args: [{
+          type: 'BinaryOp',
+          operator: 'OR',
+          left: { type: 'Variable', name: 'A' },
+          right: { type: 'Variable', name: 'B' }
+        }]
+      });
+    });
+
+    test('should reject malformed temporal expressions', () => {
+      expect(() => compile('A FOR')).toThrow(/Expected duration after FOR/);
+      expect(() => compile('A FOR 5')).toThrow(/Expected duration after FOR/);
+      expect(() => compile('B WITHIN 10s C')).toThrow('Expected OF after WITHIN duration');
+      expect(() => compile('RISE(A, B)')).toThrow('RISE expects 1 argument(s), got 2');
+      expect(() => compile('A AND 5m')).toThrow();
+    });
+
+    test('should evaluate FOR from per-input timestamps', () => {
+      const ast = compile('A FOR 300s');
+      const history = { A: { value: true, since: 0, previous: false } };
+      const at = (now) => evaluator.createTemporalContext({ now, history: (name) => history[name] });
+      expect(evaluator.evaluateAST(ast, { A: true }, at(299999))).toBe(false);
+      expect(evaluator.evaluateAST(ast, { A: true }, at(300000))).toBe(true);
+      expect(evaluator.evaluateAST(ast, { A: false }, at(400000))).toBe(false);
+    });
+
+    test('should track sub-expressions between evaluations', () => {
+      const ast = compile('(A AND B) FOR 10s');
+      const state = new WeakMap();
+      const at = (now) => evaluator.createTemporalContext({ now, state });
+      expect(evaluator.evaluateAST(ast, { A: true, B: false }, at(0))).toBe(false);
+      expect(evaluator.evaluateAST(ast, { A: true, B: true }, at(1000))).toBe(false);
+      expect(evaluator.evaluateAST(ast, { A: true, B: true }, at(11000))).toBe(true);
+      expect(evaluator.evaluateAST(ast, { A: true, B: false }, at(12000))).toBe(false);
+    });
+
+    test('should evaluate RISE and FALL as short pulses', () => {
+      const rise = compile('RISE(A)');
+      const fall = compile('FALL(A)');
+      const history = { A: { value: true, since: 1000, previous: false } };
+      const at = (now) => evaluator.createTemporalContext({ now, history: (name) => history[name] });
+      expect(evaluator.evaluateAST(rise, { A: true }, at(1500))).toBe(true);
+      expect(evaluator.evaluateAST(rise, { A: true }, at(1000 + FormulaEvaluator.EDGE_PULSE_MS + 1))).toBe(false);
+      expect(evaluator.evaluateAST(fall, { A: true }, at(1500))).toBe(false);
+
+      // First value seen after startup is not an edge
+      history.A = { value: true, since: 1000, previous: undefined };
+      expect(evaluator.evaluateAST(rise, { A: true }, at(1500))).toBe(false);
+    });
+
+    test('should evaluate WITHIN from the time both sides became true', () => {
+      const ast = compile('B WITHIN 10s OF C');
+      const history = {
+        B: { value: true, since: 5000, previous: false },
+        C: { value: true, since: 12000, previous: false }
+      };
+      const at = (now) => evaluator.createTemporalContext({ now, history: (name) => history[name] });
+      expect(evaluator.evaluateAST(ast, { B: true, C: true }, at(20000))).toBe(true);
+      expect(evaluator.evaluateAST(ast, { B: true, C: false }, at(20000))).toBe(false);
+      history.C.since = 16000;
+      expect(evaluator.evaluateAST(ast, { B: true, C: true }, at(20000))).toBe(false);
+    });
+
+    test('should stay unknown in Kleene mode while the operand is unknown', () => {
+      const ctx = evaluator.createTemporalContext({ now: 0 });
+      expect(evaluator.evaluateKleene(compile('A FOR 5s'), {}, ctx)).toBeNull();
+      expect(evaluator.evaluateKleene(compile('B WITHIN 5s OF C'), { B: false }, ctx)).toBe(false);
+      expect(evaluator.evaluateKleene(compile('RISE(A) OR B'), { B: true }, ctx)).toBe(true);
+    });
+
+    test('should report whether an expression is time-based', () => {
+      expect(evaluator.hasTemporal(compile('A AND NOT (B FOR 5m)'))).toBe(true);
+      expect(evaluator.hasTemporal(compile('RISE(A)'))).toBe(true);
+      expect(evaluator.hasTemporal(compile('A AND B > 3'))).toBe(false);
+      expect(evaluator.getVariables(compile('B WITHIN 1s OF RISE(C)'))).toEqual(['B', 'C']);
+    });
+  });
+
+  describe('Counting and Gate Functions', () => {
+    const compile = (expr) => evaluator.parse(evaluator.tokenize(expr));
+
+    test('should tokenize function names only when followed by (', () => {
+      expect(evaluator.tokenize('ATLEAST(2, A)').slice(0, 3)).toEqual([
+        { type: 'FUNCTION', value: 'ATLEAST' },
+        { type: 'LPAREN', value: '(' },
+        { type: 'NUMBER', value: 2 }
+      ]);
+      expect(evaluator.tokenize('nand')).toEqual([{ type: 'VARIABLE', value: 'NAND' }]);
+    });
+
+    test('should count true inputs', () => {
+      const values = { A: true, B: false, C: true, D: false, E: false };
+      expect(evaluator.evaluate('ATLEAST(2, A, B, C, D, E)', values)).toBe(true);
+      expect(evaluator.evaluate('ATLEAST(3, A, B, C, D, E)', values)).toBe(false);
+      expect(evaluator.evaluate('ATMOST(1, A, B, C)', values)).toBe(false);
+      expect(evaluator.evaluate('EXACTLY(2, A, B, C, D, E)', values)).toBe(true);
+      expect(evaluator.evaluate('ATLEAST(1, B, D)', values)).toBe(false);
+      expect(evaluator.evaluate('ATLEAST(0, B)', values)).toBe(true);
+    });
+
+    test('should evaluate MAJORITY, NAND, NOR and IMPLIES', () => {
+      expect(evaluator.evaluate('MAJORITY(A, B, C)', { A: true, B: true, C: false })).toBe(true);
+      expect(evaluator.evaluate('MAJORITY(A, B, C, D)', { A: true, B: true, C: false, D: false })).toBe(false);
+      expect(evaluator.evaluate('NAND(A, B)', { A: true, B: true })).toBe(false);
+      expect(evaluator.evaluate('NAND(A, B)', { A: true, B: false })).toBe(true);
+      expect(evaluator.evaluate('NOR(A, B, C)', { A: false, B: false, C: false })).toBe(true);
+      expect(evaluator.evaluate('NOR(A, B)', { A: false, B: true })).toBe(false);
+      expect(evaluator.evaluate('IMPLIES(A, B)', { A: true, B: false })).toBe(false);
+      expect(evaluator.evaluate('IMPLIES(A, B)', { A: false, B: false })).toBe(true);
+    });
+
+    test('should combine with operators and nest', () => {
+      expect(evaluator.evaluate('NOT ATLEAST(2, A, B, C) AND D', { A: true, B: false, C: false, D: true })).toBe(true);
+      expect(evaluator.evaluate('IMPLIES(A OR B, NAND(C, D))', { A: true, B: false, C: true, D: false })).toBe(true);
+    });
+
+    test('should decide early in Kleene mode when the known inputs are enough', () => {
+      expect(evaluator.evaluateKleene(compile('ATLEAST(2, A, B, C)'), { A: true, C: true })).toBe(true);
+      expect(evaluator.evaluateKleene(compile('ATLEAST(2, A, B, C)'), { A: false, B: false })).toBe(false);
+      expect(evaluator.evaluateKleene(compile('ATLEAST(2, A, B, C)'), { A: true })).toBeNull();
+      expect(evaluator.evaluateKleene(compile('EXACTLY(1, A, B)'), { A: true })).toBeNull();
+      expect(evaluator.evaluateKleene(compile('IMPLIES(A, B)'), { A: false })).toBe(true);
+      expect(evaluator.evaluateKleene(compile('NOR(A, B)'), { B: true })).toBe(false);
+    });
+
+    test('should validate arguments', () => {
+      expect(() => compile('IMPLIES(A)')).toThrow('IMPLIES expects 2 argument(s), got 1');
+      expect(() => compile('NAND(A)')).toThrow('NAND expects 2+ argument(s), got 1');
+      expect(() => compile('ATLEAST(A, B)')).toThrow(/whole number/);
+      expect(() => compile('ATLEAST(1.5, A, B)')).toThrow(/whole number/);
+    });
+
+    test('should not be treated as time-based, and should support truth tables', () => {
+      expect(evaluator.hasTemporal(compile('ATLEAST(2, A, B, C)'))).toBe(false);
+      expect(evaluator.hasTemporal(compile('ATLEAST(1, A FOR 5s, B)'))).toBe(true);
+      expect(evaluator.getVariables(compile('ATLEAST(2, A, B, C)'))).toEqual(['A', 'B', 'C']);
+      expect(evaluator.analyze(compile('ATLEAST(2, A, B, C)')).minimized).toBe('(A AND B) OR (A AND C) OR (B AND C)');
+    });
+  });
+
+  describe('Time of Day', () => {
+    const compile = (expr) => evaluator.parse(evaluator.tokenize(expr));
+    const at = (clock) => evaluator.createTemporalContext({ clock });
+    const night = { minutes: 23 * 60, weekday: 2, NIGHT: true, DAYLIGHT: false, WEEKDAY: true, WEEKEND: false };
+
+    test('should tokenize clock identifiers and times of day', () => {
+      expect(evaluator.tokenize('NIGHT')).toEqual([{ type: 'CLOCK', value: 'NIGHT' }]);
+      expect(evaluator.tokenize('TIME_BETWEEN(22:00, 6:30)')).toEqual([
+        { type: 'FUNCTION', value: 'TIME_BETWEEN' },
+        { type: 'LPAREN', value: '(' },
+        { type: 'TIME', value: '22:00', minutes: 1320 },
+        { type: 'COMMA', value: ',' },
+        { type: 'TIME', value: '6:30', minutes: 390 },
+        { type: 'RPAREN', value: ')' }
+      ]);
+    });
+
+    test('should evaluate clock identifiers from the context', () => {
+      expect(evaluator.evaluateAST(compile('A AND NIGHT'), { A: true }, at(night))).toBe(true);
+      expect(evaluator.evaluateAST(compile('DAYLIGHT OR WEEKEND'), {}, at(night))).toBe(false);
+      expect(evaluator.evaluateAST(compile('WEEKDAY'), {}, at(night))).toBe(true);
+    });
+
+    test('should handle TIME_BETWEEN ranges, including past midnight', () => {
+      const check = (expr, minutes) => evaluator.evaluateAST(compile(expr), {}, at({ ...night, minutes }));
+      expect(check('TIME_BETWEEN(22:00, 06:00)', 23 * 60)).toBe(true);
+      expect(check('TIME_BETWEEN(22:00, 06:00)', 5 * 60 + 59)).toBe(true);
+      expect(check('TIME_BETWEEN(22:00, 06:00)', 6 * 60)).toBe(false);
+      expect(check('TIME_BETWEEN(08:00, 16:30)', 12 * 60)).toBe(true);
+      expect(check('TIME_BETWEEN(08:00, 16:30)', 7 * 60 + 59)).toBe(false);
+    });
+
+    test('should be unknown without a location in Kleene mode, and an error otherwise', () => {
+      const noSun = { ...night, NIGHT: null, DAYLIGHT: null };
+      expect(evaluator.evaluateKleene(compile('A AND NIGHT'), { A: true }, at(noSun))).toBeNull();
+      expect(evaluator.evaluateKleene(compile('A AND NIGHT'), { A: false }, at(noSun))).toBe(false);
+      expect(() => evaluator.evaluateAST(compile('NIGHT'), {}, at(noSun))).toThrow(/not available/);
+      expect(() => evaluator.evaluateAST(compile('NIGHT'), {})).toThrow(/time of day/);
+    });
+
+    test('should report syntax errors for bad times', () => {
+      expect(() => compile('TIME_BETWEEN(25:00, 06:00)')).toThrow(expect.objectContaining({ code: 'INVALID_TIME' }));
+      expect(() => compile('TIME_BETWEEN(A, 06:00)')).toThrow(expect.objectContaining({ code: 'EXPECTED_TIME' }));
+      expect(() => compile('TIME_BETWEEN(22:00)')).toThrow(expect.objectContaining({ code: 'UNEXPECTED_TOKEN' }));
+    });
+
+    test('should not count as inputs, and should be flagged for re-evaluation', () => {
+      const ast = compile('A AND NIGHT AND TIME_BETWEEN(22:00, 06:00)');
+      expect(evaluator.getVariables(ast)).toEqual(['A']);
+      expect(evaluator.hasClock(ast)).toBe(true);
+      expect(evaluator.hasTemporal(ast)).toBe(false);
+      expect(evaluator.hasClock(compile('A AND B'))).toBe(false);
+      expect(() => evaluator.analyze(ast)).toThrow(/purely boolean/);
+    });
+
+    test('should compute sunrise and sunset offline', () => {
+      const TimeOfDay = require('./lib/TimeOfDay');
+      // Oslo, midsummer: sunrise about 03:54 and sunset about 22:44 local time (UTC+2)
+      const { sunrise, sunset } = TimeOfDay.sunTimes(Date.UTC(2024, 5, 21, 12), 59.91, 10.75);
+      expect(Math.abs(sunrise - Date.UTC(2024, 5, 21, 1, 54))).toBeLessThan(3 * 60000);
+      expect(Math.abs(sunset - Date.UTC(2024, 5, 21, 20, 44))).toBeLessThan(3 * 60000);
+      // Tromsø: polar night in December, midnight sun in June
+      expect(TimeOfDay.sunTimes(Date.UTC(2024, 11, 21, 12), 69.65, 18.96).polar).toBe('night');
+      expect(TimeOfDay.sunTimes(Date.UTC(2024, 5, 21, 12), 69.65, 18.96).polar).toBe('day');
+
+      const clock = new TimeOfDay({ latitude: 59.91, longitude: 10.75, timeZone: 'Europe/Oslo' })
+        .getClock(Date.UTC(2024, 11, 21, 22, 30)); // Saturday 23:30 in Oslo
+      expect(clock).toMatchObject({ minutes: 23 * 60 + 30, NIGHT: true, DAYLIGHT: false, WEEKEND: true, WEEKDAY: false });
+    });
+  });
+
+  describe('Truth Table Analysis', () => {
+    const analyze = (expr, options) => evaluator.analyze(evaluator.parse(evaluator.tokenize(expr)), options);
+
+    test('should enumerate every input combination, first input as most significant bit', () => {
+      const report = analyze('A AND NOT B');
+      expect(report.inputs).toEqual(['A', 'B']);
+      expect(report.rows).toEqual([
+        { inputs: { A: false, B: false }, result: false },
+        { inputs: { A: false, B: true }, result: false },
+        { inputs: { A: true, B: false }, result: true },
+        { inputs: { A: true, B: true }, result: false }
+      ]);
+      expect(report.minterms).toEqual([2]);
+    });
+
+    test('should detect tautologies and contradictions', () => {
+      expect(analyze('A OR NOT A')).toMatchObject({ tautology: true, contradiction: false, minimized: 'TRUE' });
+      expect(analyze('A AND NOT A')).toMatchObject({ tautology: false, contradiction: true, minimized: 'FALSE' });
+      expect(analyze('A OR B')).toMatchObject({ tautology: false, contradiction: false });
+    });
+
+    test('should report inputs that never affect the result', () => {
+      expect(analyze('(A AND B) OR (A AND NOT B)').unusedInputs).toEqual(['B']);
+      expect(analyze('A', { inputs: ['A', 'B', 'C'] }).unusedInputs).toEqual(['B', 'C']);
+    });
+
+    test('should suggest a minimised equivalent expression', () => {
+      expect(analyze('(A AND B) OR (A AND NOT B)').minimized).toBe('A');
+      expect(analyze('(NOT A AND B) OR A').minimized).toBe('A OR B');
+      expect(analyze('A XOR B').minimized).toBe('(A AND NOT B) OR (NOT A AND B)');
+      expect(analyze('NOT A OR (A AND B AND C)').minimized).toBe('NOT A OR (B AND C)');
+    });
+
+    test('should produce an expression equivalent to the original', () => {
+      const report = analyze('(A OR B) AND (NOT C OR A) AND (B OR NOT D)');
+      const minimized = evaluator.parse(evaluator.tokenize(report.minimized));
+      report.rows.forEach(row => {
+        expect(evaluator.evaluateAST(minimized, row.inputs)).toBe(row.result);
+      });
+    });
+
+    test('should reject non-boolean formulas and too many inputs', () => {
+      expect(() => analyze('A FOR 5s')).toThrow('purely boolean');
+      expect(() => analyze('A > 3')).toThrow('purely boolean');
+      expect(() => analyze('A OR B OR C OR D OR E OR F OR G OR H OR I OR J OR K')).toThrow('Too many inputs');
+    });
+  });
+
+  describe('Variable Collection', () => {
+    test('should list each referenced variable once', () => {
+      const ast = evaluator.parse(evaluator.tokenize('(A AND B) OR NOT A OR C > 2'));
+      expect(evaluator.getVariables(ast)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('should return an empty list for literal-only expressions', () => {
+      const ast = evaluator.parse(evaluator.tokenize('TRUE AND 1'));
+      expect(evaluator.getVariables(ast)).toEqual([]);
+    });
+
+    test('should collect descriptive input names in uppercase', () => {
+      const ast = evaluator.parse(evaluator.tokenize('door_open AND NOT alarm_armed'));
+      expect(evaluator.getVariables(ast)).toEqual(['DOOR_OPEN', 'ALARM_ARMED']);
+      expect(evaluator.evaluateAST(ast, { DOOR_OPEN: true, ALARM_ARMED: false })).toBe(true);
+    });
+  });
+
   describe('Edge Cases', () => {
     test('should handle all valid variables A-J', () => {
       const vars = { A: true, B: false, C: true, D: false, E: true, F: false, G: true, H: false, I: true, J: false };
@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for FormulaStateStore
+ *
+ * Run with: npm test
+ */
+
+const FormulaStateStore = require('./lib/FormulaStateStore');
+
+const NOW = 1700000000000;
+
+function createFormula(options = {}) {
+  return {
+    id: 'f1',
+    name: 'Formula 1',
+    result: null,
+    timedOut: false,
+    lastInputTime: null,
+    inputStates: { a: 'undefined', b: 'undefined' },
+    lockedInputs: { a: false, b: false },
+    ...FormulaStateStore.parseOptions({ persist: true, ...options })
+  };
+}
+
+describe('FormulaStateStore', () => {
+  let device;
+  let store;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+    const values = {};
+    device = {
+      formulas: [],
+      getStoreValue: jest.fn((key) => values[key]),
+      setStoreValue: jest.fn(async (key, value) => { values[key] = value; })
+    };
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    store = new FormulaStateStore(device, logger);
+  });
+
+  afterEach(() => {
+    store.stop();
+    jest.useRealTimers();
+  });
+
+  test('should parse persistence options', () => {
+    expect(FormulaStateStore.parseOptions({})).toEqual({ persist: false, persistMaxAge: 3600, restored: false });
+    expect(FormulaStateStore.parseOptions({ persist: true, persistMaxAge: 0 }).persistMaxAge).toBe(0);
+    expect(FormulaStateStore.parseOptions({ persistMaxAge: -5 }).persistMaxAge).toBe(3600);
+  });
+
+  test('should save and restore inputs, locks and result', async () => {
+    const saved = createFormula();
+    saved.inputStates = { a: true, b: 21.5 };
+    saved.lockedInputs = { a: true, b: false };
+    saved.result = true;
+    saved.lastInputTime = NOW;
+    FormulaStateStore.touchInput(saved, 'a');
+    FormulaStateStore.touchInput(saved, 'b');
+    device.formulas = [saved];
+    await store.save();
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    const formula = createFormula();
+    expect(store.restore([formula])).toBe(1);
+    expect(formula.inputStates).toEqual({ a: true, b: 21.5 });
+    expect(formula.lockedInputs).toEqual({ a: true, b: false });
+    expect(formula.result).toBe(true);
+    expect(formula.lastInputTime).toBe(NOW);
+    expect(formula.restored).toBe(true);
+  });
+
+  test('should drop inputs received longer ago than persistMaxAge', async () => {
+    const saved = createFormula({ persistMaxAge: 600 });
+    saved.inputStates = { a: true, b: false };
+    saved.result = false;
+    FormulaStateStore.touchInput(saved, 'a');
+    jest.setSystemTime(NOW + 500 * 1000);
+    FormulaStateStore.touchInput(saved, 'b');
+    device.formulas = [saved];
+    await store.save();
+
+    // 'a' is 700s old, 'b' 200s - the write time doesn't matter
+    jest.setSystemTime(NOW + 700 * 1000);
+    const formula = createFormula({ persistMaxAge: 600 });
+    expect(store.restore([formula])).toBe(1);
+    expect(formula.inputStates).toEqual({ a: 'undefined', b: false });
+    // The saved result depended on the expired input
+    expect(formula.result).toBe(null);
+
+    jest.setSystemTime(NOW + 1200 * 1000);
+    const expired = createFormula({ persistMaxAge: 600 });
+    expect(store.restore([expired])).toBe(0);
+    expect(expired.restored).toBe(false);
+  });
+
+  test('should use the write time for snapshots without input times', async () => {
+    device.setStoreValue(FormulaStateStore.STORE_KEY, {
+      f1: { inputStates: { a: true }, lockedInputs: {}, result: true, savedAt: NOW }
+    });
+    jest.setSystemTime(NOW + 30 * 1000);
+    const formula = createFormula({ persistMaxAge: 60 });
+    expect(store.restore([formula])).toBe(1);
+    expect(formula.inputStates.a).toBe(true);
+
+    const unlimited = createFormula({ persistMaxAge: 0 });
+    jest.setSystemTime(NOW + 24 * 3600 * 1000);
+    expect(store.restore([unlimited])).toBe(1);
+  });
+
+  test('should not restore formulas without persist', async () => {
+    device.setStoreValue(FormulaStateStore.STORE_KEY, {
+      f1: { inputStates: { a: true }, savedAt: NOW }
+    });
+    const formula = createFormula();
+    formula.persist = false;
+    expect(store.restore([formula])).toBe(0);
+    expect(formula.inputStates.a).toBe('undefined');
+  });
+
+  test('should only write when something changed', async () => {
+    const formula = createFormula();
+    device.formulas = [formula];
+    store.start();
+
+    jest.advanceTimersByTime(3 * store.HEARTBEAT_MS);
+    expect(device.setStoreValue).not.toHaveBeenCalled();
+
+    store.scheduleSave();
+    store.scheduleSave();
+    jest.advanceTimersByTime(store.SAVE_DELAY_MS);
+    await Promise.resolve();
+    expect(device.setStoreValue).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(3 * store.HEARTBEAT_MS);
+    expect(device.setStoreValue).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry a failed write on the heartbeat', async () => {
+    device.formulas = [createFormula()];
+    device.setStoreValue.mockRejectedValueOnce(new Error('store busy'));
+    store.start();
+
+    await expect(store.save()).rejects.toThrow('store busy');
+    expect(store.dirty).toBe(true);
+
+    jest.advanceTimersByTime(store.HEARTBEAT_MS);
+    await Promise.resolve();
+    expect(device.setStoreValue).toHaveBeenCalledTimes(2);
+    expect(store.dirty).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for FormulaTiming
+ *
+ * Run with: npm test
+ */
+
+const FormulaTiming = require('./lib/FormulaTiming');
+
+const SECOND = 1000;
+
+function createFormula(options) {
+  return { result: false, ...FormulaTiming.parseOptions(options) };
+}
+
+/**
+ * Evaluate like the devices do: publish what apply() returns
+ */
+function evaluate(formula, raw, seconds) {
+  formula.result = FormulaTiming.apply(formula, raw, seconds * SECOND);
+  return formula.result;
+}
+
+describe('FormulaTiming', () => {
+  test('should parse and validate options', () => {
+    expect(FormulaTiming.parseOptions({ onDelay: '5', offDelay: -1 })).toEqual({ onDelay: 5, offDelay: 0, minOnTime: 0 });
+    expect(FormulaTiming.findInvalidOption({ onDelay: 5, minOnTime: 'x' })).toBe('minOnTime');
+    expect(FormulaTiming.findInvalidOption({ offDelay: 0 })).toBe(null);
+  });
+
+  test('should publish directly without timing', () => {
+    const formula = createFormula({});
+    expect(evaluate(formula, true, 0)).toBe(true);
+    expect(FormulaTiming.isPending(formula)).toBe(false);
+  });
+
+  test('onDelay (TON) should publish TRUE after the delay', () => {
+    const formula = createFormula({ onDelay: 5 });
+    expect(evaluate(formula, true, 0)).toBe(false);
+    expect(FormulaTiming.isPending(formula)).toBe(true);
+    expect(evaluate(formula, true, 4)).toBe(false);
+    expect(evaluate(formula, true, 5)).toBe(true);
+    expect(FormulaTiming.isPending(formula)).toBe(false);
+  });
+
+  test('onDelay (TON) should cancel when the expression goes back', () => {
+    const formula = createFormula({ onDelay: 5 });
+    evaluate(formula, true, 0);
+    expect(evaluate(formula, false, 3)).toBe(false);
+    expect(FormulaTiming.isPending(formula)).toBe(false);
+    // The delay starts over
+    expect(evaluate(formula, true, 4)).toBe(false);
+    expect(evaluate(formula, true, 8)).toBe(false);
+    expect(evaluate(formula, true, 9)).toBe(true);
+  });
+
+  test('offDelay (TOF) should hold TRUE until the delay is over', () => {
+    const formula = createFormula({ offDelay: 10 });
+    expect(evaluate(formula, true, 0)).toBe(true);
+    expect(evaluate(formula, false, 1)).toBe(true);
+    expect(evaluate(formula, true, 5)).toBe(true);
+    expect(evaluate(formula, false, 6)).toBe(true);
+    expect(evaluate(formula, false, 15)).toBe(true);
+    expect(evaluate(formula, false, 16)).toBe(false);
+  });
+
+  test('minOnTime should keep TRUE published for a minimum time', () => {
+    const formula = createFormula({ minOnTime: 30 });
+    expect(evaluate(formula, true, 0)).toBe(true);
+    expect(evaluate(formula, false, 1)).toBe(true);
+    expect(evaluate(formula, false, 29)).toBe(true);
+    expect(evaluate(formula, false, 30)).toBe(false);
+  });
+
+  test('should not publish a pending TRUE after the result became unknown', () => {
+    const formula = createFormula({ onDelay: 5 });
+    evaluate(formula, true, 0);
+
+    // An input goes missing (a Logic Device keeps publishing FALSE)
+    FormulaTiming.cancel(formula, 2 * SECOND);
+    expect(FormulaTiming.isPending(formula)).toBe(false);
+
+    // The input is back: the delay starts over instead of firing at once
+    expect(evaluate(formula, true, 6)).toBe(false);
+    expect(FormulaTiming.isPending(formula)).toBe(true);
+    expect(evaluate(formula, true, 11)).toBe(true);
+  });
+
+  test('should restart offDelay after an unknown result', () => {
+    const formula = createFormula({ offDelay: 10 });
+    evaluate(formula, true, 0);
+    evaluate(formula, false, 1);
+
+    // Unknown for a while (a Logic Device keeps publishing TRUE)
+    FormulaTiming.cancel(formula, 5 * SECOND);
+    expect(evaluate(formula, false, 12)).toBe(true);
+    expect(evaluate(formula, false, 21)).toBe(true);
+    expect(evaluate(formula, false, 22)).toBe(false);
+  });
+
+  test('should keep counting minOnTime across an unknown result', () => {
+    const formula = createFormula({ minOnTime: 30 });
+    evaluate(formula, true, 0);
+    FormulaTiming.cancel(formula, 10 * SECOND);
+    expect(evaluate(formula, false, 20)).toBe(true);
+    expect(evaluate(formula, false, 30)).toBe(false);
+  });
+
+  test('cancel should do nothing before the first evaluation', () => {
+    const formula = createFormula({ onDelay: 5 });
+    FormulaTiming.cancel(formula);
+    expect(formula.timing).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for LinkAggregate
+ *
+ * Run with: npm test
+ */
+
+const LinkAggregate = require('./lib/LinkAggregate');
+
+describe('LinkAggregate', () => {
+  const combine = (values, aggregate) => LinkAggregate.combine(values, LinkAggregate.parseMode(aggregate));
+
+  describe('parseMode', () => {
+    test('should default to any', () => {
+      expect(LinkAggregate.parseMode(undefined)).toEqual({ type: 'any', count: 0 });
+    });
+
+    test('should parse any, all and count>=N', () => {
+      expect(LinkAggregate.parseMode(' ALL ')).toEqual({ type: 'all', count: 0 });
+      expect(LinkAggregate.parseMode('count>=2')).toEqual({ type: 'count', count: 2 });
+      expect(LinkAggregate.parseMode('Count >= 3')).toEqual({ type: 'count', count: 3 });
+    });
+
+    test('should reject invalid modes', () => {
+      expect(LinkAggregate.parseMode('count>=0')).toBe(null);
+      expect(LinkAggregate.parseMode('count>2')).toBe(null);
+      expect(LinkAggregate.parseMode('most')).toBe(null);
+      expect(LinkAggregate.parseMode('')).toBe(null);
+    });
+  });
+
+  describe('combine', () => {
+    test('any should be TRUE if one device is TRUE', () => {
+      expect(combine([false, true, false], 'any')).toBe(true);
+      expect(combine([false, false], 'any')).toBe(false);
+    });
+
+    test('all should be TRUE only if every device is TRUE', () => {
+      expect(combine([true, true], 'all')).toBe(true);
+      expect(combine([true, false], 'all')).toBe(false);
+    });
+
+    test('count>=N should need N TRUE devices', () => {
+      expect(combine([true, true, false], 'count>=2')).toBe(true);
+      expect(combine([true, false, false], 'count>=2')).toBe(false);
+      // More than there are devices: never TRUE
+      expect(combine([true, true], 'count>=3')).toBe(false);
+    });
+
+    test('should only be unknown when the reported devices cannot decide', () => {
+      expect(combine([true, 'undefined'], 'any')).toBe(true);
+      expect(combine([false, 'undefined'], 'any')).toBe('undefined');
+      expect(combine([false, 'undefined'], 'all')).toBe(false);
+      expect(combine([true, 'undefined'], 'all')).toBe('undefined');
+      expect(combine([true, 'undefined', false], 'count>=2')).toBe('undefined');
+      expect(combine([false, 'undefined', false], 'count>=2')).toBe(false);
+    });
+
+    test('should treat raw numbers as unknown', () => {
+      expect(combine([21.5, false], 'any')).toBe('undefined');
+    });
+
+    test('should handle an empty device list', () => {
+      expect(combine([], 'any')).toBe(false);
+      expect(combine([], 'all')).toBe(true);
+    });
+  });
+
+  describe('invert', () => {
+    test('should negate booleans only', () => {
+      expect(LinkAggregate.invert(true)).toBe(false);
+      expect(LinkAggregate.invert(false)).toBe(true);
+      expect(LinkAggregate.invert('undefined')).toBe('undefined');
+      expect(LinkAggregate.invert(21.5)).toBe(21.5);
+    });
+
+    test('should invert the combined value', () => {
+      expect(LinkAggregate.invert(combine([false, false], 'any'))).toBe(true);
+      expect(LinkAggregate.invert(combine([false, 'undefined'], 'any'))).toBe('undefined');
+    });
+  });
+});
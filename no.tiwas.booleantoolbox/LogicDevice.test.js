@@ -0,0 +1,302 @@
+/**
+ * Unit Tests for Logic Device input links
+ *
+ * Run with: npm test
+ */
+
+// The Homey SDK is only available on the Homey itself
+jest.mock('homey', () => ({ Device: class {}, Driver: class {}, App: class {} }), { virtual: true });
+
+const { EventEmitter } = require('events');
+const LogicDeviceDevice = require('./drivers/logic-device/device');
+const BooleanToolboxApp = require('./app');
+
+/**
+ * Logic Device instance without the Homey runtime (onInit is not called)
+ */
+function createDevice() {
+  const device = Object.create(LogicDeviceDevice.prototype);
+  device.logger = {
+    debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), input: jest.fn(), device: jest.fn()
+  };
+  return device;
+}
+
+describe('Logic Device links', () => {
+  let device;
+
+  beforeEach(() => {
+    device = createDevice();
+  });
+
+  describe('Conversion rules', () => {
+    test('should fall back to convertToBoolean without a rule', () => {
+      expect(device.convertLinkValue({ input: 'a', capability: 'onoff' }, 1)).toBe(true);
+      expect(device.convertLinkValue({ input: 'a', capability: 'measure_power' }, 0)).toBe(false);
+      expect(device.convertLinkValue({ input: 'a', capability: 'x' }, 'on')).toBe(true);
+    });
+
+    test('should keep raw numbers for comparisons', () => {
+      const link = { input: 'a', conversion: { type: 'raw' } };
+      expect(device.convertLinkValue(link, 21.5)).toBe(21.5);
+      expect(device.convertLinkValue(link, '18')).toBe(18);
+      expect(device.convertLinkValue(link, 'n/a')).toBe('undefined');
+    });
+
+    test('should apply threshold with hysteresis (above)', () => {
+      const link = { input: 'a', conversion: { type: 'threshold', threshold: 21.5, hysteresis: 0.5 } };
+      expect(device.convertLinkValue(link, 21)).toBe(false);
+      expect(device.convertLinkValue(link, 21.5)).toBe(true);
+      // Inside the hysteresis band the previous state is kept
+      expect(device.convertLinkValue(link, 21.2)).toBe(true);
+      expect(device.convertLinkValue(link, 21)).toBe(false);
+      expect(device.convertLinkValue(link, 21.2)).toBe(false);
+    });
+
+    test('should apply threshold with hysteresis (below)', () => {
+      const link = { input: 'a', conversion: { type: 'threshold', threshold: 10, hysteresis: 2, direction: 'below' } };
+      expect(device.convertLinkValue(link, 10)).toBe(true);
+      expect(device.convertLinkValue(link, 11)).toBe(true);
+      expect(device.convertLinkValue(link, 12)).toBe(false);
+      expect(device.convertLinkValue(link, 11)).toBe(false);
+    });
+
+    test('should keep hysteresis state per aggregate member', () => {
+      const conversion = { type: 'threshold', threshold: 20, hysteresis: 1 };
+      const first = { input: 'a', memberKey: 'a-d1-t', conversion };
+      const second = { input: 'a', memberKey: 'a-d2-t', conversion };
+      expect(device.convertLinkValue(first, 20)).toBe(true);
+      expect(device.convertLinkValue(second, 19.5)).toBe(false);
+      expect(device.convertLinkValue(first, 19.5)).toBe(true);
+    });
+
+    test('should apply range and equals rules', () => {
+      const range = { input: 'a', conversion: { type: 'range', min: 18, max: 22 } };
+      expect(device.convertLinkValue(range, 18)).toBe(true);
+      expect(device.convertLinkValue(range, 22.1)).toBe(false);
+      expect(device.convertLinkValue(range, 'abc')).toBe('undefined');
+
+      const equals = { input: 'a', conversion: { type: 'equals', values: ['open', 'opening'] } };
+      expect(device.convertLinkValue(equals, 'Open')).toBe(true);
+      expect(device.convertLinkValue(equals, 'closed')).toBe(false);
+    });
+
+    test('should validate conversion rules', () => {
+      expect(device.validateConversion(undefined)).toBe(null);
+      expect(device.validateConversion({ type: 'threshold', threshold: 5 })).toBe(null);
+      expect(device.validateConversion({ type: 'threshold' })).toBe('threshold must be a number');
+      expect(device.validateConversion({ type: 'threshold', threshold: 5, direction: 'up' }))
+        .toBe('direction must be "above" or "below"');
+      expect(device.validateConversion({ type: 'range' })).toBe('range needs min and/or max');
+      expect(device.validateConversion({ type: 'equals' })).toBe('equals needs value or values');
+      expect(device.validateConversion({ type: 'nope' })).toBe('unknown conversion type "nope"');
+      expect(device.validateConversion([])).toBe('conversion must be an object');
+    });
+  });
+
+  describe('Aggregated inputs', () => {
+    test('should combine devices and invert the result', () => {
+      const link = {
+        input: 'a',
+        aggregate: 'all',
+        invert: true,
+        capability: 'alarm_contact',
+        devices: [{ deviceId: 'd1' }, { deviceId: 'd2', capability: 'onoff' }]
+      };
+      const [first, second] = device.getLinkMembers(link);
+      expect(second.memberKey).toBe('a-d2-onoff');
+
+      expect(device.resolveLinkValue(first, true)).toBe('undefined');
+      expect(device.resolveLinkValue(second, true)).toBe(false);
+      expect(device.resolveLinkValue(first, false)).toBe(true);
+    });
+  });
+
+  describe('Stale inputs', () => {
+    const link = {
+      input: 'a',
+      aggregate: 'any',
+      capability: 'alarm_motion',
+      maxAgeSeconds: 60,
+      devices: [
+        { deviceId: 'd1', deviceName: 'Hall sensor' },
+        { deviceId: 'd2', deviceName: 'Stairs sensor' }
+      ]
+    };
+    const [first, second] = [0, 1].map((i) => ({
+      input: 'a',
+      deviceId: link.devices[i].deviceId,
+      deviceName: link.devices[i].deviceName,
+      capability: 'alarm_motion',
+      memberKey: `a-${link.devices[i].deviceId}-alarm_motion`,
+      parent: link
+    }));
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(0);
+      device.inputLinks = [link];
+      device.formulas = [{ id: 'f1' }];
+      device.inputLastUpdate = new Map([[first.memberKey, 0], [second.memberKey, 0]]);
+      device.staleMembers = new Set();
+      device.staleInputs = new Set();
+      device.aggregateValues = new Map();
+      device.setInputForFormula = jest.fn(async () => true);
+      device.safeTriggerCard = jest.fn();
+      device.updateConfigAlarm = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should track each device of an aggregated input', async () => {
+      device.resolveLinkValue(first, true);
+      device.resolveLinkValue(second, false);
+
+      // Only the first sensor keeps reporting
+      jest.setSystemTime(50 * 1000);
+      await device.markInputFresh(first);
+      jest.setSystemTime(70 * 1000);
+      await device.checkStaleInputs();
+
+      expect([...device.staleMembers]).toEqual([second.memberKey]);
+      expect(device.staleInputs.has('a')).toBe(true);
+      expect(device.safeTriggerCard).toHaveBeenCalledWith(
+        'input_stale_ld',
+        { input: 'A', source: 'Stairs sensor', age: 70 },
+        { input: 'a' }
+      );
+      // The live sensor still decides the "any" input
+      expect(device.setInputForFormula).toHaveBeenCalledWith('f1', 'a', true);
+
+      // Checked once per device
+      await device.checkStaleInputs();
+      expect(device.safeTriggerCard).toHaveBeenCalledTimes(1);
+    });
+
+    test('should clear the input only when every device reports again', async () => {
+      jest.setSystemTime(70 * 1000);
+      await device.checkStaleInputs();
+      expect(device.staleMembers.size).toBe(2);
+
+      await device.markInputFresh(first);
+      expect(device.staleInputs.has('a')).toBe(true);
+      expect(device.updateConfigAlarm).toHaveBeenCalledTimes(2);
+
+      await device.markInputFresh(second);
+      expect(device.staleInputs.has('a')).toBe(false);
+      expect(device.updateConfigAlarm).toHaveBeenCalledTimes(3);
+    });
+
+    test('should keep the value with onStale "keep"', async () => {
+      device.inputLinks = [{ input: 'b', deviceId: 'd3', capability: 'onoff', maxAgeSeconds: 10, onStale: 'keep' }];
+      device.inputLastUpdate = new Map([['b', 0]]);
+      device.getLinkLabel = () => 'Lamp';
+      jest.setSystemTime(11 * 1000);
+      await device.checkStaleInputs();
+
+      expect(device.staleInputs.has('b')).toBe(true);
+      expect(device.setInputForFormula).not.toHaveBeenCalled();
+      expect(device.safeTriggerCard.mock.calls[0][1]).toEqual({ input: 'B', source: 'Lamp', age: 11 });
+    });
+  });
+
+  describe('Link watchdog', () => {
+    test('should log a listener that fails to unregister when its device is removed', async () => {
+      const link = { input: 'a', deviceId: 'd1', deviceName: 'Hall sensor', capability: 'alarm_motion' };
+      device.inputLinks = [link];
+      device.missingLinks = new Map();
+      device.deviceListeners = new Map([
+        ['a-d1-alarm_motion', { unregister: jest.fn(async () => { throw new Error('socket closed'); }) }]
+      ]);
+      device.updateConfigAlarm = jest.fn();
+
+      await device.onLinkWatchdogEvent('removed', { id: 'd1' });
+
+      expect(device.logger.error).toHaveBeenCalledWith('devicelinks.error_cleanup', {
+        input: 'a',
+        message: 'socket closed'
+      });
+      expect(device.deviceListeners.size).toBe(0);
+      expect(device.missingLinks.get('a')).toBe('Hall sensor');
+      expect(device.updateConfigAlarm).toHaveBeenCalled();
+    });
+  });
+
+  describe('Logic variables', () => {
+    const link = { input: 'a', source: 'variable', variableId: 'v1', variableName: 'Away' };
+    let logic;
+
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    beforeEach(() => {
+      // HomeyAPI.logic is an event emitter with variable.update events
+      logic = new EventEmitter();
+      logic.getVariable = jest.fn(async ({ id }) => (id === 'v1' ? { id, name: 'Away', value: true } : null));
+      logic.connect = jest.fn(async () => {});
+      device.homey = { app: { api: { logic } } };
+      device.getSettings = () => ({ input_links: JSON.stringify([link]) });
+      device.deviceListeners = new Map();
+      device.formulas = [{ id: 'f1', inputStates: {} }];
+      device.setInputForFormula = jest.fn();
+    });
+
+    test('should read the initial value of the variable', async () => {
+      await device.fetchInitialValues([link]);
+
+      expect(logic.getVariable).toHaveBeenCalledWith({ id: 'v1' });
+      expect(device.formulas[0].inputStates.a).toBe(true);
+    });
+
+    test('should update the input on variable.update for the linked variable', async () => {
+      await device.setupDeviceLinks();
+      expect(logic.connect).toHaveBeenCalled();
+      expect(logic.listenerCount('variable.update')).toBe(1);
+
+      logic.emit('variable.update', { id: 'v1', name: 'Away', value: false });
+      await flush();
+
+      expect(device.setInputForFormula).toHaveBeenCalledWith('f1', 'a', false);
+    });
+
+    test('should ignore updates for other variables', async () => {
+      await device.setupDeviceLinks();
+
+      logic.emit('variable.update', { id: 'v2', name: 'Guests', value: false });
+      await flush();
+
+      expect(device.setInputForFormula).not.toHaveBeenCalled();
+    });
+
+    test('should remove the listener on re-link and delete', async () => {
+      await device.setupDeviceLinks();
+      await device.setupDeviceLinks();
+      expect(logic.listenerCount('variable.update')).toBe(1);
+
+      device.getDeviceOutputRegistry = () => null;
+      await device.onDeleted();
+
+      expect(logic.listenerCount('variable.update')).toBe(0);
+      expect(device.deviceListeners.size).toBe(0);
+    });
+
+    test('should list logic variables sorted by name', async () => {
+      const app = Object.create(BooleanToolboxApp.prototype);
+      app.logger = createDevice().logger;
+      app.api = {
+        logic: {
+          getVariables: jest.fn(async () => ({
+            v1: { id: 'v1', name: 'Away', type: 'boolean', value: true },
+            v2: { id: 'v2', name: 'Alarm level', type: 'number', value: 2 }
+          }))
+        }
+      };
+
+      expect(await app.getLogicVariables()).toEqual([
+        { id: 'v2', name: 'Alarm level', type: 'number' },
+        { id: 'v1', name: 'Away', type: 'boolean' }
+      ]);
+    });
+  });
+});
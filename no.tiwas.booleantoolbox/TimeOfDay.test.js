@@ -0,0 +1,61 @@
+/**
+ * Unit Tests for TimeOfDay
+ *
+ * Run with: npm test
+ */
+
+const TimeOfDay = require('./lib/TimeOfDay');
+
+const OSLO = { latitude: 59.91, longitude: 10.75, timeZone: 'Europe/Oslo' };
+// 2024-06-21 12:00 Europe/Oslo
+const MIDSUMMER_NOON = Date.UTC(2024, 5, 21, 10, 0);
+const HOUR = 60 * 60 * 1000;
+
+describe('TimeOfDay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    TimeOfDay.instances.clear();
+  });
+
+  test('should give local time and daylight', () => {
+    const clock = new TimeOfDay(OSLO).getClock(MIDSUMMER_NOON);
+    expect(clock.minutes).toBe(12 * 60);
+    expect(clock.weekday).toBe(5);
+    expect(clock.WEEKDAY).toBe(true);
+    expect(clock.DAYLIGHT).toBe(true);
+    expect(clock.NIGHT).toBe(false);
+    expect(clock.sunrise).toBeLessThan(MIDSUMMER_NOON);
+    expect(clock.sunset).toBeGreaterThan(MIDSUMMER_NOON);
+  });
+
+  test('should leave NIGHT/DAYLIGHT unknown without a location', () => {
+    const clock = new TimeOfDay({ timeZone: 'Europe/Oslo' }).getClock(MIDSUMMER_NOON);
+    expect(clock.NIGHT).toBe(null);
+    expect(clock.DAYLIGHT).toBe(null);
+  });
+
+  test('should share one instance per location', () => {
+    const first = TimeOfDay.forLocation(OSLO);
+    expect(TimeOfDay.forLocation({ ...OSLO })).toBe(first);
+
+    const moved = TimeOfDay.forLocation({ ...OSLO, latitude: 63.43 });
+    expect(moved).not.toBe(first);
+    expect(TimeOfDay.instances.size).toBe(1);
+  });
+
+  test('should compute sun times once per solar day', () => {
+    const spy = jest.spyOn(TimeOfDay, 'sunTimes');
+    const timeOfDay = TimeOfDay.forLocation(OSLO);
+
+    const noon = timeOfDay.getClock(MIDSUMMER_NOON);
+    for (let i = 1; i < 60; i++) {
+      timeOfDay.getClock(MIDSUMMER_NOON + i * 1000);
+    }
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(timeOfDay.getClock(MIDSUMMER_NOON + 6 * HOUR).sunset).toBe(noon.sunset);
+
+    const nextDay = timeOfDay.getClock(MIDSUMMER_NOON + 24 * HOUR);
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(nextDay.sunrise).toBeGreaterThan(noon.sunrise);
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * Unit Tests for WaiterManager
+ *
+ * Run with: npm test
+ */
+
+const WaiterManager = require('./lib/WaiterManager');
+const FormulaCache = require('./lib/FormulaCache');
+
+const NOW = 1700000000000;
+const FLOW = { flowId: 'flow-1', flowToken: 'token-1' };
+const TARGET = { deviceId: 'd1', capability: 'onoff', targetValue: 'true' };
+
+function createHomey() {
+  const settings = {};
+  const cards = {};
+  return {
+    settings: {
+      get: jest.fn((key) => settings[key]),
+      set: jest.fn((key, value) => { settings[key] = JSON.parse(JSON.stringify(value)); })
+    },
+    flow: {
+      getTriggerCard: jest.fn((id) => {
+        if (!cards[id]) cards[id] = { trigger: jest.fn(async () => {}) };
+        return cards[id];
+      })
+    }
+  };
+}
+
+function createApi(value = false) {
+  const device = {
+    id: 'd1',
+    name: 'Lamp',
+    capabilitiesObj: { onoff: { value } },
+    listeners: {},
+    makeCapabilityInstance: jest.fn(async (capability, listener) => {
+      device.listeners[capability] = listener;
+    }),
+    removeListener: jest.fn()
+  };
+  return {
+    device,
+    devices: {
+      getDevice: jest.fn(async ({ id }) => {
+        if (id !== device.id) throw new Error(`Device ${id} not found`);
+        return device;
+      })
+    }
+  };
+}
+
+describe('WaiterManager', () => {
+  let homey;
+  let logger;
+  let manager;
+
+  function createManager() {
+    WaiterManager.instance = null;
+    return new WaiterManager(homey, logger);
+  }
+
+  function lostTrigger() {
+    return homey.flow.getTriggerCard('waiter_lost').trigger;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+    homey = createHomey();
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    manager = createManager();
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    WaiterManager.instance = null;
+    jest.useRealTimers();
+  });
+
+  describe('saveWaiters / restoreWaiters', () => {
+    test('should save the definition of each active waiter', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 60, timeoutUnit: 's' }, FLOW, TARGET);
+
+      expect(homey.settings.get(manager.SETTINGS_KEY)).toEqual([{
+        id: 'w1',
+        created: NOW,
+        deadline: NOW + 60000,
+        flowId: 'flow-1',
+        enabled: true,
+        config: { timeoutValue: 60, timeoutUnit: 's' },
+        deviceConfig: TARGET
+      }]);
+
+      manager.stopWaiter('w1');
+      expect(homey.settings.get(manager.SETTINGS_KEY)).toEqual([]);
+    });
+
+    test('should register the listener again and keep the deadline', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 60, timeoutUnit: 's' }, FLOW, TARGET);
+      manager.destroy();
+
+      jest.setSystemTime(NOW + 20000);
+      manager = createManager();
+      const api = createApi(false);
+      expect(await manager.restoreWaiters(api)).toBe(1);
+
+      expect(api.device.makeCapabilityInstance).toHaveBeenCalledWith('onoff', expect.any(Function));
+      expect(manager.isWaiterActive('w1')).toBe(true);
+      expect(manager.waiters.get('w1').restored).toBe(true);
+      expect(lostTrigger()).not.toHaveBeenCalled();
+
+      // 40s of the original 60s are left
+      jest.advanceTimersByTime(39999);
+      expect(manager.isWaiterActive('w1')).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(manager.isWaiterActive('w1')).toBe(false);
+      expect(lostTrigger()).toHaveBeenCalledWith(
+        { waiter_id: 'w1', reason: 'timeout', flow_id: 'flow-1' },
+        { waiter_id: 'w1' }
+      );
+      expect(homey.flow.getTriggerCard('waiter_resolved').trigger).toHaveBeenCalledWith(
+        expect.objectContaining({ waiter_id: 'w1', result: false, reason: 'resumed', outcome: 'timeout' }),
+        { waiter_id: 'w1' }
+      );
+    });
+
+    test('should fire waiter_lost when a restored waiter matches', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 0 }, FLOW, TARGET);
+      manager.destroy();
+
+      manager = createManager();
+      const api = createApi(false);
+      await manager.restoreWaiters(api);
+
+      await api.device.listeners.onoff(true);
+      expect(manager.isWaiterActive('w1')).toBe(false);
+      expect(api.device.removeListener).toHaveBeenCalledWith('capability.onoff', expect.any(Function));
+      expect(lostTrigger()).toHaveBeenCalledTimes(1);
+      expect(lostTrigger()).toHaveBeenCalledWith(
+        { waiter_id: 'w1', reason: 'matched', flow_id: 'flow-1' },
+        { waiter_id: 'w1' }
+      );
+      // waiter_resolved reports 'resumed' and keeps the real outcome
+      expect(homey.flow.getTriggerCard('waiter_resolved').trigger).toHaveBeenCalledWith(
+        expect.objectContaining({ waiter_id: 'w1', result: true, value: 'true', reason: 'resumed', outcome: 'matched' }),
+        { waiter_id: 'w1' }
+      );
+    });
+
+    test('should fire waiter_lost when the target was reached during the restart', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 60, timeoutUnit: 's' }, FLOW, TARGET);
+      manager.destroy();
+
+      manager = createManager();
+      expect(await manager.restoreWaiters(createApi(true))).toBe(1);
+      expect(manager.isWaiterActive('w1')).toBe(false);
+      expect(lostTrigger()).toHaveBeenCalledWith(
+        expect.objectContaining({ waiter_id: 'w1', reason: 'matched' }),
+        { waiter_id: 'w1' }
+      );
+    });
+
+    test('should not restore waiters whose deadline passed', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 10, timeoutUnit: 's' }, FLOW, TARGET);
+      manager.destroy();
+
+      jest.setSystemTime(NOW + 10000);
+      manager = createManager();
+      const api = createApi(false);
+      expect(await manager.restoreWaiters(api)).toBe(0);
+
+      expect(api.devices.getDevice).not.toHaveBeenCalled();
+      expect(manager.isWaiterActive('w1')).toBe(false);
+      expect(lostTrigger()).toHaveBeenCalledWith(
+        { waiter_id: 'w1', reason: 'timeout', flow_id: 'flow-1' },
+        { waiter_id: 'w1' }
+      );
+      expect(manager.getRecentResolutions()[0]).toMatchObject({ waiterId: 'w1', result: false, reason: 'lost_timeout' });
+      expect(homey.settings.get(manager.SETTINGS_KEY)).toEqual([]);
+    });
+
+    test('should report waiters whose device is gone', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 0 }, FLOW, { ...TARGET, deviceId: 'removed' });
+      manager.destroy();
+
+      manager = createManager();
+      expect(await manager.restoreWaiters(createApi(false))).toBe(0);
+      expect(manager.isWaiterActive('w1')).toBe(false);
+      expect(lostTrigger()).toHaveBeenCalledWith(
+        expect.objectContaining({ waiter_id: 'w1', reason: 'device_unavailable' }),
+        { waiter_id: 'w1' }
+      );
+    });
+
+    test('should do nothing without saved waiters', async () => {
+      expect(await manager.restoreWaiters(createApi(false))).toBe(0);
+      expect(homey.flow.getTriggerCard).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolutions', () => {
+    test('should report the reason of a waiter that was not restored', async () => {
+      await manager.createWaiter('w1', { timeoutValue: 5, timeoutUnit: 's' }, FLOW, TARGET);
+      manager.waiters.get('w1').lastValue = false;
+
+      jest.advanceTimersByTime(5000);
+      expect(homey.flow.getTriggerCard('waiter_resolved').trigger).toHaveBeenCalledWith(
+        { waiter_id: 'w1', result: false, value: 'false', elapsed_ms: 5000, reason: 'timeout', outcome: 'timeout' },
+        { waiter_id: 'w1' }
+      );
+    });
+
+    test('should keep only the most recent resolutions, newest first', () => {
+      for (let i = 1; i <= manager.MAX_RECENT_RESOLUTIONS + 5; i++) {
+        manager.recordResolution({ waiterId: `w${i}`, result: true, reason: 'matched' });
+      }
+
+      const recent = manager.getRecentResolutions();
+      expect(recent).toHaveLength(manager.MAX_RECENT_RESOLUTIONS);
+      expect(recent[0].waiterId).toBe(`w${manager.MAX_RECENT_RESOLUTIONS + 5}`);
+      expect(recent[recent.length - 1].waiterId).toBe('w6');
+      expect(recent[0]).toMatchObject({ result: true, elapsedMs: 0, reason: 'matched', outcome: 'matched' });
+    });
+  });
+
+  describe('targets', () => {
+    const matches = (actual, target) => manager.valueMatches(actual, manager.parseTarget(target));
+
+    test('should keep plain true/false/number/text targets', () => {
+      expect(matches(true, 'true')).toBe(true);
+      expect(matches(false, 'true')).toBe(false);
+      expect(matches(false, 'false')).toBe(true);
+      expect(matches(21, '21')).toBe(true);
+      expect(matches('21', '21')).toBe(false);
+      expect(matches('open', 'open')).toBe(true);
+    });
+
+    test('should compare numbers', () => {
+      expect(matches(20, '>=20')).toBe(true);
+      expect(matches(19.9, '>= 20')).toBe(false);
+      expect(matches(20, '>20')).toBe(false);
+      expect(matches(5, '<=5')).toBe(true);
+      expect(matches(4.9, '<5')).toBe(true);
+      expect(matches('25', '>=20')).toBe(false);
+      expect(matches(null, '<5')).toBe(false);
+    });
+
+    test('should match an inclusive range in either order', () => {
+      expect(matches(18, 'between 18 and 22')).toBe(true);
+      expect(matches(22, 'Between 22 and 18')).toBe(true);
+      expect(matches(22.1, 'between 18 and 22')).toBe(false);
+    });
+
+    test('should match one of several values', () => {
+      expect(matches('opening', 'in (open, opening)')).toBe(true);
+      expect(matches('closed', 'in (open, opening)')).toBe(false);
+      expect(matches(2, 'IN (1, 2, 3)')).toBe(true);
+      expect(matches(true, 'in (true)')).toBe(true);
+    });
+
+    test('should match a number within a tolerance', () => {
+      expect(matches(0.55, '~0.5±0.05')).toBe(true);
+      expect(matches(0.45, '~0.5+-0.05')).toBe(true);
+      expect(matches(0.56, '~0.5±0.05')).toBe(false);
+    });
+
+    test('should reject invalid targets', () => {
+      expect(() => manager.parseTarget('>=warm')).toThrow('Invalid number');
+      expect(() => manager.parseTarget('in ()')).toThrow('Empty value list');
+      expect(() => manager.parseTarget('~0.5±x')).toThrow('Invalid number');
+    });
+
+    test('should parse the target once per waiter', async () => {
+      const spy = jest.spyOn(manager, 'parseTarget');
+      const api = createApi(0);
+      api.device.capabilitiesObj = { dim: { value: 0 } };
+
+      await manager.createWaiter('w1', { timeoutValue: 0 }, FLOW, { deviceId: 'd1', capability: 'dim', targetValue: 'between 0.4 and 0.6' });
+      await manager.registerCapabilityListener('w1', api);
+      await api.device.listeners.dim(0.1);
+      await api.device.listeners.dim(0.3);
+      expect(manager.isWaiterActive('w1')).toBe(true);
+      await api.device.listeners.dim(0.5);
+      expect(manager.isWaiterActive('w1')).toBe(false);
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse to create a waiter with an invalid target', async () => {
+      await expect(manager.createWaiter('w1', { timeoutValue: 0 }, FLOW, { ...TARGET, targetValue: '>x' }))
+        .rejects.toThrow('Invalid number');
+      expect(manager.isWaiterActive('w1')).toBe(false);
+    });
+  });
+
+  describe('hold_for', () => {
+    async function createHoldWaiter(holdForMs, timeoutValue) {
+      const resolver = jest.fn();
+      const api = createApi(false);
+      await manager.createWaiter('w1', { timeoutValue, timeoutUnit: 's' }, FLOW, { ...TARGET, holdForMs });
+      manager.waiters.get('w1').resolver = resolver;
+      await manager.registerCapabilityListener('w1', api);
+      return { resolver, listener: api.device.listeners.onoff };
+    }
+
+    test('should only accept a hold shorter than the timeout', () => {
+      expect(() => manager.validateHoldFor(0, { timeoutValue: 10, timeoutUnit: 's' })).not.toThrow();
+      expect(() => manager.validateHoldFor(9999, { timeoutValue: 10, timeoutUnit: 's' })).not.toThrow();
+      expect(() => manager.validateHoldFor(10000, { timeoutValue: 10, timeoutUnit: 's' })).toThrow('must be shorter than the timeout');
+      expect(() => manager.validateHoldFor(120000, { timeoutValue: 1, timeoutUnit: 'm' })).toThrow('must be shorter than the timeout');
+      // No timeout: any hold is fine
+      expect(() => manager.validateHoldFor(120000, { timeoutValue: 0, timeoutUnit: 's' })).not.toThrow();
+    });
+
+    test('should resolve YES once the target has held', async () => {
+      const { resolver, listener } = await createHoldWaiter(5000, 60);
+
+      await listener(true);
+      jest.advanceTimersByTime(4999);
+      expect(resolver).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(resolver).toHaveBeenCalledWith(true);
+    });
+
+    test('should restart the hold when the value stops matching', async () => {
+      const { resolver, listener } = await createHoldWaiter(5000, 60);
+
+      await listener(true);
+      jest.advanceTimersByTime(4000);
+      await listener(false);
+      jest.advanceTimersByTime(2000);
+      await listener(true);
+      // Another value that matches does not restart the running hold
+      jest.advanceTimersByTime(3000);
+      await listener(true);
+      jest.advanceTimersByTime(1999);
+      expect(resolver).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(resolver).toHaveBeenCalledWith(true);
+    });
+
+    test('should take the NO-output when the hold cannot finish before the timeout', async () => {
+      const { resolver, listener } = await createHoldWaiter(5000, 10);
+
+      jest.advanceTimersByTime(7000);
+      await listener(true);
+      jest.advanceTimersByTime(3000);
+      expect(resolver).toHaveBeenCalledTimes(1);
+      expect(resolver).toHaveBeenCalledWith(false);
+      expect(manager.isWaiterActive('w1')).toBe(false);
+
+      // The cleared hold timer does not fire afterwards
+      jest.advanceTimersByTime(5000);
+      expect(resolver).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('expression waiters', () => {
+    const BINDINGS = [
+      { input: 'A', deviceId: 'd1', capability: 'garage_state' },
+      { input: 'B', deviceId: 'd1', capability: 'measure_temperature' }
+    ];
+
+    test('should convert bound values like Logic Device links', () => {
+      expect(manager.bindingValue(true, 'garage_state')).toBe(true);
+      expect(manager.bindingValue('closed', 'garage_state')).toBe(false);
+      expect(manager.bindingValue('false', 'garage_state')).toBe(false);
+      expect(manager.bindingValue('On', 'garage_state')).toBe(true);
+      expect(manager.bindingValue(21.5, 'measure_temperature')).toBe(21.5);
+      expect(manager.bindingValue(1, 'alarm_contact')).toBe(true);
+      expect(manager.bindingValue(0, 'onoff')).toBe(false);
+      expect(manager.bindingValue(null, 'garage_state')).toBe(undefined);
+      expect(manager.bindingValue(NaN, 'measure_temperature')).toBe(undefined);
+    });
+
+    test('should not treat text or numbers as TRUE in the expression', async () => {
+      const api = createApi(false);
+      api.device.capabilitiesObj = { garage_state: { value: 'closed' }, measure_temperature: { value: 18 } };
+
+      await manager.createWaiter('w1', { timeoutValue: 0 }, FLOW, { expression: 'A AND B > 20', bindings: BINDINGS });
+      await manager.registerCapabilityListener('w1', api);
+      expect(manager.waiters.get('w1').lastValue).toBe('A=false, B=18');
+
+      await api.device.listeners.measure_temperature(21);
+      expect(manager.isWaiterActive('w1')).toBe(true);
+      await api.device.listeners.garage_state('false');
+      expect(manager.isWaiterActive('w1')).toBe(true);
+      await api.device.listeners.garage_state('true');
+      expect(manager.isWaiterActive('w1')).toBe(false);
+    });
+
+    test('should use the converted values to check the current state', async () => {
+      const api = createApi(false);
+      api.device.capabilitiesObj = { garage_state: { value: 'closed' }, measure_temperature: { value: 25 } };
+      const details = {};
+
+      expect(await manager.matchesNow({ expression: 'A', bindings: BINDINGS }, api, details)).toBe(false);
+      expect(details.value).toBe('A=false, B=25');
+      expect(await manager.matchesNow({ expression: 'B > 20', bindings: BINDINGS }, api)).toBe(true);
+    });
+
+    test('should compile expressions through the shared FormulaCache', async () => {
+      const cache = new FormulaCache();
+      cache.clear();
+      expect(manager.formulaCache).toBe(cache);
+
+      const api = createApi(false);
+      api.device.capabilitiesObj = { garage_state: { value: 'closed' }, measure_temperature: { value: 25 } };
+      await manager.createWaiter('w1', { timeoutValue: 0 }, FLOW, { expression: 'A OR B > 20', bindings: BINDINGS });
+      await manager.registerCapabilityListener('w1', api);
+      await api.device.listeners.garage_state('true');
+
+      // Parsed once, every later compile and evaluation reuses the cached AST
+      expect(cache.getStats().misses).toBe(1);
+      expect(cache.getStats().hits).toBeGreaterThan(0);
+    });
+  });
+});
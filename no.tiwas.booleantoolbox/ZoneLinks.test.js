@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for zone links (Logic Device inputs that follow every device in a zone)
+ *
+ * Run with: npm test
+ */
+
+// The Homey SDK is only available on the Homey itself
+jest.mock('homey', () => ({ Device: class {}, Driver: class {}, App: class {} }), { virtual: true });
+
+const BooleanToolboxApp = require('./app');
+const LogicDeviceDevice = require('./drivers/logic-device/device');
+
+const ZONES = {
+  house: { id: 'house', name: 'House', parent: null },
+  ground: { id: 'ground', name: 'Ground floor', parent: 'house' },
+  hall: { id: 'hall', name: 'Hall', parent: 'ground' },
+  garage: { id: 'garage', name: 'Garage', parent: null }
+};
+
+const DEVICES = {
+  d1: { id: 'd1', name: 'Stairs sensor', zone: 'ground', capabilities: ['alarm_motion'] },
+  d2: { id: 'd2', name: 'Hall sensor', zone: 'hall', capabilities: ['alarm_motion', 'measure_temperature'] },
+  d3: { id: 'd3', name: 'House lamp', zone: 'house', capabilities: ['onoff'] },
+  d4: { id: 'd4', name: 'Garage sensor', zone: 'garage', capabilities: ['alarm_motion'] },
+  d5: {
+    id: 'd5',
+    name: 'Motion logic',
+    zone: 'ground',
+    capabilities: ['alarm_motion'],
+    driverUri: 'homey:app:no.tiwas.booleantoolbox:logic-device'
+  }
+};
+
+function createApp() {
+  const app = Object.create(BooleanToolboxApp.prototype);
+  app.logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  app.api = {
+    zones: { getZones: jest.fn(async () => ZONES) },
+    devices: { getDevices: jest.fn(async () => DEVICES) }
+  };
+  return app;
+}
+
+describe('Zone links', () => {
+  describe('App.getZoneLinkDevices', () => {
+    test('should find devices with the capability in the zone', async () => {
+      const result = await createApp().getZoneLinkDevices('ground', 'alarm_motion');
+      expect(result).toEqual({
+        zoneName: 'Ground floor',
+        zoneIds: ['ground'],
+        devices: [{ deviceId: 'd1', deviceName: 'Stairs sensor' }]
+      });
+    });
+
+    test('should include sub-zones at any depth', async () => {
+      const result = await createApp().getZoneLinkDevices('house', 'alarm_motion', true);
+      expect(result.zoneIds).toEqual(['house', 'ground', 'hall']);
+      // Sorted by name; Logic Devices and other zones are left out
+      expect(result.devices).toEqual([
+        { deviceId: 'd2', deviceName: 'Hall sensor' },
+        { deviceId: 'd1', deviceName: 'Stairs sensor' }
+      ]);
+    });
+
+    test('should match on zone, capability and driver', () => {
+      const app = createApp();
+      expect(app.matchesZoneLink(DEVICES.d2, ['hall'], 'alarm_motion')).toBe(true);
+      expect(app.matchesZoneLink(DEVICES.d2, ['ground'], 'alarm_motion')).toBe(false);
+      expect(app.matchesZoneLink(DEVICES.d3, ['house'], 'alarm_motion')).toBe(false);
+      expect(app.matchesZoneLink(DEVICES.d5, ['ground'], 'alarm_motion')).toBe(false);
+      expect(app.matchesZoneLink(null, ['ground'], 'alarm_motion')).toBe(false);
+    });
+  });
+
+  describe('Logic Device membership changes', () => {
+    let device;
+
+    beforeEach(() => {
+      device = Object.create(LogicDeviceDevice.prototype);
+      device.homey = { app: createApp() };
+      device.zoneLinks = new Map([
+        ['a', {
+          zoneName: 'Ground floor',
+          zoneIds: ['ground', 'hall'],
+          capability: 'alarm_motion',
+          devices: [
+            { deviceId: 'd1', deviceName: 'Stairs sensor' },
+            { deviceId: 'd2', deviceName: 'Hall sensor' }
+          ]
+        }]
+      ]);
+    });
+
+    test('should notice a device added to or moved into the zone', () => {
+      expect(device.zoneMembershipChanged('added', { ...DEVICES.d4, zone: 'hall' })).toBe(true);
+      expect(device.zoneMembershipChanged('updated', { ...DEVICES.d4, zone: 'ground' })).toBe(true);
+    });
+
+    test('should notice a member that left, was deleted or lost the capability', () => {
+      expect(device.zoneMembershipChanged('updated', { ...DEVICES.d1, zone: 'garage' })).toBe(true);
+      expect(device.zoneMembershipChanged('removed', DEVICES.d2)).toBe(true);
+      expect(device.zoneMembershipChanged('updated', { ...DEVICES.d2, capabilities: ['measure_temperature'] })).toBe(true);
+    });
+
+    test('should notice a renamed member', () => {
+      expect(device.zoneMembershipChanged('updated', { ...DEVICES.d1, name: 'Landing sensor' })).toBe(true);
+    });
+
+    test('should ignore events that do not change the members', () => {
+      expect(device.zoneMembershipChanged('updated', DEVICES.d1)).toBe(false);
+      expect(device.zoneMembershipChanged('updated', DEVICES.d4)).toBe(false);
+      expect(device.zoneMembershipChanged('added', DEVICES.d5)).toBe(false);
+      expect(device.zoneMembershipChanged('updated', undefined)).toBe(false);
+
+      device.zoneLinks = new Map();
+      expect(device.zoneMembershipChanged('added', { ...DEVICES.d4, zone: 'hall' })).toBe(false);
+    });
+  });
+});
@@ -4,6 +4,8 @@ const Homey = require("homey");
 const Logger = require("./lib/Logger");
 const WaiterManager = require("./lib/WaiterManager");
 const CapturedStateManager = require("./lib/CapturedStateManager");
+const DeviceOutputRegistry = require("./lib/DeviceOutputRegistry");
+const LinkWatchdog = require("./lib/LinkWatchdog");
 
 // Import autocomplete helpers from BaseLogicDriver
 // NOTE: Requires BaseLogicDriver to export them correctly
@@ -94,9 +96,25 @@ module.exports = class BooleanToolboxApp extends Homey.App {
         // Initialize CapturedStateManager
         this.capturedStateManager = new CapturedStateManager(this.homey, this.logger);
 
+        // Initialize DeviceOutputRegistry (cross-device formula references)
+        this.deviceOutputRegistry = new DeviceOutputRegistry(this.homey, this.logger);
+
+        // Initialize LinkWatchdog (Logic Device links after re-pair or API reconnect)
+        this.linkWatchdog = new LinkWatchdog(this.homey, this.logger);
+        if (this.api) {
+            await this.linkWatchdog.start(this.api);
+        }
+
         // Register ALL Flow Cards here using generic methods
         await this.registerAllFlowCards();
 
+        // Restore waiters that were active before the restart (needs the waiter_lost trigger)
+        try {
+            await this.waiterManager.restoreWaiters(this.api);
+        } catch (e) {
+            this.logger.error("Failed to restore waiters", e);
+        }
+
         this.logger.info("App initialization complete.", {});
     }
 
@@ -105,6 +123,9 @@ module.exports = class BooleanToolboxApp extends Homey.App {
         if (this.waiterManager) {
             this.waiterManager.destroy();
         }
+        if (this.linkWatchdog) {
+            this.linkWatchdog.destroy();
+        }
         this.logger.info("App uninitialized.", {});
     }
 
@@ -198,6 +219,95 @@ module.exports = class BooleanToolboxApp extends Homey.App {
         return deviceList;
     }
 
+    async getLogicVariables() {
+        this.logger.debug("app.getting_variables");
+        try {
+            if (!this.api) {
+                const athomApi = require("athom-api");
+                const { HomeyAPI } = athomApi;
+                this.api = await HomeyAPI.forCurrentHomey(this.homey);
+            }
+
+            const variables = await this.api.logic.getVariables();
+            if (!variables) {
+                return [];
+            }
+
+            const variableList = Object.values(variables).map((variable) => ({
+                id: variable.id,
+                name: variable.name,
+                type: variable.type,
+            }));
+            variableList.sort((a, b) => a.name.localeCompare(b.name));
+
+            this.logger.debug("app.found_variables", {
+                count: variableList.length,
+            });
+            return variableList;
+        } catch (e) {
+            this.logger.error("app.error_getting_variables", {
+                message: e.message,
+            });
+            return [];
+        }
+    }
+
+    /**
+     * Devices a dynamic zone link follows: every device in the zone (and its
+     * sub-zones if includeSubzones) that has the capability. Errors are thrown
+     * so the caller can keep its previous member list.
+     * @returns {Promise<{zoneName: string, zoneIds: string[], devices: Array<{deviceId: string, deviceName: string}>}>}
+     */
+    async getZoneLinkDevices(zoneId, capability, includeSubzones = false) {
+        this.logger.debug("app.getting_zone_link_devices", {
+            zoneId,
+            capability,
+        });
+        if (!this.api) {
+            const athomApi = require("athom-api");
+            const { HomeyAPI } = athomApi;
+            this.api = await HomeyAPI.forCurrentHomey(this.homey);
+        }
+
+        const zones = (await this.api.zones.getZones()) || {};
+        const zoneIds = [zoneId];
+        if (includeSubzones) {
+            // Bredde først: legg til soner som har en allerede funnet sone som forelder
+            for (let i = 0; i < zoneIds.length; i++) {
+                Object.values(zones).forEach((zone) => {
+                    if (zone.parent === zoneIds[i] && !zoneIds.includes(zone.id)) {
+                        zoneIds.push(zone.id);
+                    }
+                });
+            }
+        }
+
+        const allDevices = (await this.api.devices.getDevices()) || {};
+        const devices = Object.values(allDevices)
+            .filter((device) => this.matchesZoneLink(device, zoneIds, capability))
+            .map((device) => ({ deviceId: device.id, deviceName: device.name }));
+        devices.sort((a, b) => a.deviceName.localeCompare(b.deviceName));
+
+        this.logger.debug("app.found_zone_link_devices", {
+            count: devices.length,
+            zoneId,
+        });
+        return {
+            zoneName: zones[zoneId] ? zones[zoneId].name : zoneId,
+            zoneIds,
+            devices,
+        };
+    }
+
+    /**
+     * True if a device belongs in a zone link (Logic Devices are never included)
+     */
+    matchesZoneLink(device, zoneIds, capability) {
+        if (!device || !zoneIds.includes(device.zone)) return false;
+        if (device.driverUri?.includes("logic-device")) return false;
+        return (device.capabilities || []).includes(capability);
+    }
+
     // --- Helper for Autocomplete Registration ---
     registerAutocomplete(card, argName, helperFn) {
         try {
@@ -424,6 +534,29 @@ module.exports = class BooleanToolboxApp extends Homey.App {
             this.logger.error(` -> FAILED: Registering APP TRIGGER 'any_config_alarm_state_changed'`, e);
         }
 
+        // Waiter triggers: optional waiter ID filter (empty = all, * as wildcard)
+        const matchWaiterIdArg = async (args, state) => {
+            const pattern = args.waiter_id?.trim();
+            if (!pattern) return true;
+            return this.waiterManager.matchPattern(state?.waiter_id || "", pattern);
+        };
+
+        // Register waiter_lost trigger (waiters whose flow branch ended with a restart)
+        try {
+            this.homey.flow.getTriggerCard("waiter_lost").registerRunListener(matchWaiterIdArg);
+            this.logger.debug(` -> OK: APP TRIGGER registered: 'waiter_lost'`);
+        } catch (e) {
+            this.logger.error(` -> FAILED: Registering APP TRIGGER 'waiter_lost'`, e);
+        }
+
+        // Register waiter_resolved trigger (result tokens for the waiter condition cards)
+        try {
+            this.homey.flow.getTriggerCard("waiter_resolved").registerRunListener(matchWaiterIdArg);
+            this.logger.debug(` -> OK: APP TRIGGER registered: 'waiter_resolved'`);
+        } catch (e) {
+            this.logger.error(` -> FAILED: Registering APP TRIGGER 'waiter_resolved'`, e);
+        }
+
         // Action: Wait (simple delay)
         try {
             const waitCard = this.homey.flow.getActionCard("wait");
@@ -547,12 +680,22 @@ module.exports = class BooleanToolboxApp extends Homey.App {
                     const capability = args.capability?.id || args.capability;
                     const targetValue = args.target_value;
 
+                    // Optional hold_for (seconds): the target must stay matched this long
+                    const holdForMs = Math.min(
+                        Math.max(0, Number(args.hold_for) || 0) * 1000,
+                        this.waiterManager.MAX_TIMEOUT_MS
+                    );
+
                     // Validate capability exists on device
                     if (!device.capabilities || !device.capabilities.includes(capability)) {
                         const availableCaps = device.capabilities ? device.capabilities.join(', ') : 'none';
                         throw new Error(`Capability "${capability}" not found on device "${device.name}". Available capabilities: ${availableCaps}`);
                     }
 
+                    // Validate the target grammar (>=20, between 18 and 22, in (a, b), ~0.5±0.05) and hold_for before waiting
+                    const target = this.waiterManager.parseTarget(targetValue);
+                    this.waiterManager.validateHoldFor(holdForMs, { timeoutValue, timeoutUnit });
+
                     this.logger.info(`🔷 Waiter condition triggered: ${waiterId}`);
                     this.logger.info(`📡 Listening for: ${device.name}.${capability} = ${targetValue}`);
 
@@ -569,14 +712,24 @@ module.exports = class BooleanToolboxApp extends Homey.App {
                                 }
 
                                 // Check current value first - if already matches, resolve immediately
+                                // (with hold_for the hold starts now instead)
+                                let alreadyMatches = false;
                                 try {
                                     const apiDevice = await this.api.devices.getDevice({ id: device.id });
                                     const currentValue = apiDevice.capabilitiesObj[capability]?.value;
 
-                                    if (this.waiterManager.valueMatches(currentValue, targetValue)) {
+                                    alreadyMatches = this.waiterManager.valueMatches(currentValue, target);
+
+                                    if (alreadyMatches && holdForMs === 0) {
                                         this.logger.info(`✅ Value already matches! ${device.name}.${capability} = ${currentValue} (target: ${targetValue})`);
                                         this.logger.info(`🎯 Resolving immediately to YES-output (no wait needed)`);
                                         resolve(true);
+                                        this.waiterManager.reportResolution({
+                                            waiterId,
+                                            result: true,
+                                            value: currentValue,
+                                            reason: 'matched_immediately'
+                                        });
                                         return;
                                     }
 
@@ -600,7 +753,8 @@ module.exports = class BooleanToolboxApp extends Homey.App {
                                 const deviceConfig = {
                                     deviceId: device.id,
                                     capability,
-                                    targetValue
+                                    targetValue,
+                                    holdForMs
                                 };
 
                                 const actualWaiterId = await this.waiterManager.createWaiter(
@@ -622,6 +776,10 @@ module.exports = class BooleanToolboxApp extends Homey.App {
                                     this.api
                                 );
 
+                                if (alreadyMatches && waiterData) {
+                                    this.waiterManager.updateMatch(waiterData, true);
+                                }
+
                                 // Promise stays open until resolver is called by capability listener or timeout
                                 // DO NOT call resolve/reject here - let waiter handle it
                                 this.logger.debug(`⏸️  Waiter ${actualWaiterId} waiting for capability change...`);
@@ -642,6 +800,89 @@ module.exports = class BooleanToolboxApp extends Homey.App {
             this.logger.error(` -> FAILED: Registering CONDITION 'wait_until_becomes_true'`, e);
         }
 
+        // Condition: Wait until expression becomes true
+        try {
+            const waitUntilExpressionCard = this.homey.flow.getConditionCard("wait_until_expression_true");
+            waitUntilExpressionCard.registerRunListener(async (args, state) => {
+                try {
+                    // Generate automatic id if not provided
+                    let waiterId = args.waiter_id?.trim();
+                    if (!waiterId) {
+                        waiterId = `waiter_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+                        this.logger.debug(`🆔 Auto-generated waiter id: ${waiterId}`);
+                    }
+
+                    const timeoutValue = Number(args.timeout_value) || 0;
+                    const timeoutUnit = args.timeout_unit || 's';
+                    const expression = String(args.expression || "").trim();
+
+                    if (!this.api) {
+                        const { HomeyAPI } = require("athom-api");
+                        this.api = await HomeyAPI.forCurrentHomey(this.homey);
+                        this.logger.debug(`🔌 Initialized Homey API for capability listening`);
+                    }
+
+                    // Resolve "A = Device.capability" bindings and validate the expression before waiting
+                    const bindings = await this.waiterManager.resolveExpressionBindings(args.bindings, this.api);
+                    this.waiterManager.compileExpression(expression, bindings);
+                    const deviceConfig = { expression, bindings };
+
+                    this.logger.info(`🔷 Expression waiter triggered: ${waiterId}`);
+                    this.logger.info(`📡 Listening for: ${expression} (${bindings.map(b => `${b.input} = ${b.deviceName}.${b.capability}`).join(", ")})`);
+
+                    // Already true - resolve immediately
+                    try {
+                        const current = {};
+                        if (await this.waiterManager.matchesNow(deviceConfig, this.api, current)) {
+                            this.logger.info(`🎯 Expression already true - resolving immediately to YES-output`);
+                            this.waiterManager.reportResolution({
+                                waiterId,
+                                result: true,
+                                value: current.value,
+                                reason: 'matched_immediately'
+                            });
+                            return true;
+                        }
+                    } catch (error) {
+                        this.logger.warn(`⚠️  Could not check current values, will wait for change: ${error.message}`);
+                    }
+
+                    const flowContext = {
+                        flowId: state?.flowId || 'unknown',
+                        flowToken: state?.flowToken || null
+                    };
+
+                    const actualWaiterId = await this.waiterManager.createWaiter(
+                        waiterId,
+                        { timeoutValue, timeoutUnit },
+                        flowContext,
+                        deviceConfig
+                    );
+
+                    // Promise stays open until the expression becomes true or the waiter times out
+                    return new Promise((resolve, reject) => {
+                        const waiterData = this.waiterManager.waiters.get(actualWaiterId);
+                        if (waiterData) {
+                            waiterData.resolver = resolve;
+                        }
+
+                        this.waiterManager.registerCapabilityListener(actualWaiterId, this.api)
+                            .then(() => this.logger.debug(`⏸️  Waiter ${actualWaiterId} waiting for expression...`))
+                            .catch(error => {
+                                this.waiterManager.removeWaiter(actualWaiterId);
+                                reject(error);
+                            });
+                    });
+                } catch (error) {
+                    this.logger.error(`❌ Expression waiter error:`, error);
+                    throw error;
+                }
+            });
+            this.logger.debug(` -> OK: CONDITION registered: 'wait_until_expression_true'`);
+        } catch (e) {
+            this.logger.error(` -> FAILED: Registering CONDITION 'wait_until_expression_true'`, e);
+        }
+
         // Action: Control waiter
         try {
             const controlWaiterCard = this.homey.flow.getActionCard("control_waiter");
@@ -746,7 +987,8 @@ module.exports = class BooleanToolboxApp extends Homey.App {
 
             const flows = await this.api.flow.getFlows();
 
-            // Search through all flows for wait_until_becomes_true cards
+            // Search through all flows for waiter condition cards
+            const waiterCardIds = ['wait_until_becomes_true', 'wait_until_expression_true'];
             for (const flowId in flows) {
                 const flow = flows[flowId];
 
@@ -755,8 +997,8 @@ module.exports = class BooleanToolboxApp extends Homey.App {
 
                 // Search through all cards
                 for (const card of flow.cards) {
-                    // Find wait_until_becomes_true condition cards
-                    if (card.type === 'condition' && card.id === 'wait_until_becomes_true') {
+                    // Find waiter condition cards
+                    if (card.type === 'condition' && waiterCardIds.includes(card.id)) {
                         // Extract waiter_id from card args
                         const waiterId = card.args?.waiter_id;
                         if (waiterId && typeof waiterId === 'string' && waiterId.trim() !== '') {
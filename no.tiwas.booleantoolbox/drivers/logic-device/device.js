@@ -1,17 +1,24 @@
 "use strict";
 
+const FormulaCache = require("../../lib/FormulaCache");
 const FormulaEvaluator = require("../../lib/FormulaEvaluator");
+const FormulaStateStore = require("../../lib/FormulaStateStore");
+const FormulaTiming = require("../../lib/FormulaTiming");
 const Homey = require("homey");
+const LinkAggregate = require("../../lib/LinkAggregate");
 const Logger = require("../../lib/Logger");
+const TimeOfDay = require("../../lib/TimeOfDay");
 
 module.exports = class LogicDeviceDevice extends Homey.Device {
   async onInit() {
     const driverName = `Device: ${this.driver.id}`;
     this.logger = new Logger(this, driverName);
 
-    // Initialize AST-based formula evaluator for secure evaluation
-    this.formulaEvaluator = new FormulaEvaluator();
+    // Shared cache of compiled (AST) formulas - each expression is parsed once
+    this.formulaCache = new FormulaCache();
     this.logger.info("🔐 AST-based secure formula evaluation enabled");
+    // Formler med "persist": true lagres i device store og gjenopprettes ved oppstart
+    this.formulaStateStore = new FormulaStateStore(this, this.logger);
 
     this.logger.device("device.initializing", {
       name: this.getName(),
@@ -120,6 +127,8 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     });
 
     await this.initializeFormulas();
+    // Saved states first - values fetched from linked devices replace them
+    this.formulaStateStore.restore(this.formulas);
     await this.setupDeviceLinks();
 
     // Validate configuration and set alarm_config
@@ -129,6 +138,24 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     await this.evaluateAllFormulasInitial();
 
     this.startTimeoutChecks();
+    this.formulaStateStore.start();
+
+    // Subscribe to other devices' outputs (@"Name" references) and announce this one
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      this.unsubscribeDeviceOutputs = registry.subscribe((source, reason) =>
+        this.onReferencedDeviceChanged(source, reason),
+      );
+      await registry.notifyOutputChanged(this, "added");
+    }
+
+    // Re-resolve input links when a linked device is removed/re-added or the API reconnects
+    const watchdog = this.homey.app && this.homey.app.linkWatchdog;
+    if (watchdog) {
+      this.unsubscribeLinkWatchdog = watchdog.subscribe((reason, apiDevice) =>
+        this.onLinkWatchdogEvent(reason, apiDevice),
+      );
+    }
 
     // Store current formulas and input_links for change detection
     const currentSettings = this.getSettings();
@@ -265,6 +292,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       });
 
       // Set alarm_config to true to show error visually
+      this.configError = { message: error.message, column: 0 };
       try {
         const previousAlarmConfig = this.getCapabilityValue("alarm_config");
         await this.setCapabilityValue("alarm_config", true);
@@ -296,6 +324,11 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       this.lastKnownFormulas = currentFormulas;
       this.lastKnownInputLinks = currentInputLinks;
 
+      // Drop compiled ASTs for the old expressions
+      this.formulaCache.invalidate(
+        (this.formulas || []).map((f) => f.expression),
+      );
+
       // Reinitialize formulas and validate
       await this.initializeFormulas();
       await this.setupDeviceLinks();
@@ -331,7 +364,9 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         if (!formula.expression) return;
 
         const pattern = /\b([A-J])\b/gi;
-        const matches = formula.expression.match(pattern);
+        const matches = FormulaEvaluator.stripDeviceReferences(
+          formula.expression,
+        ).match(pattern);
 
         if (matches) {
           matches.forEach((letter) => {
@@ -391,6 +426,9 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         enabled: f.enabled !== false,
         timeout: f.timeout || 0,
         firstImpression: f.firstImpression === true,
+        evaluation: f.evaluation === "kleene" ? "kleene" : "boolean",
+        ...FormulaStateStore.parseOptions(f),
+        ...FormulaTiming.parseOptions(f),
         inputStates: {},
         lockedInputs: {},
         lastInputTime: null,
@@ -420,6 +458,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         enabled: true,
         timeout: 0,
         firstImpression: false,
+        evaluation: "boolean",
         inputStates: {},
         lockedInputs: {},
         lastInputTime: null,
@@ -468,6 +507,19 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       }
     }
     this.deviceListeners.clear();
+    this.linkStates = new Map();
+    // Siste verdi per enhet i aggregerte inputs (link.devices)
+    this.aggregateValues = new Map();
+    // maxAgeSeconds: siste oppdatering per input (per enhet i aggregerte inputs),
+    // foreldede enheter, og inputs med minst én foreldet enhet
+    this.inputLastUpdate = new Map();
+    this.staleMembers = new Set();
+    this.staleInputs = new Set();
+    // Inputs uten levende lytter (enhet/variabel mangler) -> config alarm.
+    // Nullstilles her; alle lyttere settes opp på nytt nedenfor.
+    this.missingLinks = new Map();
+    // Navn og sone per input, for relinkByName etter ny paring
+    if (!this.linkTargets) this.linkTargets = new Map();
 
     // Then setup new ones
     const settings = this.getSettings();
@@ -482,13 +534,24 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     }
 
     this.inputLinks = inputLinks;
+    await this.resolveZoneLinks(inputLinks);
+    const setupTime = Date.now();
+    inputLinks.forEach((link) => {
+      if (!link?.input) return;
+      this.getLinkMembers(link).forEach((member) =>
+        this.inputLastUpdate.set(this.getFreshnessKey(member), setupTime),
+      );
+    });
 
     this.logger.debug("devicelinks.count", {
       count: inputLinks.length,
     });
     for (const link of inputLinks) {
       try {
-        await this.setupDeviceListener(link);
+        // Aggregerte inputs: én lytter per enhet i link.devices
+        for (const member of this.getLinkMembers(link)) {
+          await this.setupDeviceListener(member);
+        }
       } catch (e) {
         this.logger.error("devicelinks.setup_failed", {
           input: link.input,
@@ -503,74 +566,206 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     this.logger.info("devicelinks.complete");
   }
 
-  async fetchInitialValues(inputLinks) {
-    if (!this.homey.app.api) {
-      this.logger.error("initial.api_unavailable");
-      return;
-    }
+  /**
+   * Find the current devices of every zone link ("zone" + "capability").
+   * Runs on every link setup, so devices added to or moved into the zone later are included.
+   */
+  async resolveZoneLinks(inputLinks) {
+    const previous = this.zoneLinks || new Map();
+    this.zoneLinks = new Map();
 
     for (const link of inputLinks) {
-      const { input, deviceId, capability } = link;
-      if (!input || !deviceId || !capability) continue;
+      if (!link?.input || !link.zone || !link.capability) continue;
 
+      let resolved;
       try {
-        this.logger.debug("initial.fetching_input", {
-          input: input.toUpperCase(),
-        });
-        const device = await this.homey.app.api.devices.getDevice({
-          id: deviceId,
+        resolved = await this.homey.app.getZoneLinkDevices(
+          link.zone,
+          link.capability,
+          link.subzones === true,
+        );
+      } catch (e) {
+        this.logger.error("zonelinks.resolve_failed", {
+          input: link.input.toUpperCase(),
+          message: e.message,
         });
-        if (!device) {
-          this.logger.warn("initial.device_not_found", {
-            input: input.toUpperCase(),
-          });
-          continue;
+        // Behold forrige medlemsliste hvis API-et ikke svarer
+        if (previous.has(link.input)) {
+          this.zoneLinks.set(link.input, previous.get(link.input));
         }
+        continue;
+      }
 
-        let initialValue = null;
+      const zoneName = link.zoneName || resolved.zoneName;
+      this.zoneLinks.set(link.input, {
+        zoneName,
+        zoneIds: resolved.zoneIds,
+        capability: link.capability,
+        devices: resolved.devices,
+      });
+      this.logger.debug("zonelinks.resolved", {
+        input: link.input.toUpperCase(),
+        zone: zoneName,
+        count: resolved.devices.length,
+      });
+      if (resolved.devices.length === 0) {
+        this.missingLinks.set(link.input, `${zoneName} (${link.capability})`);
+      }
+    }
 
-        if (device.capabilitiesObj && device.capabilitiesObj[capability]) {
-          initialValue = device.capabilitiesObj[capability].value;
-        } else if (
-          device.capabilityValues &&
-          device.capabilityValues[capability] !== undefined
-        ) {
-          initialValue = device.capabilityValues[capability];
-        } else if (device.state && device.state[capability] !== undefined) {
-          initialValue = device.state[capability];
-        }
+    // setSettings() can't be called until onSettings has returned
+    setTimeout(() => this.updateZoneLinkSetting(), 1000);
+  }
 
-        this.logger.input("initial.received_value", {
-          input: input.toUpperCase(),
-          value: initialValue,
-        });
+  /**
+   * Show the devices each zone link follows in the read-only zone_link_devices setting
+   */
+  async updateZoneLinkSetting() {
+    if (this._isDeleting || !this.zoneLinks) return;
+    try {
+      const summary = [...this.zoneLinks]
+        .map(([input, zoneLink]) =>
+          this.homey.__("zonelinks.summary_line", {
+            input: input.toUpperCase(),
+            zone: zoneLink.zoneName,
+            capability: zoneLink.capability,
+            devices:
+              zoneLink.devices.map((entry) => entry.deviceName).join(", ") ||
+              this.homey.__("zonelinks.no_devices"),
+          }),
+        )
+        .join("\n");
+      if (summary !== (this.getSetting("zone_link_devices") || "")) {
+        await this.setSettings({ zone_link_devices: summary });
+      }
+    } catch (e) {
+      this.logger.error("zonelinks.setting_failed", { message: e.message });
+    }
+  }
+
+  /**
+   * True if a device event changes the member list of a zone link
+   * (added to / moved into / moved out of the zone, capability added or removed, renamed, deleted)
+   */
+  zoneMembershipChanged(reason, apiDevice) {
+    if (!apiDevice?.id || !this.zoneLinks?.size) return false;
+
+    for (const zoneLink of this.zoneLinks.values()) {
+      const member = zoneLink.devices.find((entry) => entry.deviceId === apiDevice.id);
+      const belongs =
+        reason !== "removed" &&
+        this.homey.app.matchesZoneLink(apiDevice, zoneLink.zoneIds, zoneLink.capability);
 
-        if (initialValue !== null && initialValue !== undefined) {
-          const boolValue = this.convertToBoolean(initialValue, capability);
+      if (!!member !== belongs) return true;
+      if (member && apiDevice.name && member.deviceName !== apiDevice.name) return true;
+    }
+    return false;
+  }
+
+  async fetchInitialValues(inputLinks) {
+    if (!this.homey.app.api) {
+      this.logger.error("initial.api_unavailable");
+      return;
+    }
+
+    for (const link of inputLinks) {
+      const input = link?.input;
+      if (!input) continue;
+
+      let inputValue = null;
+
+      for (const member of this.getLinkMembers(link)) {
+        const isVariable = member.source === "variable";
+        if (isVariable ? !member.variableId : !member.deviceId || !member.capability)
+          continue;
 
-          this.logger.debug("initial.value_received", {
+        try {
+          this.logger.debug("initial.fetching_input", {
+            input: input.toUpperCase(),
+          });
+          const current = await this.readLinkValue(member);
+          if (!current) {
+            this.logger.warn("initial.device_not_found", {
+              input: input.toUpperCase(),
+            });
+            continue;
+          }
+          const initialValue = current.value;
+          // Et gammelt tidsstempel betyr at sensoren allerede har sluttet å rapportere
+          if (!isNaN(current.lastUpdated)) {
+            this.inputLastUpdate.set(this.getFreshnessKey(member), current.lastUpdated);
+          }
+
+          this.logger.input("initial.received_value", {
             input: input.toUpperCase(),
             value: initialValue,
-            boolean: boolValue,
           });
 
-          for (const formula of this.formulas) {
-            formula.inputStates[input] = boolValue;
+          if (initialValue !== null && initialValue !== undefined) {
+            const boolValue = this.convertLinkValue(member, initialValue);
+            inputValue = this.resolveLinkValue(member, boolValue);
+
+            this.logger.debug("initial.value_received", {
+              input: input.toUpperCase(),
+              value: initialValue,
+              boolean: boolValue,
+            });
+          } else if (member.parent) {
+            inputValue = this.resolveLinkValue(member, "undefined");
           }
-        } else {
-          this.logger.warn("initial.no_value_waiting", {
+        } catch (e) {
+          this.logger.error("initial.error", {
             input: input.toUpperCase(),
+            message: e.message,
           });
         }
-      } catch (e) {
-        this.logger.error("initial.error", {
+      }
+
+      if (inputValue !== null) {
+        for (const formula of this.formulas) {
+          formula.inputStates[input] = inputValue;
+        }
+      } else {
+        this.logger.warn("initial.no_value_waiting", {
           input: input.toUpperCase(),
-          message: e.message,
         });
       }
     }
   }
 
+  /**
+   * Read the current raw value of a device capability or logic variable
+   * @returns {{value: *, lastUpdated: number}|null} null if the device no longer exists
+   */
+  async readLinkValue(link) {
+    if (link.source === "variable") {
+      return { value: await this.getVariableValue(link), lastUpdated: NaN };
+    }
+
+    const device = await this.homey.app.api.devices.getDevice({
+      id: link.deviceId,
+    });
+    if (!device) return null;
+
+    const { capability } = link;
+    if (device.capabilitiesObj && device.capabilitiesObj[capability]) {
+      return {
+        value: device.capabilitiesObj[capability].value,
+        lastUpdated: Date.parse(device.capabilitiesObj[capability].lastUpdated),
+      };
+    }
+    if (
+      device.capabilityValues &&
+      device.capabilityValues[capability] !== undefined
+    ) {
+      return { value: device.capabilityValues[capability], lastUpdated: NaN };
+    }
+    if (device.state && device.state[capability] !== undefined) {
+      return { value: device.state[capability], lastUpdated: NaN };
+    }
+    return { value: null, lastUpdated: NaN };
+  }
+
   async refetchInputsAndEvaluate(source = "unknown") {
     this.logger.info("refetch.invoked", {
       source: source,
@@ -599,6 +794,10 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
   }
 
   async setupDeviceListener(link) {
+    if (link.source === "variable") {
+      return this.setupVariableListener(link);
+    }
+
     const { input, deviceId, capability, deviceName } = link;
 
     this.logger.debug("listener.setting_up", {
@@ -630,6 +829,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
           input: input.toUpperCase(),
           device: deviceId,
         });
+        this.missingLinks.set(input, deviceName || deviceId);
         return;
       }
       this.logger.debug("listener.device_found", {
@@ -646,6 +846,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
           device: deviceId,
           available: targetDevice.capabilities,
         });
+        this.missingLinks.set(input, `${targetDevice.name} (${capability})`);
         return;
       }
       this.logger.debug("listener.capability_found", {
@@ -662,7 +863,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
           value,
         });
 
-        const boolValue = this.convertToBoolean(value, capability);
+        const boolValue = this.convertLinkValue(link, value);
 
         this.logger.debug("listener.capability_changed", {
           input: input.toUpperCase(),
@@ -671,16 +872,8 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
           boolean: boolValue,
         });
 
-        for (const formula of this.formulas) {
-          try {
-            await this.setInputForFormula(formula.id, input, boolValue);
-          } catch (err) {
-            if (!this._isDeleting)
-              this.logger.error("formula.set_input_error", {
-                message: err.message,
-              });
-          }
-        }
+        await this.markInputFresh(link);
+        await this.setLinkedInput(input, this.resolveLinkValue(link, boolValue));
       };
 
       this.logger.debug("listener.registering", {
@@ -695,6 +888,12 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       this.deviceListeners.set(listenerKey, {
         unregister: () => capabilityInstance.destroy(),
       });
+      if (!link.parent) {
+        this.linkTargets.set(input, {
+          name: targetDevice.name,
+          zone: targetDevice.zone,
+        });
+      }
 
       this.logger.debug("listener.registered", {
         input: input.toUpperCase(),
@@ -702,6 +901,8 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         capability,
       });
     } catch (e) {
+      // f.eks. 404 når enheten er slettet
+      this.missingLinks.set(input, deviceName || deviceId);
       this.logger.error("listener.error_setup", {
         input: input.toUpperCase(),
         message: e.message,
@@ -710,9 +911,600 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     }
   }
 
+  /**
+   * Følg en Homey logikkvariabel (link.source "variable") i stedet for en capability.
+   * Link: { "input": "a", "source": "variable", "variableId": "...", "variableName": "House mode" }
+   */
+  async setupVariableListener(link) {
+    const { input, variableId } = link;
+    const variableName = link.variableName || variableId;
+
+    if (!input || !variableId) {
+      this.logger.error("listener.invalid_config", {
+        input: input?.toUpperCase(),
+      });
+      return;
+    }
+
+    try {
+      const api = this.homey.app.api;
+      if (!api) {
+        this.logger.error("listener.api_unavailable");
+        return;
+      }
+
+      const variable = await api.logic.getVariable({ id: variableId });
+      if (!variable) {
+        this.logger.error("listener.variable_not_found", {
+          input: input.toUpperCase(),
+          variable: variableName,
+        });
+        this.missingLinks.set(input, variableName);
+        return;
+      }
+
+      const listenerFn = async (updated) => {
+        if (this._isDeleting || !updated || updated.id !== variableId) return;
+
+        const boolValue = this.convertLinkValue(link, updated.value);
+
+        this.logger.debug("listener.variable_changed", {
+          input: input.toUpperCase(),
+          variable: updated.name || variableName,
+          value: updated.value,
+          boolean: boolValue,
+        });
+
+        await this.markInputFresh(link);
+        await this.setLinkedInput(input, this.resolveLinkValue(link, boolValue));
+      };
+
+      // Sanntidshendelser for logikk krever en åpen tilkobling
+      await api.logic.connect();
+      api.logic.on("variable.update", listenerFn);
+
+      this.deviceListeners.set(`${input}-variable-${variableId}`, {
+        unregister: () => api.logic.removeListener("variable.update", listenerFn),
+      });
+
+      this.logger.debug("listener.variable_registered", {
+        input: input.toUpperCase(),
+        variable: variable.name || variableName,
+      });
+    } catch (e) {
+      this.missingLinks.set(input, variableName);
+      this.logger.error("listener.error_setup", {
+        input: input.toUpperCase(),
+        message: e.message,
+      });
+    }
+  }
+
+  /**
+   * Current value of the Homey logic variable a link follows
+   * @returns {*} The value, or null if the variable no longer exists
+   */
+  async getVariableValue(link) {
+    const variable = await this.homey.app.api.logic.getVariable({
+      id: link.variableId,
+    });
+    if (!variable) {
+      this.logger.warn("listener.variable_not_found", {
+        input: link.input.toUpperCase(),
+        variable: link.variableName || link.variableId,
+      });
+      return null;
+    }
+    return variable.value;
+  }
+
+  /**
+   * Send a converted link value to every formula
+   */
+  async setLinkedInput(input, value) {
+    for (const formula of this.formulas) {
+      try {
+        await this.setInputForFormula(formula.id, input, value);
+      } catch (err) {
+        if (!this._isDeleting)
+          this.logger.error("formula.set_input_error", {
+            message: err.message,
+          });
+      }
+    }
+  }
+
+  /**
+   * The device/capability pairs an input follows: the link itself, or one
+   * member per entry in link.devices (aggregated input) or per device currently
+   * in link.zone (zone link). Members inherit the link's capability and
+   * conversion unless the entry has its own.
+   */
+  getLinkMembers(link) {
+    const entries = link?.zone
+      ? this.zoneLinks?.get(link.input)?.devices || []
+      : link?.devices;
+    if (!Array.isArray(entries)) return [link];
+
+    return entries.map((entry) => {
+      const capability = entry.capability || link.capability;
+      return {
+        input: link.input,
+        deviceId: entry.deviceId,
+        capability,
+        deviceName: entry.deviceName,
+        conversion: entry.conversion || link.conversion,
+        memberKey: `${link.input}-${entry.deviceId}-${capability}`,
+        parent: link,
+      };
+    });
+  }
+
+  /**
+   * Input value for a converted link value: combines the members of an
+   * aggregated link (link.aggregate) and applies link.invert
+   * @param {Object} link - A link, or a member from getLinkMembers()
+   * @param {boolean|number|string} value - Result of convertLinkValue()
+   */
+  resolveLinkValue(link, value) {
+    const owner = link.parent || link;
+    let result = value;
+
+    if (link.parent) {
+      if (!this.aggregateValues) this.aggregateValues = new Map();
+      if (!this.aggregateValues.has(owner.input)) {
+        this.aggregateValues.set(owner.input, new Map());
+      }
+      const values = this.aggregateValues.get(owner.input);
+      values.set(link.memberKey, value);
+
+      const memberValues = this.getLinkMembers(owner).map((member) =>
+        values.has(member.memberKey) ? values.get(member.memberKey) : "undefined",
+      );
+      result = LinkAggregate.combine(
+        memberValues,
+        LinkAggregate.parseMode(owner.aggregate),
+      );
+    }
+
+    return owner.invert === true ? LinkAggregate.invert(result) : result;
+  }
+
+  /**
+   * Human readable source of a link (device, variable or the devices of an aggregated link)
+   */
+  getLinkLabel(link) {
+    if (link.zone) {
+      return this.zoneLinks?.get(link.input)?.zoneName || link.zoneName || link.zone;
+    }
+    if (Array.isArray(link.devices)) {
+      return link.devices.map((entry) => entry.deviceName || entry.deviceId).join(", ");
+    }
+    return String(
+      link.deviceName || link.variableName || link.deviceId || link.variableId || "",
+    );
+  }
+
+  /**
+   * LinkWatchdog event: a device was added/changed/removed or the device API reconnected
+   * @param {string} reason - added|updated|removed|disconnected|reconnected
+   * @param {Object|null} apiDevice - The added or removed device (HomeyAPI)
+   */
+  async onLinkWatchdogEvent(reason, apiDevice) {
+    if (this._isDeleting || !this.missingLinks) return;
+
+    // Sonelinker følger sonen: nye, flyttede og slettede enheter gir ny medlemsliste
+    if (apiDevice && this.zoneMembershipChanged(reason, apiDevice)) {
+      this.logger.info("zonelinks.membership_changed", {
+        device: apiDevice.name || apiDevice.id,
+      });
+      this.scheduleLinkResubscribe("zone_changed");
+    }
+    if (reason === "updated") return;
+
+    const deviceLinks = (this.inputLinks || []).filter(
+      (link) => link?.input && link.source !== "variable" && !link.zone,
+    );
+    const members = deviceLinks.flatMap((link) => this.getLinkMembers(link));
+
+    if (reason === "removed") {
+      const affected = members.filter((link) => link.deviceId === apiDevice?.id);
+      if (affected.length === 0) return;
+
+      for (const link of affected) {
+        this.logger.warn("devicelinks.device_removed", {
+          input: link.input.toUpperCase(),
+          device: link.deviceName || link.deviceId,
+        });
+        this.missingLinks.set(link.input, link.deviceName || link.deviceId);
+        const key = `${link.input}-${link.deviceId}-${link.capability}`;
+        try {
+          await this.deviceListeners.get(key)?.unregister();
+        } catch (e) {
+          this.logger.error("devicelinks.error_cleanup", {
+            input: link.input,
+            message: e.message,
+          });
+        }
+        this.deviceListeners.delete(key);
+      }
+      await this.updateConfigAlarm();
+    } else if (reason === "added") {
+      if (this.missingLinks.size === 0 || !apiDevice) return;
+
+      const sameId = members.some(
+        (link) => this.missingLinks.has(link.input) && link.deviceId === apiDevice.id,
+      );
+      const relinked = await this.relinkByName(deviceLinks, apiDevice);
+      if (sameId || relinked) {
+        this.scheduleLinkResubscribe("device_added");
+      }
+    } else if (reason === "reconnected") {
+      this.scheduleLinkResubscribe("reconnected");
+    }
+  }
+
+  /**
+   * Point missing links with "relinkByName": true at a new device with the
+   * same name and zone (a re-paired device gets a new id), and save the new ids
+   * @returns {boolean} True if a link was changed
+   */
+  async relinkByName(deviceLinks, apiDevice) {
+    let changed = false;
+    for (const link of deviceLinks) {
+      if (link.relinkByName !== true || !this.missingLinks.has(link.input)) continue;
+      if (Array.isArray(link.devices)) continue; // bare enkeltenheter
+
+      // Uten kjent mål (enheten manglet allerede ved oppstart): navnet fra paringen
+      const target = this.linkTargets.get(link.input) || {
+        name: String(link.deviceName || "").replace(/ \([^)]*\)$/, ""),
+      };
+      if (
+        apiDevice.name !== target.name ||
+        (target.zone !== undefined && apiDevice.zone !== target.zone) ||
+        !(apiDevice.capabilities || []).includes(link.capability)
+      ) {
+        continue;
+      }
+
+      this.logger.info("devicelinks.relinked", {
+        input: link.input.toUpperCase(),
+        device: apiDevice.name,
+      });
+      link.deviceId = apiDevice.id;
+      changed = true;
+    }
+
+    if (changed) {
+      const inputLinks = JSON.stringify(this.inputLinks, null, 2);
+      this.lastKnownInputLinks = inputLinks; // ikke last på nytt via settingsPoller
+      await this.setSettings({ input_links: inputLinks });
+    }
+    return changed;
+  }
+
+  /**
+   * Re-subscribe all input links shortly (several watchdog events in a row are handled once)
+   */
+  scheduleLinkResubscribe(reason) {
+    if (this.linkResubscribeTimer) clearTimeout(this.linkResubscribeTimer);
+    this.linkResubscribeTimer = setTimeout(() => {
+      this.linkResubscribeTimer = null;
+      this.resubscribeLinks(reason).catch((e) =>
+        this.logger.error("devicelinks.resubscribe_failed", {
+          message: e.message,
+        }),
+      );
+    }, 2000);
+  }
+
+  /**
+   * Set up every input listener again, fetch current values and re-evaluate.
+   * The result (links missing or OK) is reported through alarm_config and its triggers.
+   */
+  async resubscribeLinks(reason) {
+    if (this._isDeleting) return;
+    this.logger.info("devicelinks.resubscribing", { reason });
+    await this.setupDeviceLinks();
+    await this.evaluateAllFormulasInitial();
+    await this.updateConfigAlarm();
+  }
+
+  /**
+   * Key of the maxAgeSeconds clock: one per device in an aggregated input
+   */
+  getFreshnessKey(member) {
+    return member.memberKey || member.input;
+  }
+
+  /**
+   * A link (or one device of an aggregated link) reported a value:
+   * restart its maxAgeSeconds clock and clear its stale flag
+   */
+  async markInputFresh(member) {
+    const input = member.input;
+    const key = this.getFreshnessKey(member);
+    this.inputLastUpdate?.set(key, Date.now());
+    if (!this.staleMembers?.has(key)) return;
+
+    this.staleMembers.delete(key);
+    // Inputen er frisk først når ingen av enhetene er foreldet
+    const stillStale = [...this.staleMembers].some(
+      (staleKey) => staleKey === input || staleKey.startsWith(`${input}-`),
+    );
+    if (stillStale) return;
+
+    this.staleInputs.delete(input);
+    this.logger.info("stale.recovered", { input: input.toUpperCase() });
+    await this.updateConfigAlarm();
+  }
+
+  /**
+   * Find inputs that have not reported within their link's maxAgeSeconds (runs every second).
+   * Aggregated inputs are checked per device, so one live device doesn't hide a dead one.
+   * link.onStale: "unknown" (default) = the input (or that device) becomes unknown,
+   * "keep" = the last value is kept, the input is only flagged as stale.
+   */
+  async checkStaleInputs() {
+    const now = Date.now();
+    for (const link of this.inputLinks || []) {
+      const maxAge = Number(link?.maxAgeSeconds);
+      if (!link?.input || !(maxAge > 0)) continue;
+
+      for (const member of this.getLinkMembers(link)) {
+        const key = this.getFreshnessKey(member);
+        if (this.staleMembers.has(key)) continue;
+
+        const lastUpdate = this.inputLastUpdate.get(key);
+        if (lastUpdate === undefined || now - lastUpdate <= maxAge * 1000) {
+          continue;
+        }
+        await this.markInputStale(member, Math.round((now - lastUpdate) / 1000));
+      }
+    }
+  }
+
+  /**
+   * @param {Object} member - A link, or a member from getLinkMembers()
+   * @param {number} ageSeconds - Time since the last update
+   */
+  async markInputStale(member, ageSeconds) {
+    const link = member.parent || member;
+    const input = link.input;
+    const keep = link.onStale === "keep";
+    this.staleMembers.add(this.getFreshnessKey(member));
+    this.staleInputs.add(input);
+
+    this.logger.warn("stale.detected", {
+      input: input.toUpperCase(),
+      device: member.deviceName,
+      age: ageSeconds,
+      action: keep ? "keep" : "unknown",
+    });
+
+    await this.safeTriggerCard(
+      "input_stale_ld",
+      {
+        input: input.toUpperCase(),
+        source: member.parent
+          ? member.deviceName || member.deviceId
+          : this.getLinkLabel(link),
+        age: ageSeconds,
+      },
+      { input },
+    );
+
+    if (!keep) {
+      // Aggregert input: bare denne enheten blir ukjent, de andre avgjør fortsatt
+      const value = this.resolveLinkValue(member, "undefined");
+      for (const formula of this.formulas) {
+        const result = await this.setInputForFormula(formula.id, input, value);
+        // Uten inputen kan ikke resultatet avgjøres - ikke la det bli stående
+        if (result === null && formula.result !== null) {
+          formula.result = null;
+          await this.safeSetCapabilityValue("alarm_generic", null);
+          const registry = this.getDeviceOutputRegistry();
+          if (registry) {
+            await registry.notifyOutputChanged(this, "output");
+          }
+        }
+      }
+    }
+
+    await this.updateConfigAlarm();
+  }
+
+  /**
+   * Konverter en rå capability-verdi etter linkens konverteringsregel.
+   *
+   * link.conversion (valgfri):
+   *   { "type": "threshold", "threshold": 21.5, "hysteresis": 0.5, "direction": "above" }
+   *   { "type": "range", "min": 18, "max": 22 }
+   *   { "type": "equals", "value": "open" }   (or "values": ["open", "opening"])
+   *   { "type": "raw" }                        (keep the number for A > 21.5 style formulas)
+   *
+   * Without a rule the legacy convertToBoolean() behaviour is used.
+   * Returns true/false, a number (raw) or "undefined" if the value can't be converted.
+   */
+  convertLinkValue(link, value) {
+    const conversion = link?.conversion;
+    if (!conversion || !conversion.type) {
+      return this.convertToBoolean(value, link.capability);
+    }
+
+    const toNumber = (v) => {
+      if (typeof v === "boolean") return v ? 1 : 0;
+      const num = typeof v === "number" ? v : parseFloat(v);
+      return Number.isFinite(num) ? num : null;
+    };
+
+    switch (conversion.type) {
+      case "raw": {
+        const num = toNumber(value);
+        return num === null ? "undefined" : num;
+      }
+
+      case "threshold": {
+        const num = toNumber(value);
+        if (num === null) return "undefined";
+        const threshold = Number(conversion.threshold);
+        const hysteresis = Math.abs(Number(conversion.hysteresis) || 0);
+        const below = conversion.direction === "below";
+        // Aggregerte inputs har hysterese per enhet
+        const stateKey = link.memberKey || link.input;
+        const previous = this.linkStates?.get(stateKey);
+
+        // Over (eller under) terskel slår på, og den må passere terskel ± hysterese for å slå av igjen
+        let state;
+        if (below) {
+          if (num <= threshold) state = true;
+          else if (num >= threshold + hysteresis) state = false;
+          else state = previous === true;
+        } else {
+          if (num >= threshold) state = true;
+          else if (num <= threshold - hysteresis) state = false;
+          else state = previous === true;
+        }
+
+        if (!this.linkStates) this.linkStates = new Map();
+        this.linkStates.set(stateKey, state);
+        return state;
+      }
+
+      case "range": {
+        const num = toNumber(value);
+        if (num === null) return "undefined";
+        const min = conversion.min ?? -Infinity;
+        const max = conversion.max ?? Infinity;
+        return num >= Number(min) && num <= Number(max);
+      }
+
+      case "equals": {
+        const expected = Array.isArray(conversion.values)
+          ? conversion.values
+          : [conversion.value];
+        const actual = String(value).toLowerCase();
+        return expected.some((v) => String(v).toLowerCase() === actual);
+      }
+
+      default:
+        this.logger.warn("listener.unknown_conversion", {
+          input: link.input?.toUpperCase(),
+          type: conversion.type,
+        });
+        return this.convertToBoolean(value, link.capability);
+    }
+  }
+
+  /**
+   * Check one input link (source, devices/aggregate, staleness options and conversion)
+   * @returns {string|null} Error message, or null if the link is valid
+   */
+  validateLink(link) {
+    // Kilde: "device" (standard, deviceId + capability) eller "variable" (variableId)
+    const source = link?.source || "device";
+    if (!["device", "variable"].includes(source)) {
+      return `unknown source "${source}"`;
+    }
+    if (source === "variable" && !link.variableId) {
+      return "missing variableId";
+    }
+    // Flere enheter i én input: fast liste (devices) eller alle i en sone (zone)
+    if (link.devices !== undefined || link.zone !== undefined) {
+      if (source === "variable") return "devices and zone can't be used with a variable";
+      if (link.devices !== undefined && link.zone !== undefined) {
+        return "use either zone or devices, not both";
+      }
+      if (link.zone !== undefined) {
+        if (typeof link.zone !== "string" || !link.zone) return "zone must be a zone id";
+        if (!link.capability) return "a zone link needs a capability";
+        if (link.subzones !== undefined && typeof link.subzones !== "boolean") {
+          return "subzones must be true or false";
+        }
+      } else {
+        if (!Array.isArray(link.devices) || link.devices.length === 0) {
+          return "devices must be a non-empty list";
+        }
+        const incomplete = link.devices.find(
+          (entry) => !entry?.deviceId || !(entry.capability || link.capability),
+        );
+        if (incomplete) return "every entry in devices needs deviceId and capability";
+      }
+      if (!LinkAggregate.parseMode(link.aggregate)) {
+        return `aggregate must be "any", "all" or "count>=N"`;
+      }
+      if (link.conversion?.type === "raw") {
+        return "raw conversion can't be aggregated";
+      }
+    } else if (link.aggregate !== undefined) {
+      return "aggregate needs a devices list or a zone";
+    }
+    if (link.invert !== undefined && typeof link.invert !== "boolean") {
+      return "invert must be true or false";
+    }
+    if (link.maxAgeSeconds !== undefined) {
+      const maxAge = Number(link.maxAgeSeconds);
+      if (isNaN(maxAge) || maxAge < 0) {
+        return "maxAgeSeconds must be a number of seconds (0 = off)";
+      }
+    }
+    if (link.onStale !== undefined && !["unknown", "keep"].includes(link.onStale)) {
+      return `onStale must be "unknown" or "keep"`;
+    }
+    if (link.relinkByName !== undefined && typeof link.relinkByName !== "boolean") {
+      return "relinkByName must be true or false";
+    }
+    return this.validateConversion(link.conversion);
+  }
+
+  /**
+   * Sjekk at en konverteringsregel er gyldig
+   * @returns {string|null} Feilmelding, eller null hvis regelen er OK
+   */
+  validateConversion(conversion) {
+    if (conversion === undefined || conversion === null) return null;
+    if (typeof conversion !== "object" || Array.isArray(conversion)) {
+      return "conversion must be an object";
+    }
+
+    const isNum = (v) => v !== undefined && v !== null && Number.isFinite(Number(v));
+
+    switch (conversion.type) {
+      case "raw":
+        return null;
+      case "threshold":
+        if (!isNum(conversion.threshold)) return "threshold must be a number";
+        if (conversion.hysteresis !== undefined && !isNum(conversion.hysteresis)) {
+          return "hysteresis must be a number";
+        }
+        if (
+          conversion.direction !== undefined &&
+          conversion.direction !== "above" &&
+          conversion.direction !== "below"
+        ) {
+          return 'direction must be "above" or "below"';
+        }
+        return null;
+      case "range":
+        if (conversion.min === undefined && conversion.max === undefined) {
+          return "range needs min and/or max";
+        }
+        if (conversion.min !== undefined && !isNum(conversion.min)) return "min must be a number";
+        if (conversion.max !== undefined && !isNum(conversion.max)) return "max must be a number";
+        return null;
+      case "equals":
+        if (conversion.value === undefined && !Array.isArray(conversion.values)) {
+          return "equals needs value or values";
+        }
+        return null;
+      default:
+        return `unknown conversion type "${conversion.type}"`;
+    }
+  }
+
   convertToBoolean(value, capability) {
     if (typeof value === "boolean") return value;
-    if (capability.startsWith("alarm_")) return !!value;
+    if (capability?.startsWith("alarm_")) return !!value;
     if (capability === "onoff") return !!value;
     if (typeof value === "number") return value > 0;
     if (typeof value === "string") {
@@ -727,24 +1519,186 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     return !!value;
   }
 
-  async safeSetCapabilityValue(cap, value) {
-    if (this._isDeleting) return;
+  async safeSetCapabilityValue(cap, value) {
+    if (this._isDeleting) return;
+    try {
+      if (!this.hasCapability(cap)) return;
+      await this.setCapabilityValue(cap, value);
+    } catch (e) {
+      const msg = e?.message || "";
+      if (e?.statusCode === 404 || /not\s*found/i.test(msg)) {
+        this.logger.debug("device.capability_skip_deleted", {
+          capability: cap,
+        });
+        return;
+      }
+
+      this.logger.error("device.capability_update_failed", {
+        capability: cap,
+        message: msg,
+      });
+    }
+  }
+
+  /**
+   * App-wide registry of device outputs (null if the app isn't ready)
+   */
+  getDeviceOutputRegistry() {
+    return (this.homey.app && this.homey.app.deviceOutputRegistry) || null;
+  }
+
+  /**
+   * All variables used by a formula's expression (empty if it doesn't parse)
+   */
+  getFormulaVariables(formula) {
+    if (!formula || !formula.expression) return [];
+    try {
+      return this.formulaCache.compile(formula.expression).variables;
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Device references (@"Name" / @"Name".f1) used by a formula
+   */
+  getDeviceReferences(formula) {
+    return this.getFormulaVariables(formula).filter((v) =>
+      FormulaEvaluator.parseDeviceReference(v),
+    );
+  }
+
+  /**
+   * Output of this device as seen by @"Name" references from other devices
+   * @param {string|null} formulaId - A formula id (case-insensitive), or null for alarm_generic
+   * @returns {boolean|null|undefined} undefined if there is no such formula
+   */
+  getDeviceOutput(formulaId) {
+    if (formulaId) {
+      const formula = (this.formulas || []).find(
+        (f) => String(f.id).toUpperCase() === String(formulaId).toUpperCase(),
+      );
+      return formula ? formula.result : undefined;
+    }
+    return this.getCapabilityValue("alarm_generic");
+  }
+
+  /**
+   * Called by the registry when another Boolean Toolbox device changes
+   * @param {Object} source - The device that changed
+   * @param {string} reason - 'output', 'added', 'renamed' or 'removed'
+   */
+  async onReferencedDeviceChanged(source, reason) {
+    if (source === this || this._isDeleting) return;
+    const sourceName = source.getName().trim().toUpperCase();
+
+    const affected = (this.formulas || []).filter((formula) =>
+      this.getDeviceReferences(formula).some((v) => {
+        // Ved navnebytte/sletting kan gamle referanser ha brutt - sjekk alle
+        return (
+          reason !== "output" ||
+          FormulaEvaluator.parseDeviceReference(v).deviceName === sourceName
+        );
+      }),
+    );
+    if (affected.length === 0) return;
+
+    if (reason !== "output") {
+      await this.updateConfigAlarm();
+    }
+    for (const formula of affected) {
+      if (formula.enabled) {
+        await this.evaluateFormula(formula.id);
+      }
+    }
+  }
+
+  async onRenamed(name) {
+    // References use the device name, so let referencing devices re-check theirs
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      await registry.notifyOutputChanged(this, "renamed");
+    }
+  }
+
+  /**
+   * Remember when each input of a formula last changed (used by FOR / WITHIN / RISE / FALL)
+   */
+  recordInputHistory(formula) {
+    const now = Date.now();
+    if (!formula.inputHistory) formula.inputHistory = {};
+    this.availableInputs.forEach((id) => {
+      const raw = formula.inputStates[id];
+      const value = raw === "undefined" ? undefined : raw;
+      const entry = formula.inputHistory[id];
+      if (!entry || entry.value !== value) {
+        formula.inputHistory[id] = {
+          value,
+          since: now,
+          previous: entry ? entry.value : undefined,
+        };
+      }
+    });
+  }
+
+  /**
+   * Temporal context for evaluating a formula (per-input timestamps + per-node state)
+   */
+  getTemporalContext(formula) {
+    // Keyed by sub-expression, not AST node, so it survives re-compiling in the shared cache
+    if (!formula.temporalState) formula.temporalState = new Map();
+    return this.formulaCache.evaluator.createTemporalContext({
+      state: formula.temporalState,
+      history: (name) =>
+        (formula.inputHistory || {})[name.toLowerCase()] || null,
+      clock: this.getClock(),
+    });
+  }
+
+  /**
+   * Time of day for NIGHT / DAYLIGHT / WEEKDAY / WEEKEND / TIME_BETWEEN,
+   * computed locally from the Homey location and time zone
+   */
+  getClock() {
+    const geolocation = this.homey.geolocation;
+    return TimeOfDay.forLocation({
+      latitude: geolocation ? geolocation.getLatitude() : undefined,
+      longitude: geolocation ? geolocation.getLongitude() : undefined,
+      timeZone: this.homey.clock ? this.homey.clock.getTimezone() : undefined,
+    }).getClock();
+  }
+
+  /**
+   * Re-check formulas with time-based operators or a delayed result (runs every
+   * second), and formulas using the time of day when the minute, day or sun changes
+   */
+  async evaluateTemporalFormulas() {
+    const now = this.getClock();
+    const clockKey = `${now.weekday}|${now.minutes}|${now.DAYLIGHT}`;
+    const clockChanged = clockKey !== this.lastClockKey;
+    this.lastClockKey = clockKey;
+
+    this.temporalTick = true;
     try {
-      if (!this.hasCapability(cap)) return;
-      await this.setCapabilityValue(cap, value);
-    } catch (e) {
-      const msg = e?.message || "";
-      if (e?.statusCode === 404 || /not\s*found/i.test(msg)) {
-        this.logger.debug("device.capability_skip_deleted", {
-          capability: cap,
-        });
-        return;
+      for (const formula of this.formulas || []) {
+        if (!formula.enabled || !formula.expression) continue;
+        let temporal = false;
+        let clock = false;
+        try {
+          ({ temporal, clock } = this.formulaCache.compile(formula.expression));
+        } catch (e) {
+          continue;
+        }
+        if (
+          temporal ||
+          (clock && clockChanged) ||
+          FormulaTiming.isPending(formula)
+        ) {
+          await this.evaluateFormula(formula.id);
+        }
       }
-
-      this.logger.error("device.capability_update_failed", {
-        capability: cap,
-        message: msg,
-      });
+    } finally {
+      this.temporalTick = false;
     }
   }
 
@@ -777,6 +1731,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
 
     formula.inputStates[inputId] = value;
     formula.timedOut = false;
+    formula.restored = false; // Fersk verdi - ikke lenger gjenopprettet tilstand
 
     if (
       formula.firstImpression &&
@@ -792,9 +1747,14 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
 
     if (value !== "undefined") {
       formula.lastInputTime = Date.now();
+      FormulaStateStore.touchInput(formula, inputId);
     }
 
-    return await this.evaluateFormula(formulaId);
+    const result = await this.evaluateFormula(formulaId);
+    if (formula.persist) {
+      this.formulaStateStore.scheduleSave();
+    }
+    return result;
   }
 
   async evaluateFormula(formulaId, resetLocks = false) {
@@ -816,6 +1776,8 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       return null;
     }
 
+    this.recordInputHistory(formula);
+
     if (resetLocks && formula.firstImpression) {
       this.availableInputs.forEach((id) => {
         formula.lockedInputs[id] = false;
@@ -832,59 +1794,98 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     }
 
     const requiredInputs = this.parseExpression(expression);
-    if (requiredInputs.length === 0) return null;
+    const deviceRefs = this.getDeviceReferences(formula);
+    if (requiredInputs.length === 0 && deviceRefs.length === 0) return null;
 
     const allInputsDefined = requiredInputs.every(
       (id) => formula.inputStates[id.toLowerCase()] !== "undefined",
     );
+    // Kleene-modus: ukjente inputs er lov, resultatet avgjøres så snart det er bestemt
+    const isKleene = formula.evaluation === "kleene";
 
-    if (!allInputsDefined) {
+    if (!allInputsDefined && !isKleene) {
       this.logger.debug("formula.waiting_for_inputs", {
         name: formula.name,
         required: requiredInputs.join(", "),
       });
+      // Ukjent resultat: en ventende onDelay/offDelay skal ikke publiseres senere
+      FormulaTiming.cancel(formula);
       return null;
     }
 
     try {
-      // Normalize expression to standard keywords for AST evaluation
-      const normalizedExpr = expression
-        .toUpperCase()
-        .replace(/&|\*/g, " AND ")
-        .replace(/\||\+/g, " OR ")
-        .replace(/\^|!=/g, " XOR ")
-        .replace(/!/g, " NOT ")
-        .replace(/\s+/g, " ")
-        .trim();
-
       // Build variables object from formula inputs
       const variables = {};
       requiredInputs.forEach((inputKey) => {
         const inputId = inputKey.toLowerCase();
         const value = formula.inputStates[inputId];
         if (value !== "undefined") {
-          variables[inputKey] = value === true;
+          // Rå tall (conversion "raw") beholdes for sammenligninger
+          variables[inputKey] = typeof value === "number" ? value : value === true;
         }
       });
 
-      // Evaluate using AST (secure - no eval or new Function!)
-      const result = this.formulaEvaluator.evaluate(normalizedExpr, variables);
+      // Referanser til andre enheter (@"Navn".f1) hentes fra registeret
+      const registry = this.getDeviceOutputRegistry();
+      if (registry && deviceRefs.length > 0) {
+        Object.assign(variables, registry.getReferenceValues(deviceRefs));
+      }
 
-      this.logger.debug("🔐 Formula evaluated (AST)", {
-        name: formula.name,
-        result,
-      });
+      // Evaluate using the cached AST (secure - no eval or new Function!)
+      const context = this.getTemporalContext(formula);
+      const evaluated = isKleene
+        ? this.formulaCache.evaluateKleene(expression, variables, context)
+        : this.formulaCache.evaluate(expression, variables, context);
+
+      if (evaluated === null) {
+        // Kleene: still undecided, waiting for more inputs
+        this.logger.debug("formula.waiting_for_inputs", {
+          name: formula.name,
+          required: requiredInputs.join(", "),
+        });
+        FormulaTiming.cancel(formula);
+        return null;
+      }
+
+      // Sekund-tikket for tidsoperatorer logger bare endringer
+      const verbose = !this.temporalTick;
+      if (verbose) {
+        this.logger.debug("🔐 Formula evaluated (AST)", {
+          name: formula.name,
+          result: evaluated,
+        });
+      }
 
       const previousResult = formula.result;
+      // onDelay / offDelay / minOnTime can hold the change back for a while
+      const result = FormulaTiming.apply(formula, evaluated);
       formula.result = result;
       formula.timedOut = false;
+      if (verbose && FormulaTiming.isPending(formula)) {
+        this.logger.debug(
+          `⏳ '${formula.name}' is ${evaluated}, still publishing ${result} (delay)`,
+        );
+      }
 
       // ✅ CRITICAL: Only set alarm_generic (formula output), NOT onoff!
       // onoff is user control (enable/disable), alarm_generic is formula result
       await this.safeSetCapabilityValue("alarm_generic", result);
 
+      // Devices referencing this one (@"Name") re-evaluate too
+      if (previousResult !== result && registry) {
+        await registry.notifyOutputChanged(this, "output");
+      }
+
+      // In Kleene mode the formula also fires when it goes from unknown to decided,
+      // as long as a real input (not the initial evaluation) caused it
+      const decidedFromUnknown =
+        isKleene && previousResult === null && formula.lastInputTime !== null;
+
       // Trigger flows hvis resultatet endret seg
-      if (previousResult !== null && previousResult !== result) {
+      if (
+        previousResult !== result &&
+        (previousResult !== null || decidedFromUnknown)
+      ) {
         // Get current on/off state for context
         const currentOnState = this.getCapabilityValue("onoff");
         
@@ -906,236 +1907,24 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
 
       return result;
     } catch (e) {
+      // A referenced device output that is still unknown
+      if (e.message && e.message.includes("is not defined")) {
+        this.logger.debug("formula.waiting_for_inputs", {
+          name: formula.name,
+          required: e.message,
+        });
+        FormulaTiming.cancel(formula);
+        return null;
+      }
       this.logger.error("formula.evaluation_failed", {
         name: formula.name,
         message: e.message,
       });
+      FormulaTiming.cancel(formula);
       return null;
     }
   }
 
-  evaluateBooleanExpression(expression, inputStates) {
-    // Parse expression til AST (Abstract Syntax Tree)
-    const tokens = this.tokenize(expression);
-    const ast = this.parse(tokens);
-
-    // Evaluer AST med input-verdier
-    return this.evaluateAST(ast, inputStates);
-  }
-
-  tokenize(expression) {
-    const tokens = [];
-    let i = 0;
-    const expr = expression.toUpperCase().trim();
-
-    while (i < expr.length) {
-      // Skip whitespace
-      if (/\s/.test(expr[i])) {
-        i++;
-        continue;
-      }
-
-      // Operators
-      if (expr[i] === "(") {
-        tokens.push({ type: "LPAREN", value: "(" });
-        i++;
-      } else if (expr[i] === ")") {
-        tokens.push({ type: "RPAREN", value: ")" });
-        i++;
-      } else if (expr[i] === "!") {
-        if (expr[i + 1] === "=") {
-          tokens.push({ type: "XOR", value: "!=" });
-          i += 2;
-        } else {
-          tokens.push({ type: "NOT", value: "!" });
-          i++;
-        }
-      } else if (expr[i] === "&") {
-        if (expr[i + 1] === "&") {
-          i += 2;
-        } else {
-          i++;
-        }
-        tokens.push({ type: "AND", value: "&&" });
-      } else if (expr[i] === "|") {
-        if (expr[i + 1] === "|") {
-          i += 2;
-        } else {
-          i++;
-        }
-        tokens.push({ type: "OR", value: "||" });
-      } else if (expr[i] === "*") {
-        tokens.push({ type: "AND", value: "*" });
-        i++;
-      } else if (expr[i] === "+") {
-        tokens.push({ type: "OR", value: "+" });
-        i++;
-      } else if (expr[i] === "^") {
-        tokens.push({ type: "XOR", value: "^" });
-        i++;
-      }
-      // Keywords
-      else if (expr.substr(i, 3) === "AND") {
-        tokens.push({ type: "AND", value: "AND" });
-        i += 3;
-      } else if (expr.substr(i, 2) === "OR") {
-        tokens.push({ type: "OR", value: "OR" });
-        i += 2;
-      } else if (expr.substr(i, 3) === "XOR") {
-        tokens.push({ type: "XOR", value: "XOR" });
-        i += 3;
-      } else if (expr.substr(i, 3) === "NOT") {
-        tokens.push({ type: "NOT", value: "NOT" });
-        i += 3;
-      }
-      // Variables (A-J)
-      else if (/[A-J]/.test(expr[i])) {
-        tokens.push({ type: "VAR", value: expr[i] });
-        i++;
-      } else {
-        throw new Error(`Uventet tegn: "${expr[i]}" på posisjon ${i}`);
-      }
-    }
-
-    return tokens;
-  }
-
-  // Parser (konverterer tokens til AST)
-  parse(tokens) {
-    let pos = 0;
-
-    const peek = () => tokens[pos];
-    const consume = () => tokens[pos++];
-
-    // OR har lavest presedens
-    const parseOr = () => {
-      let left = parseXor();
-
-      while (peek() && peek().type === "OR") {
-        consume();
-        const right = parseXor();
-        left = { type: "OR", left, right };
-      }
-
-      return left;
-    };
-
-    // XOR har medium presedens
-    const parseXor = () => {
-      let left = parseAnd();
-
-      while (peek() && peek().type === "XOR") {
-        consume();
-        const right = parseAnd();
-        left = { type: "XOR", left, right };
-      }
-
-      return left;
-    };
-
-    // AND har høy presedens
-    const parseAnd = () => {
-      let left = parseNot();
-
-      while (peek() && peek().type === "AND") {
-        consume();
-        const right = parseNot();
-        left = { type: "AND", left, right };
-      }
-
-      return left;
-    };
-
-    // NOT har høyest presedens (unær operator)
-    const parseNot = () => {
-      if (peek() && peek().type === "NOT") {
-        consume();
-        const operand = parseNot(); // Støtter multiple NOT
-        return { type: "NOT", operand };
-      }
-
-      return parsePrimary();
-    };
-
-    // Primary: variabler eller parenteser
-    const parsePrimary = () => {
-      const token = peek();
-
-      if (!token) {
-        throw new Error("Uventet slutt på uttrykk");
-      }
-
-      if (token.type === "VAR") {
-        consume();
-        return { type: "VAR", value: token.value };
-      }
-
-      if (token.type === "LPAREN") {
-        consume(); // (
-        const expr = parseOr();
-
-        if (!peek() || peek().type !== "RPAREN") {
-          throw new Error("Manglende avsluttende parentes");
-        }
-        consume(); // )
-
-        return expr;
-      }
-
-      throw new Error(`Uventet token: ${token.type}`);
-    };
-
-    const ast = parseOr();
-
-    if (pos < tokens.length) {
-      throw new Error(`Uventet token etter slutten: ${tokens[pos].type}`);
-    }
-
-    return ast;
-  }
-
-  // Evaluerer AST med gitte input-verdier
-  evaluateAST(node, inputStates) {
-    if (!node) {
-      throw new Error("Tomt AST-node");
-    }
-
-    switch (node.type) {
-      case "VAR": {
-        const value = inputStates[node.value.toLowerCase()];
-        if (value === "undefined") {
-          throw new Error(`Variabel ${node.value} er ikke definert`);
-        }
-        return value === true || value === "true";
-      }
-
-      case "NOT": {
-        return !this.evaluateAST(node.operand, inputStates);
-      }
-
-      case "AND": {
-        const left = this.evaluateAST(node.left, inputStates);
-        const right = this.evaluateAST(node.right, inputStates);
-        return left && right;
-      }
-
-      case "OR": {
-        const left = this.evaluateAST(node.left, inputStates);
-        const right = this.evaluateAST(node.right, inputStates);
-        return left || right;
-      }
-
-      case "XOR": {
-        const left = this.evaluateAST(node.left, inputStates);
-        const right = this.evaluateAST(node.right, inputStates);
-        return left !== right;
-      }
-
-      default:
-        throw new Error(`Ukjent node-type: ${node.type}`);
-    }
-  }
-
   async evaluateAllFormulasInitial() {
     this.logger.info("evaluation.initial_complete");
 
@@ -1148,13 +1937,17 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       if (!expression) continue;
 
       const requiredInputs = this.parseExpression(expression);
-      if (requiredInputs.length === 0) continue;
+      if (
+        requiredInputs.length === 0 &&
+        this.getDeviceReferences(formula).length === 0
+      )
+        continue;
 
       const allInputsDefined = requiredInputs.every(
         (id) => formula.inputStates[id.toLowerCase()] !== "undefined",
       );
 
-      if (allInputsDefined) {
+      if (allInputsDefined || formula.evaluation === "kleene") {
         this.logger.debug("formula.all_inputs_defined", {
           name: formula.name,
         });
@@ -1198,7 +1991,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     const inputs = this.getAvailableInputsUppercase();
     if (!inputs.length) return [];
     const varRe = new RegExp(`\\b(${inputs.join("|")})\\b`, "gi");
-    const matches = expression.match(varRe);
+    const matches = FormulaEvaluator.stripDeviceReferences(expression).match(varRe);
     return matches ? [...new Set(matches.map((c) => c.toUpperCase()))] : [];
   }
 
@@ -1218,55 +2011,63 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         error: this.homey.__("formula.error_no_inputs"),
       };
 
+    const keywords = [
+      "AND",
+      "OR",
+      "XOR",
+      "NOT",
+      "FOR",
+      "WITHIN",
+      "OF",
+      ...Object.keys(FormulaEvaluator.FUNCTIONS),
+      ...FormulaEvaluator.CLOCK_VARIABLES,
+    ];
     const tokenRe = new RegExp(
-      `\\b(?:AND|OR|XOR|NOT)\\b|&&|\\|\\||&|\\||\\^|!=|\\*|\\+|!|\\(|\\)|\\b(?:${inputs.join("|")})\\b`,
+      `\\b(?:${keywords.join("|")})\\b|\\d{1,2}:\\d{2}|\\d+(?:\\.\\d+)?(?:ms|s|m|h)\\b|,|&&|\\|\\||&|\\||\\^|!=|\\*|\\+|!|\\(|\\)|>=|<=|==|>|<|-?\\d+(?:\\.\\d+)?|\\b(?:${inputs.join("|")})\\b`,
       "gi",
     );
 
-    const stripped = upper.replace(tokenRe, "").replace(/\s+/g, "");
-    if (stripped.length > 0) {
-      return {
-        valid: false,
-        error: this.homey.__("formula.invalid_tokens", {
-          tokens: stripped,
-        }),
-      };
-    }
+    try {
+      // Compile first: syntax errors (bad characters, unbalanced parentheses,
+      // unknown inputs) come back with the column where they occur
+      const { ast, variables } = this.formulaCache.compile(expression);
+      const deviceRefs = variables.filter((v) =>
+        FormulaEvaluator.parseDeviceReference(v),
+      );
+      this.formulaCache.evaluator.assertKnownVariables(
+        ast,
+        (v) => inputs.includes(v) || deviceRefs.includes(v),
+      );
 
-    let depth = 0;
-    for (const ch of upper) {
-      if (ch === "(") depth++;
-      else if (ch === ")") depth--;
-      if (depth < 0)
+      const stripped = FormulaEvaluator.stripDeviceReferences(upper)
+        .replace(tokenRe, "")
+        .replace(/\s+/g, "");
+      if (stripped.length > 0) {
         return {
           valid: false,
-          error: this.homey.__("formula.error_unbalanced_parentheses"),
+          error: this.homey.__("formula.invalid_tokens", {
+            tokens: stripped,
+          }),
         };
-    }
-    if (depth !== 0)
-      return {
-        valid: false,
-        error: this.homey.__("formula.error_unbalanced_parentheses"),
-      };
-
-    // Normalize alternative syntax to standard keywords for AST evaluation
-    let normalizedExpr = upper
-      .replace(/&|\*/g, " AND ")
-      .replace(/\||\+/g, " OR ")
-      .replace(/\^|!=/g, " XOR ")
-      .replace(/!/g, " NOT ")
-      .replace(/\s+/g, " ")
-      .trim();
+      }
 
-    try {
       // Create test variables (all set to true for validation)
       const testVars = {};
       inputs.forEach((input) => {
         testVars[input] = true;
       });
+      deviceRefs.forEach((ref) => {
+        testVars[ref] = true;
+      });
 
       // Try to evaluate with test values using AST (secure!)
-      this.formulaEvaluator.evaluate(normalizedExpr, testVars);
+      this.formulaCache.evaluate(
+        expression,
+        testVars,
+        this.formulaCache.evaluator.createTemporalContext({
+          clock: this.getClock(),
+        }),
+      );
 
       return {
         valid: true,
@@ -1275,12 +2076,37 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       return {
         valid: false,
         error: this.homey.__("formula.invalid_syntax", {
-          message: e.message,
+          message: this.formatFormulaError(e, expression),
         }),
+        details: FormulaEvaluator.describeError(e, expression),
       };
     }
   }
 
+  /**
+   * Localised error text; syntax errors get the column and an excerpt,
+   * e.g. "Unexpected character '$' (column 7: A AND [$] B)"
+   */
+  formatFormulaError(error, expression) {
+    const info = FormulaEvaluator.describeError(error, expression);
+    if (info.column === null) {
+      return info.message;
+    }
+
+    let message =
+      this.homey.__(`syntax.${info.code.toLowerCase()}`, info.params) ||
+      info.message;
+    if (info.expected.length > 0) {
+      message += ` ${this.homey.__("syntax.expected", {
+        expected: info.expected.join(", "),
+      })}`;
+    }
+    return `${message} (${this.homey.__("syntax.location", {
+      column: info.column,
+      excerpt: info.excerpt,
+    })})`;
+  }
+
   /**
    * Validate configuration and update alarm_config capability
    * Sets alarm_config to true if there are JSON parsing errors or invalid formulas
@@ -1295,6 +2121,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
 
     let hasError = false;
     let errorReason = "";
+    let errorColumn = 0; // 1-based column of a syntax error, 0 = none
     const settings = this.getSettings();
 
     // Check if formulas JSON is valid
@@ -1363,6 +2190,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
             if (!validation.valid) {
               hasError = true;
               errorReason = `Ugyldig formel "${formula.name}": ${validation.error}`;
+              errorColumn = validation.details?.column || 0;
               this.logger.warn("⚠️ config.validation_failed", {
                 formula: formula.name || formula.id,
                 error: validation.error,
@@ -1381,6 +2209,28 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
               });
             }
           }
+
+          // Validate persistMaxAge (optional, seconds, 0 = no limit)
+          if (!hasError && formula.persistMaxAge !== undefined) {
+            const maxAge = Number(formula.persistMaxAge);
+            if (isNaN(maxAge) || maxAge < 0) {
+              hasError = true;
+              errorReason = `Ugyldig persistMaxAge-verdi: ${formula.persistMaxAge}`;
+              this.logger.warn("⚠️ config.validation_failed", {
+                reason: errorReason,
+              });
+            }
+          }
+
+          // Validate onDelay / offDelay / minOnTime (optional, seconds)
+          const invalidTiming = !hasError && FormulaTiming.findInvalidOption(formula);
+          if (invalidTiming) {
+            hasError = true;
+            errorReason = `Ugyldig ${invalidTiming}-verdi: ${formula[invalidTiming]}`;
+            this.logger.warn("⚠️ config.validation_failed", {
+              reason: errorReason,
+            });
+          }
         }
       }
     } catch (e) {
@@ -1403,6 +2253,17 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         this.logger.warn("config.validation_failed", {
           reason: "Input links is not an array",
         });
+      } else {
+        for (const link of inputLinks) {
+          const linkError = this.validateLink(link);
+          if (linkError) {
+            hasError = true;
+            errorReason = `Input ${String(link.input).toUpperCase()}: ${linkError}`;
+            this.logger.warn("config.validation_failed", {
+              reason: errorReason,
+            });
+          }
+        }
       }
     } catch (e) {
       hasError = true;
@@ -1412,6 +2273,63 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       });
     }
 
+    // Referanser til andre enheter som ikke finnes (f.eks. etter navnebytte)
+    const registry = this.getDeviceOutputRegistry();
+    if (!hasError && registry) {
+      for (const formula of this.formulas || []) {
+        const references = this.getDeviceReferences(formula);
+        // Flere enheter med samme navn - ikke gjett hvilken som menes
+        const ambiguous = registry.getAmbiguousReferences(references);
+        const unresolved = registry.getUnresolvedReferences(references);
+        if (ambiguous.length > 0 || unresolved.length > 0) {
+          hasError = true;
+          errorReason = ambiguous.length > 0
+            ? this.homey.__(
+              "formula.error_ambiguous_device_reference",
+              { references: ambiguous.join(", ") },
+            )
+            : this.homey.__(
+              "formula.error_unresolved_device_reference",
+              { references: unresolved.join(", ") },
+            );
+          this.logger.warn("config.validation_failed", {
+            formula: formula.name,
+            reason: errorReason,
+          });
+          break;
+        }
+      }
+    }
+
+    // Linkede enheter/variabler som ikke finnes (slettet, ny paring)
+    if (!hasError && this.missingLinks?.size > 0) {
+      hasError = true;
+      errorReason = this.homey.__("devicelinks.error_missing", {
+        inputs: [...this.missingLinks]
+          .map(([id, name]) => `${id.toUpperCase()} (${name})`)
+          .join(", "),
+      });
+      this.logger.warn("config.validation_failed", {
+        reason: errorReason,
+      });
+    }
+
+    // Inputs som ikke har rapportert innen maxAgeSeconds (f.eks. tomt batteri)
+    if (!hasError && this.staleInputs?.size > 0) {
+      hasError = true;
+      errorReason = this.homey.__("stale.error_config", {
+        inputs: [...this.staleInputs].map((id) => id.toUpperCase()).join(", "),
+      });
+      this.logger.warn("config.validation_failed", {
+        reason: errorReason,
+      });
+    }
+
+    // Siste feil, for flow-tokens (config alarm trigger og validate_config_ld)
+    this.configError = hasError
+      ? { message: errorReason, column: errorColumn }
+      : null;
+
     // Update alarm_config capability
     try {
       await this.setCapabilityValue("alarm_config", hasError);
@@ -1442,6 +2360,16 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     }
   }
 
+  /**
+   * Flow tokens describing the current configuration error (empty when valid)
+   */
+  getConfigErrorTokens() {
+    return {
+      error_message: this.configError?.message || "",
+      error_column: this.configError?.column || 0,
+    };
+  }
+
   /**
    * Trigger config_alarm_changed_to flow cards (both device-level and app-level)
    */
@@ -1452,6 +2380,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       const tokens = {
         device_name: this.getName(),
         alarm_state: alarmState,
+        ...this.getConfigErrorTokens(),
       };
       const state = {
         alarm_state: alarmState,
@@ -1475,6 +2404,7 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       const tokens = {
         device_name: this.getName(),
         alarm_state: alarmState,
+        ...this.getConfigErrorTokens(),
       };
 
       await stateCard.trigger(this, tokens);
@@ -1562,7 +2492,10 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
   async onFlowActionValidateConfig(args, state) {
     this.logger.info("🔍 Manual configuration validation triggered");
     await this.updateConfigAlarm();
-    return true;
+    return {
+      valid: !this.configError,
+      ...this.getConfigErrorTokens(),
+    };
   }
 
   /**
@@ -1614,6 +2547,13 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       return hasError;
     }
 
+    // Check if the formula state was restored after a restart (and no input has arrived since)
+    if (checkType === "restored") {
+      const isRestored = this.formulas.some((f) => f.restored === true);
+      this.logger.debug("Condition check: restored", { isRestored });
+      return isRestored;
+    }
+
     // Check formula result (checkType is boolean: true or false)
     if (typeof checkType === "boolean") {
       // For Logic Device there's only one formula, use alarm_generic capability
@@ -1676,6 +2616,16 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       }
 
       this.checkTimeouts();
+      this.checkStaleInputs().catch((e) =>
+        this.logger.error("stale.check_failed", {
+          message: e.message,
+        }),
+      );
+      this.evaluateTemporalFormulas().catch((e) =>
+        this.logger.error("formula.evaluation_failed", {
+          message: e.message,
+        }),
+      );
     }, 1000);
   }
 
@@ -1706,6 +2656,9 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
           timeout: formula.timeout,
         });
         formula.timedOut = true;
+        if (formula.persist) {
+          this.formulaStateStore.scheduleSave();
+        }
 
         const triggerData = {
           formula: {
@@ -1830,9 +2783,26 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
           }),
         );
       }
+
+      for (const link of Array.isArray(parsedLinks) ? parsedLinks : []) {
+        const conversionError = this.validateConversion(link?.conversion);
+        if (conversionError) {
+          throw new Error(
+            this.homey.__("parse.error_conversion_invalid", {
+              input: String(link?.input).toUpperCase(),
+              message: conversionError,
+            }),
+          );
+        }
+      }
     }
 
     if (changedKeys.includes("formulas")) {
+      // Drop compiled ASTs for the old expressions
+      this.formulaCache.invalidate(
+        (this.formulas || []).map((f) => f.expression),
+      );
+
       this.formulas = parsedFormulas.map((f) => ({
         id: f.id,
         name: f.name,
@@ -1840,6 +2810,9 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
         enabled: f.enabled !== false,
         timeout: f.timeout ?? 0,
         firstImpression: f.firstImpression === true,
+        evaluation: f.evaluation === "kleene" ? "kleene" : "boolean",
+        ...FormulaStateStore.parseOptions(f),
+        ...FormulaTiming.parseOptions(f),
         inputStates: {},
         lockedInputs: {},
         lastInputTime: null,
@@ -1930,61 +2903,55 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     }
 
     for (const link of links) {
-      this.logger.debug("polling.input", {
-        input: link.input,
-        device: link.deviceId,
-        capability: link.capability,
-      });
-      try {
-        const dev = await this.homey.app.api.devices.getDevice({
-          id: link.deviceId,
-        });
-        if (!dev) {
-          this.logger.warn("polling.device_not_found", {
-            device: link.deviceId,
-          });
-          continue;
-        }
+      let boolValue = null;
 
-        let raw = null;
-        if (dev.capabilitiesObj && dev.capabilitiesObj[link.capability]) {
-          raw = dev.capabilitiesObj[link.capability].value;
-        } else if (
-          dev.capabilityValues &&
-          dev.capabilityValues[link.capability] !== undefined
-        ) {
-          raw = dev.capabilityValues[link.capability];
-        } else if (dev.state && dev.state[link.capability] !== undefined) {
-          raw = dev.state[link.capability];
-        }
+      for (const member of this.getLinkMembers(link)) {
+        this.logger.debug("polling.input", {
+          input: member.input,
+          device: member.deviceId || member.variableName || member.variableId,
+          capability: member.capability || member.source,
+        });
+        try {
+          const current = await this.readLinkValue(member);
+          if (!current) {
+            this.logger.warn("polling.device_not_found", {
+              device: member.deviceId,
+            });
+            continue;
+          }
 
-        if (raw === null || raw === undefined) {
-          this.logger.warn("polling.no_value", {
-            input: link.input.toUpperCase(),
-            capability: link.capability,
-          }); // FIKSET: Fjernet ekstra parentes her
-          continue;
-        }
+          const raw = current.value;
+          if (raw === null || raw === undefined) {
+            this.logger.warn("polling.no_value", {
+              input: member.input.toUpperCase(),
+              capability: member.capability,
+            }); // FIKSET: Fjernet ekstra parentes her
+            if (member.parent) boolValue = this.resolveLinkValue(member, "undefined");
+            continue;
+          }
 
-        const boolValue = this.convertToBoolean(raw, link.capability);
+          const converted = this.convertLinkValue(member, raw);
+          boolValue = this.resolveLinkValue(member, converted);
 
-        this.logger.input("polling.value_received", {
-          input: link.input.toUpperCase(),
-          value: raw,
-          boolean: boolValue,
-        });
+          this.logger.input("polling.value_received", {
+            input: member.input.toUpperCase(),
+            value: raw,
+            boolean: converted,
+          });
+        } catch (e) {
+          this.logger.error("polling.failed", {
+            input: member.input,
+            message: e.message,
+          });
+        }
+      }
 
-        for (const formula of this.formulas) {
-          formula.inputStates[link.input] = boolValue;
-          if (boolValue !== "undefined") {
-            formula.lastInputTime = Date.now();
-          }
+      if (boolValue === null) continue;
+      for (const formula of this.formulas) {
+        formula.inputStates[link.input] = boolValue;
+        if (boolValue !== "undefined") {
+          formula.lastInputTime = Date.now();
         }
-      } catch (e) {
-        this.logger.error("polling.failed", {
-          input: link.input,
-          message: e.message,
-        });
       }
     }
   }
@@ -2011,6 +2978,23 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
     }
     this.deviceListeners.clear();
 
+    if (this.unsubscribeDeviceOutputs) {
+      this.unsubscribeDeviceOutputs();
+      this.unsubscribeDeviceOutputs = null;
+    }
+    if (this.unsubscribeLinkWatchdog) {
+      this.unsubscribeLinkWatchdog();
+      this.unsubscribeLinkWatchdog = null;
+    }
+    if (this.linkResubscribeTimer) {
+      clearTimeout(this.linkResubscribeTimer);
+      this.linkResubscribeTimer = null;
+    }
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      await registry.notifyOutputChanged(this, "removed");
+    }
+
     if (this.timeoutInterval) {
       clearInterval(this.timeoutInterval);
       this.timeoutInterval = null;
@@ -2021,6 +3005,10 @@ module.exports = class LogicDeviceDevice extends Homey.Device {
       this.settingsPoller = null;
     }
 
+    if (this.formulaStateStore) {
+      this.formulaStateStore.stop();
+    }
+
     if (
       this.pollingIntervals &&
       typeof this.pollingIntervals.clear === "function"
@@ -160,6 +160,13 @@ module.exports = class LogicDeviceDriver extends Homey.Driver {
     });
     this.logger.debug(` -> OK: NEW TRIGGER registered: 'config_alarm_state_changed_ld'`);
 
+    // Input stopped reporting (link maxAgeSeconds) - device scoped
+    const inputStaleCard = this.homey.flow.getDeviceTriggerCard("input_stale_ld");
+    inputStaleCard.registerRunListener(async (args, state) => {
+      return true; // device trigger already scoped
+    });
+    this.logger.debug(` -> OK: NEW TRIGGER registered: 'input_stale_ld'`);
+
     // ===== NEW CONDITIONS WITH DROPDOWNS =====
     
     // New: Device is turned [dropdown selection]
@@ -251,6 +258,10 @@ module.exports = class LogicDeviceDriver extends Homey.Driver {
         id: "has_any_error_ld",
         checkType: "has_error",
       },
+      {
+        id: "formula_restored_ld",
+        checkType: "restored",
+      },
     ];
     conditionCards.forEach((cardInfo) => {
       try {
@@ -387,6 +398,16 @@ module.exports = class LogicDeviceDriver extends Homey.Driver {
       }
     });
 
+    session.setHandler("get_variables", async () => {
+      this.logger.debug("pair.get_variables");
+      try {
+        return await this.homey.app.getLogicVariables();
+      } catch (e) {
+        this.logger.error("pair.get_variables_error", e);
+        throw new Error(this.homey.__("errors.connection_failed"));
+      }
+    });
+
     session.setHandler("set_input_links", async (data) => {
       this.logger.debug("pair.set_input_links");
       inputLinks = Array.isArray(data.inputLinks) ? data.inputLinks : [];
@@ -1,6 +1,7 @@
 "use strict";
 
 const BaseLogicUnit = require("../../lib/BaseLogicUnit");
+const FormulaEvaluator = require("../../lib/FormulaEvaluator");
 
 module.exports = class LogicUnitDevice extends BaseLogicUnit {
   /**
@@ -13,7 +14,11 @@ module.exports = class LogicUnitDevice extends BaseLogicUnit {
     });
 
     // CRITICAL: Detect inputs from formulas BEFORE calling super.onSettings()
-    if (changedKeys.includes("formulas")) {
+    // (not with declared input names - those define the inputs themselves)
+    const usesInputNames =
+      typeof newSettings.input_names === "string" &&
+      newSettings.input_names.trim() !== "";
+    if (changedKeys.includes("formulas") && !usesInputNames) {
       try {
         const formulas = JSON.parse(newSettings.formulas);
 
@@ -64,7 +69,8 @@ module.exports = class LogicUnitDevice extends BaseLogicUnit {
   /**
    * Extract all used variables from formulas (sorted and unique)
    * @param {Array} formulas - Array of formula objects
-   * @returns {Array} - Sorted array of unique uppercase letters used (e.g., ['A', 'B', 'E'])
+   * @returns {Array} - Sorted array of unique uppercase letters used (e.g., ['A', 'B', 'E']),
+   *   or the declared input names used, in declaration order (e.g., ['DOOR_OPEN'])
    */
   getUsedVariables(formulas) {
     if (!Array.isArray(formulas)) {
@@ -74,12 +80,26 @@ module.exports = class LogicUnitDevice extends BaseLogicUnit {
     const usedVars = new Set();
 
     formulas.forEach((formula) => {
-      if (
-        formula &&
-        formula.expression &&
-        typeof formula.expression === "string"
-      ) {
-        const expression = formula.expression.toUpperCase();
+      // Latches and flip-flops keep their inputs in set/reset or j/k/clock
+      const source = formula
+        ? this.getFormulaExpressions(formula)
+            .map(({ expression }) => expression)
+            .join(" ")
+        : "";
+      if (source.trim() !== "") {
+        // Device names (@"Hall A") must not count as inputs
+        const expression =
+          FormulaEvaluator.stripDeviceReferences(source).toUpperCase();
+
+        if (this.hasNamedInputs()) {
+          this.declaredInputs.forEach((name) => {
+            const upper = name.toUpperCase();
+            if (new RegExp(`\\b${upper}\\b`).test(expression)) {
+              usedVars.add(upper);
+            }
+          });
+          return;
+        }
 
         // Find all single uppercase letters A-J
         const matches = expression.match(/\b[A-J]\b/g);
@@ -90,6 +110,13 @@ module.exports = class LogicUnitDevice extends BaseLogicUnit {
       }
     });
 
+    // Declared names keep declaration order, letters are sorted
+    if (this.hasNamedInputs()) {
+      return this.declaredInputs
+        .map((name) => name.toUpperCase())
+        .filter((name) => usedVars.has(name));
+    }
+
     // Convert Set to sorted Array
     return Array.from(usedVars).sort();
   }
@@ -111,7 +138,7 @@ module.exports = class LogicUnitDevice extends BaseLogicUnit {
 
     if (!isUsed) {
       this.logger.warn("input.unused_warning", {
-        input: inputUpper,
+        input: this.getInputDisplayName(inputId),
         usedInputs: usedVars.join(", ") || "none",
       });
     }
@@ -155,9 +182,9 @@ module.exports = class LogicUnitDevice extends BaseLogicUnit {
     }
 
     // Return only the used variables
-    return usedVars.map((letter) => ({
-      id: letter.toLowerCase(), // Use lowercase 'a', 'b' as ID
-      name: letter, // Display uppercase 'A', 'B'
+    return usedVars.map((variable) => ({
+      id: variable.toLowerCase(), // Use lowercase 'a', 'door_open' as ID
+      name: this.getInputDisplayName(variable.toLowerCase()), // 'A' or 'door_open'
     }));
   }
 
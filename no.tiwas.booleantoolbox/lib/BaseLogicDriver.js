@@ -129,7 +129,8 @@ class BaseLogicDriver extends Homey.Driver {
                     args.device &&
                     args.device.driver &&
                     args.device.driver.id &&
-                    args.device.driver.id.startsWith("logic-unit-") &&
+                    args.device.driver.id.startsWith("logic-unit") &&
+                    (!args.formula?.id || args.formula.id === state?.formulaId) &&
                     state?.result === false
                 );
             });
@@ -148,7 +149,8 @@ class BaseLogicDriver extends Homey.Driver {
                     args.device &&
                     args.device.driver &&
                     args.device.driver.id &&
-                    args.device.driver.id.startsWith("logic-unit-") &&
+                    args.device.driver.id.startsWith("logic-unit") &&
+                    (!args.formula?.id || args.formula.id === state?.formulaId) &&
                     state?.result === true
                 );
             });
@@ -169,7 +171,8 @@ class BaseLogicDriver extends Homey.Driver {
                 args.device &&
                 args.device.driver &&
                 args.device.driver.id &&
-                args.device.driver.id.startsWith("logic-unit-") &&
+                args.device.driver.id.startsWith("logic-unit") &&
+                (!args.formula?.id || args.formula.id === state?.formulaId) &&
                 state?.result === expectedResult
             );
         });
@@ -243,6 +246,10 @@ class BaseLogicDriver extends Homey.Driver {
                 id: "validate_config_lu",
                 handler: "onFlowActionValidateConfig",
             },
+            {
+                id: "analyze_formula_lu",
+                handler: "onFlowActionAnalyzeFormula",
+            },
             {
                 id: "set_all_inputs_lu",
                 handler: "setAllInputsFromFlow",
@@ -280,6 +287,7 @@ class BaseLogicDriver extends Homey.Driver {
                         "set_input_value_lu",
                         "evaluate_formula_lu",
                         "clear_error_state_lu",
+                        "analyze_formula_lu",
                     ].includes(cardInfo.id)
                 ) {
                     this.registerAutocomplete(
@@ -323,6 +331,10 @@ class BaseLogicDriver extends Homey.Driver {
                 id: "has_any_error_lu",
                 checkType: "has_error",
             },
+            {
+                id: "formula_restored_lu",
+                checkType: "restored",
+            },
         ];
         conditionCards.forEach((cardInfo) => {
             try {
@@ -350,6 +362,7 @@ class BaseLogicDriver extends Homey.Driver {
                     [
                         "formula_has_timed_out_lu",
                         "formula_result_is_lu",
+                        "formula_restored_lu",
                     ].includes(cardInfo.id)
                 ) {
                     this.registerAutocomplete(
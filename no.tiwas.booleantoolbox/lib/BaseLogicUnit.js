@@ -1,44 +1,309 @@
 "use strict";
+const FormulaCache = require("./FormulaCache");
 const FormulaEvaluator = require("./FormulaEvaluator");
+const FormulaStateStore = require("./FormulaStateStore");
+const FormulaTiming = require("./FormulaTiming");
 const Homey = require("homey");
 const Logger = require("./Logger");
+const TimeOfDay = require("./TimeOfDay");
 
 module.exports = class BaseLogicUnit extends Homey.Device {
-  // --- INTERN NAMESPACING (UNDER THE HOOD) ---
-  _nsId(formula) {
-    // Stabil og trygg ID for bruk i tokens
-    return String(formula.id || 'F').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
-  }
-  _nsPrefix(formula) {
-    return `F_${this._nsId(formula)}_`;
-  }
-  /**
-   * Bytt A..J i uttrykket til namespacede tokens (kun internt for evaluering)
-   * Eks: "A AND B" -> "F_<FORMULAID>_A AND F_<FORMULAID>_B"
- */
-  _namespaceExprForFormula(formula, upperExpr) {
-    const inputsU = this.getAvailableInputsUppercase(); // ["A","B",...]
-    if (inputsU.length === 0) return upperExpr;
-    const ns = this._nsPrefix(formula);
-    const tokenRe = new RegExp(`\\b(${inputsU.join("|")})\\b`, "g");
-    return upperExpr.replace(tokenRe, (_m, t) => `${ns}${t}`);
-  }
   /**
-   * Bygg variabeltabell med namespacede nøkler for AST
+   * Bygg variabeltabell (A, B, ...) for AST-evaluering av en formel.
+   * Tall beholdes rå slik at sammenligninger (A > 21.5) fungerer.
    */
-  _buildNsVariables(formula) {
-    const ns = this._nsPrefix(formula);
+  _buildVariables(formula) {
     const vars = {};
     this.availableInputs.forEach(id => {
       const v = formula.inputStates[id];
       if (v !== "undefined") {
-        vars[`${ns}${id.toUpperCase()}`] = (v === true);
+        vars[id.toUpperCase()] = typeof v === "number" ? v : (v === true);
+      }
+    });
+    // Referanser til andre formler bruker deres siste resultat (null = ukjent)
+    this.getFormulaDependencies(formula).forEach((depId) => {
+      const dep = this.formulas.find((f) => f.id === depId);
+      if (dep && dep.result !== null && dep.result !== undefined) {
+        vars[depId.toUpperCase()] = dep.result;
       }
     });
+    // Referanser til andre enheter (@"Navn".f1) hentes fra registeret
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      Object.assign(
+        vars,
+        registry.getReferenceValues(this.getFormulaVariables(formula)),
+      );
+    }
     return vars;
   }
 
+  /**
+   * App-wide registry of device outputs (null if the app isn't ready)
+   */
+  getDeviceOutputRegistry() {
+    return (this.homey.app && this.homey.app.deviceOutputRegistry) || null;
+  }
+
+  /**
+   * All variables used by a formula's expression (empty if it doesn't parse)
+   */
+  getFormulaVariables(formula) {
+    if (!formula || !formula.expression) return [];
+    try {
+      return this.formulaCache.compile(formula.expression).variables;
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Output of this device as seen by @"Name" references from other devices
+   * @param {string|null} formulaId - A formula id (case-insensitive), or null for the device
+   * @returns {boolean|null|undefined} undefined if there is no such formula
+   */
+  getDeviceOutput(formulaId) {
+    const formulas = this.formulas || [];
+    if (formulaId) {
+      const formula = formulas.find(
+        (f) => String(f.id).toUpperCase() === String(formulaId).toUpperCase(),
+      );
+      return formula ? formula.result : undefined;
+    }
+
+    // Hele enheten: TRUE hvis en formel er TRUE, FALSE når alle er avgjort FALSE
+    const enabled = formulas.filter((f) => f.enabled);
+    if (enabled.some((f) => f.result === true)) return true;
+    return enabled.length > 0 && enabled.every((f) => f.result === false)
+      ? false
+      : null;
+  }
+
+  /**
+   * Called by the registry when another Boolean Toolbox device changes
+   * @param {Object} source - The device that changed
+   * @param {string} reason - 'output', 'added', 'renamed' or 'removed'
+   */
+  async onReferencedDeviceChanged(source, reason) {
+    if (source === this || this._isDeleting) return;
+    const sourceName = source.getName().trim().toUpperCase();
+
+    const affected = (this.formulas || []).filter((formula) =>
+      this.getFormulaVariables(formula).some((v) => {
+        const ref = FormulaEvaluator.parseDeviceReference(v);
+        // Ved navnebytte/sletting kan gamle referanser ha brutt - sjekk alle
+        return ref && (reason !== "output" || ref.deviceName === sourceName);
+      }),
+    );
+    if (affected.length === 0) return;
+
+    if (reason !== "output") {
+      await this.updateConfigAlarm();
+    }
+    for (const formula of affected) {
+      if (formula.enabled) {
+        await this.evaluateFormula(formula.id);
+      }
+    }
+  }
+
+  /**
+   * Formulas that can be referenced from expressions, keyed by uppercase id.
+   * Ids must be valid identifiers and must not clash with an input name.
+   */
+  getFormulaReferenceMap() {
+    const inputs = this.getAvailableInputsUppercase();
+    const refs = new Map();
+    (this.formulas || []).forEach((f) => {
+      if (typeof f.id !== "string" || !/^[a-z][a-z0-9_]*$/i.test(f.id)) return;
+      const key = f.id.toUpperCase();
+      if (inputs.includes(key)) return;
+      if (this.constructor.RESERVED_INPUT_NAMES.includes(key)) return;
+      refs.set(key, f);
+    });
+    return refs;
+  }
+
+  /**
+   * Ids of the sibling formulas an expression refers to
+   * @param {Object} formula - Formula object
+   * @returns {string[]} Formula ids (empty if the expression doesn't parse)
+   */
+  getFormulaDependencies(formula) {
+    if (!formula || !formula.expression) return [];
+    let variables;
+    try {
+      ({ variables } = this.formulaCache.compile(formula.expression));
+    } catch (e) {
+      return [];
+    }
+    const refs = this.getFormulaReferenceMap();
+    return variables
+      .filter((v) => refs.has(v))
+      .map((v) => refs.get(v).id);
+  }
+
+  /**
+   * Build the formula dependency order and detect circular references.
+   * Sets this.formulaOrder (ids, dependencies first) and this.formulaCycle (ids or null).
+   */
+  updateFormulaDependencies() {
+    const formulas = this.formulas || [];
+    const deps = new Map(
+      formulas.map((f) => [f.id, this.getFormulaDependencies(f)]),
+    );
+
+    // Dybde-først topologisk sortering: 0 = ubesøkt, 1 = på stakken, 2 = ferdig
+    const state = new Map();
+    const order = [];
+    const stack = [];
+    let cycle = null;
+
+    const visit = (id) => {
+      if (cycle) return;
+      state.set(id, 1);
+      stack.push(id);
+      for (const depId of deps.get(id) || []) {
+        const depState = state.get(depId) || 0;
+        if (depState === 1) {
+          cycle = [...stack.slice(stack.indexOf(depId)), depId];
+          return;
+        }
+        if (depState === 0) {
+          visit(depId);
+          if (cycle) return;
+        }
+      }
+      stack.pop();
+      state.set(id, 2);
+      order.push(id);
+    };
+
+    formulas.forEach((f) => {
+      if (!state.get(f.id)) visit(f.id);
+    });
+
+    this.formulaCycle = cycle;
+    this.formulaOrder = cycle ? formulas.map((f) => f.id) : order;
+
+    if (cycle) {
+      this.logger.warn("formula.error_circular_reference", {
+        cycle: cycle.join(" -> "),
+      });
+    }
+  }
+
+  /**
+   * Formulas sorted so that referenced formulas are evaluated before the ones using them
+   */
+  getFormulasInDependencyOrder() {
+    const order = this.formulaOrder || [];
+    return [...(this.formulas || [])].sort(
+      (a, b) => order.indexOf(a.id) - order.indexOf(b.id),
+    );
+  }
+
+  /**
+   * Re-evaluate formulas that reference the given formula (directly or indirectly)
+   */
+  async evaluateDependentFormulas(formulaId) {
+    for (const formula of this.getFormulasInDependencyOrder()) {
+      if (!formula.enabled || formula.id === formulaId) continue;
+      if (this.getFormulaDependencies(formula).includes(formulaId)) {
+        await this.evaluateFormula(formula.id);
+      }
+    }
+  }
+
   static MIGRATION_KEY = "migrated_onoff_v1";
+  // Lagret tilstand (Q) for latch/flip-flop-formler: { formulaId: true|false }
+  static FORMULA_STATE_KEY = "formula_states";
+
+  // Formeltyper: combinational = vanlig uttrykk, resten husker sin egen tilstand
+  static FORMULA_TYPES = ["combinational", "sr_latch", "toggle", "jk"];
+
+  // Ord som ikke kan brukes som inngangsnavn (de er operatorer/literaler i formler)
+  static RESERVED_INPUT_NAMES = [
+    "AND",
+    "OR",
+    "XOR",
+    "NOT",
+    "TRUE",
+    "FALSE",
+    "FOR",
+    "WITHIN",
+    "OF",
+    ...Object.keys(FormulaEvaluator.FUNCTIONS),
+    ...FormulaEvaluator.CLOCK_VARIABLES,
+  ];
+  static MAX_NAMED_INPUTS = 32;
+
+  /**
+   * Parse the input_names setting ("door_open, alarm_armed") into input ids.
+   * @param {string} raw - Setting value (comma, semicolon or whitespace separated)
+   * @returns {{names: string[], error: string|null}} Lowercase names, or an error message
+   */
+  parseInputNames(raw) {
+    if (!raw || typeof raw !== "string" || raw.trim() === "") {
+      return { names: [], error: null };
+    }
+
+    const names = raw
+      .split(/[\s,;]+/)
+      .map((n) => n.trim().toLowerCase())
+      .filter(Boolean);
+
+    const seen = new Set();
+    for (const name of names) {
+      if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+        return {
+          names: [],
+          error: this.homey.__("settings.input_name_invalid", { name }),
+        };
+      }
+      if (this.constructor.RESERVED_INPUT_NAMES.includes(name.toUpperCase())) {
+        return {
+          names: [],
+          error: this.homey.__("settings.input_name_reserved", {
+            name,
+            reserved: this.constructor.RESERVED_INPUT_NAMES.join(", "),
+          }),
+        };
+      }
+      if (seen.has(name)) {
+        return {
+          names: [],
+          error: this.homey.__("settings.input_name_duplicate", { name }),
+        };
+      }
+      seen.add(name);
+    }
+
+    if (names.length > this.constructor.MAX_NAMED_INPUTS) {
+      return {
+        names: [],
+        error: this.homey.__("settings.input_names_too_many", {
+          max: this.constructor.MAX_NAMED_INPUTS,
+        }),
+      };
+    }
+
+    return { names, error: null };
+  }
+
+  /**
+   * True when the device uses declared input names instead of A-J
+   */
+  hasNamedInputs() {
+    return Array.isArray(this.declaredInputs) && this.declaredInputs.length > 0;
+  }
+
+  /**
+   * Display name for an input id: declared names as written, letters uppercase (A, B, ...)
+   */
+  getInputDisplayName(inputId) {
+    return this.hasNamedInputs() ? inputId : String(inputId).toUpperCase();
+  }
 
   async safeSetCapabilityValue(cap, value) {
     if (cap === "onoff" && value === false) {
@@ -72,8 +337,10 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     const driverName = `Device: ${this.driver ? this.driver.id : "unknown-driver"}`;
     this.logger = new Logger(this, driverName);
 
-    // Initialize AST-based formula evaluator for secure evaluation
-    this.formulaEvaluator = new FormulaEvaluator();
+    // Shared cache of compiled (AST) formulas - each expression is parsed once
+    this.formulaCache = new FormulaCache();
+    // Formler med "persist": true lagres i device store og gjenopprettes ved oppstart
+    this.formulaStateStore = new FormulaStateStore(this, this.logger);
 
     this.logger.device("device.initializing", {
       name: this.getName(),
@@ -129,6 +396,14 @@ module.exports = class BaseLogicUnit extends Homey.Device {
 
     // ✅ STEP 5: Continue with normal initialization
     this.numInputs = this.getData().numInputs ?? 2;
+    const { names: declaredInputs, error: inputNamesError } =
+      this.parseInputNames(this.getSetting("input_names"));
+    if (inputNamesError) {
+      this.logger.warn("settings.input_names_ignored", {
+        error: inputNamesError,
+      });
+    }
+    this.declaredInputs = declaredInputs;
     this.availableInputs = this.getAvailableInputIds();
     this.logger.debug(
       `Device initialized with ${this.numInputs} inputs: ${this.availableInputs.join(", ")}`,
@@ -136,10 +411,16 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     );
 
     await this.initializeFormulas();
+    this.formulaStateStore.restore(this.formulas);
 
-    // Reset all formulas to prevent old values
+    // Reset all formulas to prevent old values (restored formulas keep theirs)
     this.formulas.forEach(formula => {
-      if (formula.enabled && formula.expression) {
+      if (
+        formula.enabled &&
+        formula.expression &&
+        !this.isStatefulFormula(formula) &&
+        !formula.restored
+      ) {
         const required = this.parseExpression(formula.expression);
         if (required.length > 0) {
           formula.result = null;  // TVING null ved oppstart
@@ -156,6 +437,17 @@ module.exports = class BaseLogicUnit extends Homey.Device {
 
     await this.evaluateAllFormulasInitial();
     this.startTimeoutChecks();
+    this.formulaStateStore.start();
+    await this.updateFormulaAnalysisSetting();
+
+    // Subscribe to other devices' outputs (@"Name" references) and announce this one
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      this.unsubscribeDeviceOutputs = registry.subscribe((source, reason) =>
+        this.onReferencedDeviceChanged(source, reason),
+      );
+      await registry.notifyOutputChanged(this, "added");
+    }
 
     // Store current formulas for change detection
     const currentSettings = this.getSettings();
@@ -237,7 +529,8 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     const cardIdFromArgs = args.cardId;
     if (
       (cardIdFromArgs === "formula_result_is_lu" ||
-        cardIdFromArgs === "formula_has_timed_out_lu") &&
+        cardIdFromArgs === "formula_has_timed_out_lu" ||
+        cardIdFromArgs === "formula_restored_lu") &&
       !args.formula
     ) {
       this.logger.warn(
@@ -272,6 +565,12 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         `Condition 'formula_has_timed_out' check for '${formula.name}': Result=${isTimedOut}`,
       );
       return isTimedOut;
+    } else if (checkType === "restored") {
+      const isRestored = formula.restored === true;
+      this.logger.flow(
+        `Condition 'formula_restored' check for '${formula.name}': Result=${isRestored}`,
+      );
+      return isRestored;
 } else if (typeof checkType === "boolean") {
   const desiredResult = checkType;
 
@@ -477,28 +776,35 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         : [];
       const formulas = Array.isArray(device.formulas) ? device.formulas : [];
 
+      // Keys are matched case-insensitively ("A", "a", "door_open", "DOOR_OPEN")
+      const valuesByInput = {};
       for (const key in values) {
         if (!inputs.includes(key.toLowerCase())) {
           this.logger.warn(
             `setAllInputsFromFlow: JSON contains invalid input key '${key}' for this device.`,
           );
+        } else {
+          valuesByInput[key.toLowerCase()] = values[key];
         }
       }
 
       for (const inputId of inputs) {
-        const key = inputId.toUpperCase();
-        if (values.hasOwnProperty(key)) {
+        if (Object.prototype.hasOwnProperty.call(valuesByInput, inputId)) {
+          const rawValue = valuesByInput[inputId];
           formulas.forEach((f) => {
             if (
               f &&
               f.enabled &&
               typeof device.setInputForFormula === "function"
             ) {
-              const boolValue =
-                values[key] === true ||
-                String(values[key]).toLowerCase() === "true";
+              // Numbers are passed through raw for comparisons (A > 21.5)
+              const inputValue =
+                typeof rawValue === "number"
+                  ? rawValue
+                  : rawValue === true ||
+                    String(rawValue).toLowerCase() === "true";
               promises.push(
-                device.setInputForFormula(f.id, inputId, boolValue),
+                device.setInputForFormula(f.id, inputId, inputValue),
               );
             }
           });
@@ -552,6 +858,10 @@ module.exports = class BaseLogicUnit extends Homey.Device {
   }
 
   getAvailableInputIds() {
+    // Navngitte innganger (input_names) overstyrer A-J
+    if (this.hasNamedInputs()) {
+      return [...this.declaredInputs];
+    }
     const allInputs = ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"];
     const count = Math.max(
       0,
@@ -581,9 +891,13 @@ module.exports = class BaseLogicUnit extends Homey.Device {
           id: f.id || `formula_${Math.random().toString(16).slice(2)}`,
           name: f.name || this.homey.__("formula.unnamed_formula"),
           expression: f.expression || "",
+          ...this.parseFormulaType(f),
           enabled: f.enabled !== false,
           timeout: Number(f.timeout) || 0,
           firstImpression: !!f.firstImpression,
+          evaluation: f.evaluation === "kleene" ? "kleene" : "boolean",
+          ...FormulaStateStore.parseOptions(f),
+          ...FormulaTiming.parseOptions(f),
           inputStates: {},
           lockedInputs: {},
           lastInputTime: null,
@@ -615,9 +929,11 @@ module.exports = class BaseLogicUnit extends Homey.Device {
           ? this.homey.__("formula.default_name_alt")
           : this.homey.__("formula.default_name_alt_fallback"),
         expression: this.getDefaultExpression(),
+        type: "combinational",
         enabled: true,
         timeout: 0,
         firstImpression: false,
+        evaluation: "boolean",
         inputStates: {},
         lockedInputs: {},
         lastInputTime: null,
@@ -642,6 +958,90 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         enabled: f.enabled,
       }),
     );
+    this.restoreFormulaStates();
+    this.updateFormulaDependencies();
+  }
+
+  /**
+   * Sub-expressions a formula is built from, by type:
+   * combinational/toggle = expression, sr_latch = set + reset, jk = j + k (+ clock)
+   * @param {Object} data - Formula from the formulas setting (or a runtime formula)
+   * @returns {{field: string, expression: string}[]}
+   */
+  getFormulaExpressions(data) {
+    const fields = {
+      sr_latch: ["set", "reset"],
+      jk: data.clock ? ["j", "k", "clock"] : ["j", "k"],
+    }[data.type] || ["expression"];
+    return fields.map((field) => ({
+      field,
+      expression: typeof data[field] === "string" ? data[field] : "",
+    }));
+  }
+
+  isStatefulFormula(formula) {
+    return (
+      !!formula &&
+      formula.type !== "combinational" &&
+      BaseLogicUnit.FORMULA_TYPES.includes(formula.type)
+    );
+  }
+
+  /**
+   * Type-specific fields for a formula. Stateful formulas also get a combined
+   * expression "(set) OR (reset)" so input detection, dependencies, temporal
+   * checks and timeouts see every input the formula uses.
+   */
+  parseFormulaType(data) {
+    const type = BaseLogicUnit.FORMULA_TYPES.includes(data.type)
+      ? data.type
+      : "combinational";
+    if (type === "combinational") {
+      return { type };
+    }
+
+    const parts = this.getFormulaExpressions({ ...data, type });
+    const fields = {
+      type,
+      priority: data.priority === "set" ? "set" : "reset",
+      clockState: {}, // Forrige verdi per flanke-uttrykk (persisteres ikke)
+    };
+    parts.forEach(({ field, expression }) => {
+      fields[field] = expression;
+    });
+    fields.expression = parts
+      .filter(({ expression }) => expression.trim() !== "")
+      .map(({ expression }) => `(${expression})`)
+      .join(" OR ");
+    return fields;
+  }
+
+  /**
+   * Give latches and flip-flops their saved state back (false if none is saved)
+   */
+  restoreFormulaStates() {
+    const saved = this.getStoreValue(BaseLogicUnit.FORMULA_STATE_KEY) || {};
+    this.formulas.forEach((formula) => {
+      if (this.isStatefulFormula(formula)) {
+        formula.result = typeof saved[formula.id] === "boolean"
+          ? saved[formula.id]
+          : false;
+      }
+    });
+  }
+
+  async saveFormulaStates() {
+    const states = {};
+    this.formulas.forEach((formula) => {
+      if (this.isStatefulFormula(formula)) {
+        states[formula.id] = formula.result === true;
+      }
+    });
+    try {
+      await this.setStoreValue(BaseLogicUnit.FORMULA_STATE_KEY, states);
+    } catch (e) {
+      this.logger.error("Failed to save formula states", e);
+    }
   }
 
   getDefaultExpression() {
@@ -664,9 +1064,9 @@ module.exports = class BaseLogicUnit extends Homey.Device {
   }
 
   getInputOptions() {
-    return this.getAvailableInputsUppercase().map((input) => ({
-      id: input.toLowerCase(),
-      name: input,
+    return this.availableInputs.map((id) => ({
+      id,
+      name: this.getInputDisplayName(id),
     }));
   }
 
@@ -684,70 +1084,46 @@ module.exports = class BaseLogicUnit extends Homey.Device {
           : "Expression empty",
       };
     }
-    const upper = expression.toUpperCase();
     const inputs = this.getAvailableInputsUppercase();
-    if (!inputs.length && upper.match(/[A-J]/)) {
-      return {
-        valid: false,
-        error: this.homey.__("formula.error_inputs_used_but_none_configured"),
-      };
-    }
     let validationInputs = inputs.length > 0 ? inputs : ["TEMP_VALIDATION_VAR"];
 
-    const tokenRe = new RegExp(
-      `\\b(?:AND|OR|XOR|NOT)\\b|&&|\\|\\||&|\\||\\^|!=|\\*|\\+|!|\\(|\\)|\\b(?:${validationInputs.join("|")})\\b|\\bTRUE\\b|\\bFALSE\\b`,
-      "gi",
-    );
-    const stripped = upper.replace(tokenRe, "").replace(/\s+/g, "");
-    if (stripped.length > 0) {
-      return {
-        valid: false,
-        error: this.homey.__
-          ? this.homey.__("formula.invalid_tokens", {
-              tokens: stripped,
-            })
-          : `Invalid tokens: ${stripped}`,
-      };
-    }
-
-    let depth = 0;
-    for (const ch of upper) {
-      if (ch === "(") depth++;
-      else if (ch === ")") depth--;
-      if (depth < 0)
+    // Try validating with the compiled AST (FormulaEvaluator handles &, |, ^, ! etc.).
+    // Syntax errors (including unbalanced parentheses) come back with their position.
+    try {
+      // Every identifier in the expression must be a known input (A-J or a declared name),
+      // the id of another formula in this device, or a device reference (@"Name".f1)
+      const { ast, variables } = this.formulaCache.compile(expression);
+      const formulaRefs = this.getFormulaReferenceMap();
+      const deviceRefs = variables.filter((v) =>
+        FormulaEvaluator.parseDeviceReference(v),
+      );
+      const isKnown = (v) =>
+        inputs.includes(v) || formulaRefs.has(v) || deviceRefs.includes(v);
+      if (!inputs.length && !variables.every(isKnown)) {
         return {
           valid: false,
-          error: this.homey.__("formula.error_unbalanced_parentheses"),
+          error: this.homey.__("formula.error_inputs_used_but_none_configured"),
         };
-    }
-    if (depth !== 0)
-      return {
-        valid: false,
-        error: "Unbalanced parentheses",
-      };
-
-    // Normalize alternative syntax to standard keywords for AST evaluation
-    let normalizedExpr = upper
-      .replace(/&|\*/g, " AND ") // Convert & or * to AND
-      .replace(/\||\+/g, " OR ") // Convert | or + to OR
-      .replace(/\^|!=/g, " XOR ") // Convert ^ or != to XOR
-      .replace(/!/g, " NOT "); // Convert ! to NOT
-
-    // Clean up extra spaces
-    normalizedExpr = normalizedExpr.replace(/\s+/g, " ").trim();
+      }
+      this.formulaCache.evaluator.assertKnownVariables(ast, isKnown);
 
-    // Try validating med AST, men med fiktiv FORMULA-ID (namespacet)
-    try {
-      
-      const fakeId = { id: "FAKE_FORMULA_VALIDATION" };
-      const nsExpr = this._namespaceExprForFormula(fakeId, normalizedExpr);
       const testVars = {};
-      (validationInputs.length ? validationInputs : ["TEMP_VALIDATION_VAR"])
-        .forEach((input) => {
-          const name = `F_${this._nsId(fakeId)}_${input}`;
-          testVars[name] = true;
-        });
-      this.formulaEvaluator.evaluate(nsExpr, testVars);
+      validationInputs.forEach((input) => {
+        testVars[input] = true;
+      });
+      formulaRefs.forEach((f, ref) => {
+        testVars[ref] = true;
+      });
+      deviceRefs.forEach((ref) => {
+        testVars[ref] = true;
+      });
+      this.formulaCache.evaluate(
+        expression,
+        testVars,
+        this.formulaCache.evaluator.createTemporalContext({
+          clock: this.getClock(),
+        }),
+      );
       
       return {
         valid: true,
@@ -757,13 +1133,61 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         valid: false,
         error: this.homey.__
           ? this.homey.__("formula.invalid_syntax", {
-              message: e.message,
+              message: this.formatFormulaError(e, expression),
             })
           : `Syntax error: ${e.message}`,
+        details: FormulaEvaluator.describeError(e, expression),
       };
     }
   }
 
+  /**
+   * Validate every sub-expression of a formula (set/reset, j/k/clock or expression)
+   * @returns {Object|null} The first failed validation (field name in the error), or null
+   */
+  validateFormulaExpressions(formula) {
+    const stateful = this.isStatefulFormula(formula);
+    for (const { field, expression } of this.getFormulaExpressions(formula)) {
+      const validation = this.validateExpression(expression);
+      if (!validation.valid) {
+        return stateful
+          ? {
+              ...validation,
+              error: this.homey.__("formula.error_in_field", {
+                field,
+                error: validation.error,
+              }),
+            }
+          : validation;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Localised error text; syntax errors get the column and an excerpt,
+   * e.g. "Unexpected character '$' (column 7: A AND [$] B)"
+   */
+  formatFormulaError(error, expression) {
+    const info = FormulaEvaluator.describeError(error, expression);
+    if (info.column === null) {
+      return info.message;
+    }
+
+    let message =
+      this.homey.__(`syntax.${info.code.toLowerCase()}`, info.params) ||
+      info.message;
+    if (info.expected.length > 0) {
+      message += ` ${this.homey.__("syntax.expected", {
+        expected: info.expected.join(", "),
+      })}`;
+    }
+    return `${message} (${this.homey.__("syntax.location", {
+      column: info.column,
+      excerpt: info.excerpt,
+    })})`;
+  }
+
   /**
    * Validate configuration and update alarm_config capability
    * Sets alarm_config to true if there are JSON parsing errors or invalid formulas
@@ -777,6 +1201,8 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     const previousAlarmConfig = this.getCapabilityValue("alarm_config");
 
     let hasError = false;
+    let errorReason = "";
+    let errorColumn = 0; // 1-based column of a syntax error, 0 = none
     const settings = this.getSettings();
 
     // Check if formulas JSON is valid
@@ -787,12 +1213,14 @@ module.exports = class BaseLogicUnit extends Homey.Device {
 
       if (!Array.isArray(formulasData)) {
         hasError = true;
+        errorReason = "Formulas is not an array";
         this.logger.warn("config.validation_failed", {
           reason: "Formulas is not an array",
         });
       } else if (formulasData.length === 0) {
         // VIKTIG: Logic Unit må ha minst én formel
         hasError = true;
+        errorReason = "Logic Unit må ha minst én formel";
         this.logger.warn("config.validation_failed", {
           reason: "Logic Unit må ha minst én formel",
         });
@@ -803,6 +1231,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
           const uniqueIds = new Set(ids);
           if (ids.length !== uniqueIds.size) {
             hasError = true;
+            errorReason = "Duplikate formel-ID-er funnet";
             this.logger.warn("config.validation_failed", {
               reason: "Duplikate formel-ID-er funnet",
               ids: ids.join(", "),
@@ -819,6 +1248,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
             // Sjekk at formelen har en ID
             if (!formula.id || typeof formula.id !== 'string' || formula.id.trim() === '') {
               hasError = true;
+              errorReason = `${formulaLabel}: Mangler gyldig ID`;
               this.logger.warn("config.validation_failed", {
                 reason: `${formulaLabel}: Mangler gyldig ID`,
               });
@@ -828,28 +1258,51 @@ module.exports = class BaseLogicUnit extends Homey.Device {
             // Sjekk at formelen har et navn
             if (!formula.name || typeof formula.name !== 'string' || formula.name.trim() === '') {
               hasError = true;
+              errorReason = `${formulaLabel}: Mangler gyldig navn`;
               this.logger.warn("config.validation_failed", {
                 reason: `${formulaLabel}: Mangler gyldig navn`,
               });
               break;
             }
 
+            // Sjekk formeltypen (latch/flip-flop har egne uttrykksfelt)
+            if (
+              formula.type !== undefined &&
+              !BaseLogicUnit.FORMULA_TYPES.includes(formula.type)
+            ) {
+              hasError = true;
+              errorReason = `${formulaLabel}: ${this.homey.__("formula.error_unknown_type", {
+                type: formula.type,
+                types: BaseLogicUnit.FORMULA_TYPES.join(", "),
+              })}`;
+              this.logger.warn("config.validation_failed", {
+                reason: errorReason,
+              });
+              break;
+            }
+
             // Sjekk at formelen har et expression
-            if (!formula.expression || typeof formula.expression !== 'string' || formula.expression.trim() === '') {
+            if (
+              !this.isStatefulFormula(formula) &&
+              (!formula.expression || typeof formula.expression !== 'string' || formula.expression.trim() === '')
+            ) {
               hasError = true;
+              errorReason = `${formulaLabel}: Mangler gyldig uttrykk`;
               this.logger.warn("config.validation_failed", {
                 reason: `${formulaLabel}: Mangler gyldig uttrykk`,
               });
               break;
             }
 
-            // Validate expression syntax
-            const validation = this.validateExpression(formula.expression);
-            if (!validation.valid) {
+            // Validate each expression the formula is built from
+            const invalid = this.validateFormulaExpressions(formula);
+            if (invalid) {
               hasError = true;
+              errorReason = `${formulaLabel}: ${invalid.error}`;
+              errorColumn = invalid.details?.column || 0;
               this.logger.warn("config.validation_failed", {
                 formula: formulaLabel,
-                error: validation.error,
+                error: invalid.error,
               });
               break;
             }
@@ -859,23 +1312,91 @@ module.exports = class BaseLogicUnit extends Homey.Device {
               const timeout = Number(formula.timeout);
               if (isNaN(timeout) || timeout < 0) {
                 hasError = true;
+                errorReason = `${formulaLabel}: Ugyldig timeout-verdi (${formula.timeout})`;
                 this.logger.warn("config.validation_failed", {
                   reason: `${formulaLabel}: Ugyldig timeout-verdi (${formula.timeout})`,
                 });
                 break;
               }
             }
+
+            // Validate persistMaxAge (optional, seconds, 0 = no limit)
+            if (formula.persistMaxAge !== undefined) {
+              const maxAge = Number(formula.persistMaxAge);
+              if (isNaN(maxAge) || maxAge < 0) {
+                hasError = true;
+                errorReason = `${formulaLabel}: Ugyldig persistMaxAge-verdi (${formula.persistMaxAge})`;
+                this.logger.warn("config.validation_failed", {
+                  reason: errorReason,
+                });
+                break;
+              }
+            }
+
+            // Validate onDelay / offDelay / minOnTime (optional, seconds)
+            const invalidTiming = FormulaTiming.findInvalidOption(formula);
+            if (invalidTiming) {
+              hasError = true;
+              errorReason = `${formulaLabel}: Ugyldig ${invalidTiming}-verdi (${formula[invalidTiming]})`;
+              this.logger.warn("config.validation_failed", {
+                reason: errorReason,
+              });
+              break;
+            }
           }
         }
       }
     } catch (e) {
       hasError = true;
+      errorReason = "Invalid JSON";
       this.logger.warn("config.validation_failed", {
         reason: "Invalid JSON",
         error: e.message,
       });
     }
 
+    // Sirkulære formelreferanser (f1 -> f2 -> f1) kan aldri evalueres
+    if (!hasError && this.formulaCycle) {
+      hasError = true;
+      errorReason = this.homey.__("formula.error_circular_reference", {
+        cycle: this.formulaCycle.join(" -> "),
+      });
+      this.logger.warn("config.validation_failed", {
+        reason: errorReason,
+      });
+    }
+
+    // Referanser til andre enheter som ikke finnes (f.eks. etter navnebytte)
+    const registry = this.getDeviceOutputRegistry();
+    if (!hasError && registry) {
+      for (const formula of this.formulas || []) {
+        const variables = this.getFormulaVariables(formula);
+        // Flere enheter med samme navn - ikke gjett hvilken som menes
+        const ambiguous = registry.getAmbiguousReferences(variables);
+        const unresolved = registry.getUnresolvedReferences(variables);
+        if (ambiguous.length > 0 || unresolved.length > 0) {
+          hasError = true;
+          errorReason = ambiguous.length > 0
+            ? this.homey.__("formula.error_ambiguous_device_reference", {
+              references: ambiguous.join(", "),
+            })
+            : this.homey.__("formula.error_unresolved_device_reference", {
+              references: unresolved.join(", "),
+            });
+          this.logger.warn("config.validation_failed", {
+            formula: formula.name,
+            reason: errorReason,
+          });
+          break;
+        }
+      }
+    }
+
+    // Siste feil, for flow-tokens (config alarm trigger og validate_config_lu)
+    this.configError = hasError
+      ? { message: errorReason, column: errorColumn }
+      : null;
+
     // Update alarm_config capability
     await this.safeSetCapabilityValue("alarm_config", hasError);
 
@@ -891,6 +1412,16 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     }
   }
 
+  /**
+   * Flow tokens describing the current configuration error (empty when valid)
+   */
+  getConfigErrorTokens() {
+    return {
+      error_message: this.configError?.message || "",
+      error_column: this.configError?.column || 0,
+    };
+  }
+
   /**
    * Trigger config_alarm_changed_to flow cards (both device-level and app-level)
    */
@@ -901,6 +1432,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       const tokens = {
         device_name: this.getName(),
         alarm_state: alarmState,
+        ...this.getConfigErrorTokens(),
       };
       const state = {
         alarm_state: alarmState,
@@ -924,6 +1456,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       const tokens = {
         device_name: this.getName(),
         alarm_state: alarmState,
+        ...this.getConfigErrorTokens(),
       };
 
       await stateCard.trigger(this, tokens);
@@ -983,7 +1516,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     const inputs = this.getAvailableInputsUppercase();
     if (!inputs.length) return [];
     const varRe = new RegExp(`\\b(${inputs.join("|")})\\b`, "gi");
-    const matches = expression.match(varRe);
+    const matches = FormulaEvaluator.stripDeviceReferences(expression).match(varRe);
     return matches ? [...new Set(matches.map((c) => c.toUpperCase()))] : [];
   }
 
@@ -1056,8 +1589,13 @@ module.exports = class BaseLogicUnit extends Homey.Device {
 
     const oldValue = formula.inputStates[inputId];
     formula.inputStates[inputId] =
-      value === true || value === false ? value : "undefined";
+      value === true ||
+      value === false ||
+      (typeof value === "number" && Number.isFinite(value))
+        ? value
+        : "undefined";
     formula.timedOut = false;
+    formula.restored = false; // Fersk verdi - ikke lenger gjenopprettet tilstand
 
     // DEBUG: Log the specific change
     this.logger.info("🔍 DEBUG: Input value changed", {
@@ -1082,6 +1620,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
 
     if (formula.inputStates[inputId] !== "undefined") {
       formula.lastInputTime = Date.now();
+      FormulaStateStore.touchInput(formula, inputId);
     }
 
     // NEW: Check if all required inputs are now set in firstImpression mode
@@ -1113,10 +1652,125 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       }))
     });
 
-    return await this.evaluateFormula(formulaId, false);
+    const result = await this.evaluateFormula(formulaId, false);
+    if (formula.persist) {
+      this.formulaStateStore.scheduleSave();
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate a formula and then the formulas that reference it
+   * @param {string} formulaId
+   * @param {boolean} resetLocks - Unlock firstImpression inputs first
+   * @param {boolean} propagate - Re-evaluate dependent formulas when the result changes
+   *   (other devices referencing this one are always notified)
+   */
+  async evaluateFormula(formulaId, resetLocks = false, propagate = true) {
+    const formula = this.formulas.find((f) => f.id === formulaId);
+    const previous = formula ? formula.result : null;
+    const result = await this.evaluateSingleFormula(formulaId, resetLocks);
+
+    // Ukjent resultat: en ventende onDelay/offDelay skal ikke publiseres senere
+    if (formula && formula.result === null) {
+      FormulaTiming.cancel(formula);
+    }
+
+    if (formula && !this._isDeleting && formula.result !== previous) {
+      if (propagate) {
+        await this.evaluateDependentFormulas(formulaId);
+      }
+      // Devices referencing this one (@"Name") re-evaluate too
+      const registry = this.getDeviceOutputRegistry();
+      if (registry) {
+        await registry.notifyOutputChanged(this, "output");
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Remember when each input of a formula last changed (used by FOR / WITHIN / RISE / FALL)
+   */
+  recordInputHistory(formula) {
+    const now = Date.now();
+    if (!formula.inputHistory) formula.inputHistory = {};
+    this.availableInputs.forEach((id) => {
+      const raw = formula.inputStates[id];
+      const value = raw === "undefined" ? undefined : raw;
+      const entry = formula.inputHistory[id];
+      if (!entry || entry.value !== value) {
+        formula.inputHistory[id] = {
+          value,
+          since: now,
+          previous: entry ? entry.value : undefined,
+        };
+      }
+    });
+  }
+
+  /**
+   * Temporal context for evaluating a formula (per-input timestamps + per-node state)
+   */
+  getTemporalContext(formula) {
+    // Keyed by sub-expression, not AST node, so it survives re-compiling in the shared cache
+    if (!formula.temporalState) formula.temporalState = new Map();
+    return this.formulaCache.evaluator.createTemporalContext({
+      state: formula.temporalState,
+      history: (name) =>
+        (formula.inputHistory || {})[name.toLowerCase()] || null,
+      clock: this.getClock(),
+    });
+  }
+
+  /**
+   * Time of day for NIGHT / DAYLIGHT / WEEKDAY / WEEKEND / TIME_BETWEEN,
+   * computed locally from the Homey location and time zone
+   */
+  getClock() {
+    const geolocation = this.homey.geolocation;
+    return TimeOfDay.forLocation({
+      latitude: geolocation ? geolocation.getLatitude() : undefined,
+      longitude: geolocation ? geolocation.getLongitude() : undefined,
+      timeZone: this.homey.clock ? this.homey.clock.getTimezone() : undefined,
+    }).getClock();
   }
 
-  async evaluateFormula(formulaId, resetLocks = false) {
+  /**
+   * Re-check formulas with time-based operators or a delayed result (runs every
+   * second), and formulas using the time of day when the minute, day or sun changes
+   */
+  async evaluateTemporalFormulas() {
+    const now = this.getClock();
+    const clockKey = `${now.weekday}|${now.minutes}|${now.DAYLIGHT}`;
+    const clockChanged = clockKey !== this.lastClockKey;
+    this.lastClockKey = clockKey;
+
+    this.temporalTick = true;
+    try {
+      for (const formula of this.formulas || []) {
+        if (!formula.enabled || !formula.expression) continue;
+        let temporal = false;
+        let clock = false;
+        try {
+          ({ temporal, clock } = this.formulaCache.compile(formula.expression));
+        } catch (e) {
+          continue;
+        }
+        if (
+          temporal ||
+          (clock && clockChanged) ||
+          FormulaTiming.isPending(formula)
+        ) {
+          await this.evaluateFormula(formula.id);
+        }
+      }
+    } finally {
+      this.temporalTick = false;
+    }
+  }
+
+  async evaluateSingleFormula(formulaId, resetLocks = false) {
     if (this._isDeleting) return null;
     const formula = this.formulas.find((f) => f.id === formulaId);
     if (!formula || !formula.enabled) {
@@ -1126,6 +1780,19 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       return null;
     }
 
+    this.recordInputHistory(formula);
+
+    if (this.formulaCycle && this.formulaCycle.includes(formula.id)) {
+      this.logger.debug("formula.invalid", {
+        formula: formula.name,
+        reason: this.homey.__("formula.error_circular_reference", {
+          cycle: this.formulaCycle.join(" -> "),
+        }),
+      });
+      formula.result = null;
+      return null;
+    }
+
     if (resetLocks === true && formula.firstImpression === true) {
       this.availableInputs.forEach((id) => {
         formula.lockedInputs[id] = false;
@@ -1146,13 +1813,20 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       return null;
     }
 
+    // Latch/flip-flop: husker forrige tilstand, manglende inputs endrer den ikke
+    if (this.isStatefulFormula(formula)) {
+      return this.evaluateStatefulFormula(formula);
+    }
+
     const requiredInputs = this.parseExpression(expression);
     const allDefined = requiredInputs.every(
       (inputIdUpper) =>
         formula.inputStates[inputIdUpper.toLowerCase()] !== "undefined",
     );
+    // Kleene-modus: ukjente inputs er lov, resultatet avgjøres så snart det er bestemt
+    const isKleene = formula.evaluation === "kleene";
 
-    if (!allDefined && requiredInputs.length > 0) {
+    if (!allDefined && requiredInputs.length > 0 && !isKleene) {
       const missing = requiredInputs.filter(
         (id) => formula.inputStates[id.toLowerCase()] === "undefined",
       );
@@ -1166,73 +1840,69 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       return null;
     }
 
-    this.logger.debug("formula.evaluating", { formula: formula.name });
+    // Sekund-tikket for tidsoperatorer logger bare endringer
+    const verbose = !this.temporalTick;
+    if (verbose) {
+      this.logger.debug("formula.evaluating", { formula: formula.name });
+    }
 
     try {
       
-      // 1) Normaliser syntaks (AND/OR/XOR/NOT) uten å endre brukerens tekst
-      const normalizedExprBase = expression
-        .toUpperCase()
-        .replace(/&|\*/g, " AND ") // Convert & or * to AND
-        .replace(/\||\+/g, " OR ") // Convert | or + to OR
-        .replace(/\^|!=/g, " XOR ") // Convert ^ or != to XOR
-        .replace(/!/g, " NOT ") // Convert ! to NOT
-        .replace(/\s+/g, " ") // Clean up extra spaces
-        .trim();
-
-      
-      // 2) Namespac’e input‑tokens (A..J) per formel
-      const nsExpr = this._namespaceExprForFormula(formula, normalizedExprBase);
-      // 3) Bygg variabler for AST med namespacede nøkler
-      const variables = this._buildNsVariables(formula);
-      this.logger.formula("formula.evaluating_expression", {
-        expression,
-        evalExpression: nsExpr
-      });
-      // 4) Evaluer med AST
-      const result = this.formulaEvaluator.evaluate(nsExpr, variables);
-
+      // Kompilert AST hentes fra delt cache - uttrykket parses kun én gang
+      const variables = this._buildVariables(formula);
+      if (verbose) {
+        this.logger.formula("formula.evaluating_expression", {
+          expression,
+        });
+      }
+      const context = this.getTemporalContext(formula);
+      const result = isKleene
+        ? this.formulaCache.evaluateKleene(expression, variables, context)
+        : this.formulaCache.evaluate(expression, variables, context);
+
+      if (result === null) {
+        // Kleene: still undecided, waiting for more inputs
+        if (verbose) {
+          this.logger.debug("inputs.waiting", {
+            formula: formula.name,
+            missing: requiredInputs
+              .filter((id) => formula.inputStates[id.toLowerCase()] === "undefined")
+              .join(", "),
+          });
+        }
+        formula.result = null;
+        return null;
+      }
 
-      this.logger.debug("formula.evaluated", {
-        formula: formula.name,
-        result: result,
-      });
+      if (verbose) {
+        this.logger.debug("formula.evaluated", {
+          formula: formula.name,
+          result: result,
+        });
+      }
 
       const previous = formula.result;
-      formula.result = result;
+      // onDelay / offDelay / minOnTime can hold the change back for a while
+      formula.result = FormulaTiming.apply(formula, result);
       formula.timedOut = false;
+      if (verbose && FormulaTiming.isPending(formula)) {
+        this.logger.debug(
+          `⏳ '${formula.name}' is ${result}, still publishing ${previous} (delay)`,
+        );
+      }
 
-      if (result !== previous && previous !== null) {
-        const triggerData = {
-          formula: {
-            id: formula.id,
-            name: formula.name,
-          },
-        };
-        const state = {
-          formulaId: formula.id,
-        };
-        const triggerCardId = result
-          ? "formula_changed_to_true"
-          : "formula_changed_to_false";
-        try {
-          this.logger.flow(
-            `Triggering flow '${triggerCardId}' for '${formula.name}'`,
-          );
-          const card = this.homey.flow.getDeviceTriggerCard(triggerCardId);
-          await card.trigger(this, triggerData, state);
-        } catch (e) {
-          if (e.message && e.message.includes("Invalid Flow Card ID")) {
-            this.logger.error(
-              `FATAL: Trigger card '${triggerCardId}' not found. Check app.json/compose flow definitions.`,
-              e,
-            );
-          } else {
-            this.logger.error("flow.trigger_error", e);
-          }
-        }
+      // In Kleene mode a formula also fires when it goes from unknown to decided,
+      // as long as a real input (not the initial evaluation) caused it
+      const decidedFromUnknown =
+        isKleene && previous === null && formula.lastInputTime !== null;
+
+      if (
+        formula.result !== previous &&
+        (previous !== null || decidedFromUnknown)
+      ) {
+        await this.triggerFormulaChanged(formula, formula.result);
       }
-      return result;
+      return formula.result;
     } catch (e) {
       // Check if error is due to undefined variable
       if (e.message && e.message.includes("is not defined")) {
@@ -1249,10 +1919,143 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     }
   }
 
+  /**
+   * Evaluate one sub-expression of a stateful formula.
+   * Unknown inputs (or an unknown result) count as "not asserted".
+   */
+  evaluateSubExpression(formula, expression) {
+    try {
+      return (
+        this.formulaCache.evaluateKleene(
+          expression,
+          this._buildVariables(formula),
+          this.getTemporalContext(formula),
+        ) === true
+      );
+    } catch (e) {
+      if (!(e.message && e.message.includes("is not defined"))) {
+        this.logger.error("errors.evaluation_failed", e);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Rising edge of a sub-expression since the previous evaluation.
+   * The first evaluation after start-up is never an edge.
+   */
+  detectRisingEdge(formula, field, value) {
+    const previous = formula.clockState[field];
+    formula.clockState[field] = value;
+    return previous === false && value === true;
+  }
+
+  /**
+   * SR latch, toggle and JK flip-flop evaluation.
+   * - sr_latch: set -> TRUE, reset -> FALSE, both -> priority (default reset)
+   * - toggle: flips on the rising edge of the expression
+   * - jk: on the rising edge of clock (or of J/K when there is no clock):
+   *   J and K -> flip, J -> TRUE, K -> FALSE
+   */
+  async evaluateStatefulFormula(formula) {
+    const values = {};
+    this.getFormulaExpressions(formula).forEach(({ field, expression }) => {
+      values[field] = expression
+        ? this.evaluateSubExpression(formula, expression)
+        : false;
+    });
+
+    const previous = formula.result === true;
+    let next = previous;
+
+    if (formula.type === "sr_latch") {
+      if (values.set && values.reset) {
+        next = formula.priority === "set";
+      } else if (values.set) {
+        next = true;
+      } else if (values.reset) {
+        next = false;
+      }
+    } else if (formula.type === "toggle") {
+      if (this.detectRisingEdge(formula, "expression", values.expression)) {
+        next = !previous;
+      }
+    } else if (formula.type === "jk") {
+      const jRose = this.detectRisingEdge(formula, "j", values.j);
+      const kRose = this.detectRisingEdge(formula, "k", values.k);
+      const clocked = formula.clock
+        ? this.detectRisingEdge(formula, "clock", values.clock)
+        : jRose || kRose;
+      if (clocked) {
+        if (values.j && values.k) {
+          next = !previous;
+        } else if (values.j) {
+          next = true;
+        } else if (values.k) {
+          next = false;
+        }
+      }
+    }
+
+    if (!this.temporalTick) {
+      this.logger.debug("formula.evaluated", {
+        formula: formula.name,
+        result: next,
+      });
+    }
+
+    formula.result = next;
+    formula.timedOut = false;
+    // Oppstart: gjenopprett tilstanden stille, uten triggere eller lagring
+    if (next !== previous && !this.isInitialEvaluation) {
+      await this.saveFormulaStates();
+      await this.triggerFormulaChanged(formula, next);
+    }
+    return next;
+  }
+
+  /**
+   * Fire "formula changed to" triggers for a formula (plus the deprecated TRUE/FALSE cards)
+   */
+  async triggerFormulaChanged(formula, result) {
+    const tokens = {
+      device_name: this.getName(),
+      formula_name: formula.name,
+      result,
+    };
+    const state = {
+      formulaId: formula.id,
+      result,
+    };
+    const cardIds = [
+      "formula_changed_to_lu",
+      result
+        ? "formula_changed_to_true_lu_deprecated"
+        : "formula_changed_to_false_lu_deprecated",
+    ];
+
+    for (const cardId of cardIds) {
+      try {
+        this.logger.flow(`Triggering flow '${cardId}' for '${formula.name}'`);
+        const card = this.homey.flow.getDeviceTriggerCard(cardId);
+        await card.trigger(this, tokens, state);
+      } catch (e) {
+        if (e.message && e.message.includes("Invalid Flow Card ID")) {
+          this.logger.error(
+            `FATAL: Trigger card '${cardId}' not found. Check app.json/compose flow definitions.`,
+            e,
+          );
+        } else {
+          this.logger.error("flow.trigger_error", e);
+        }
+      }
+    }
+  }
+
   async evaluateAllFormulas() {
     this.logger.info("notifications.reevaluating", {});
     const results = [];
-    for (const formula of this.formulas) {
+    for (const formula of this.getFormulasInDependencyOrder()) {
       if (formula.enabled) {
         if (formula.firstImpression) {
           this.availableInputs.forEach((id) => {
@@ -1263,7 +2066,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
             formula: formula.name,
           });
         }
-        const result = await this.evaluateFormula(formula.id, false);
+        const result = await this.evaluateFormula(formula.id, false, false);
         results.push({
           id: formula.id,
           name: formula.name,
@@ -1285,10 +2088,19 @@ module.exports = class BaseLogicUnit extends Homey.Device {
   }
 
   async evaluateAllFormulasInitial() {
+    this.isInitialEvaluation = true;
+    try {
+      return await this._evaluateAllFormulasInitial();
+    } finally {
+      this.isInitialEvaluation = false;
+    }
+  }
+
+  async _evaluateAllFormulasInitial() {
     this.logger.info("evaluation.initial_complete", {});
     let anyEvaluated = false;
 
-    for (const formula of this.formulas) {
+    for (const formula of this.getFormulasInDependencyOrder()) {
       if (!formula.enabled) {
         formula.result = null;
         continue;
@@ -1313,11 +2125,16 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         (id) => formula.inputStates[id.toLowerCase()] !== "undefined",
       );
 
-      if (allDefined || required.length === 0) {
+      if (
+        allDefined ||
+        required.length === 0 ||
+        formula.evaluation === "kleene" ||
+        this.isStatefulFormula(formula)
+      ) {
         this.logger.debug("formula.all_inputs_defined", {
           name: formula.name,
         });
-        const result = await this.evaluateFormula(formula.id);
+        const result = await this.evaluateFormula(formula.id, false, false);
         if (result !== null) {
           anyEvaluated = true;
         }
@@ -1377,7 +2194,111 @@ module.exports = class BaseLogicUnit extends Homey.Device {
   async onFlowActionValidateConfig(args, state) {
     this.logger.info("🔍 Manual configuration validation triggered");
     await this.updateConfigAlarm();
-    return true;
+    return {
+      valid: !this.configError,
+      ...this.getConfigErrorTokens(),
+    };
+  }
+
+  /**
+   * Truth table and minimisation report for one formula
+   * @throws {Error} If the formula can't be compiled or isn't purely boolean
+   */
+  analyzeFormula(formula) {
+    if (this.isStatefulFormula(formula)) {
+      throw new Error(
+        this.homey.__("analysis.stateful_formula", { type: formula.type }),
+      );
+    }
+    const { ast } = this.formulaCache.compile(formula.expression);
+    const report = this.formulaCache.evaluator.analyze(ast, {
+      inputs: this.getAvailableInputsUppercase(),
+    });
+    return { formula: formula.id, expression: formula.expression, ...report };
+  }
+
+  /**
+   * Action card handler: Truth table for a formula, returned as JSON token
+   */
+  async onFlowActionAnalyzeFormula(args, state) {
+    const formulaId = args?.formula?.id;
+    const formula = this.formulas.find((f) => f.id === formulaId);
+    if (!formula) {
+      throw new Error(
+        this.homey.__("analysis.formula_not_found", { formulaId }),
+      );
+    }
+
+    let report;
+    try {
+      report = this.analyzeFormula(formula);
+    } catch (e) {
+      throw new Error(
+        this.homey.__("analysis.not_available", {
+          formulaName: formula.name,
+          error: e.message,
+        }),
+      );
+    }
+
+    this.logger.flow(
+      `onFlowActionAnalyzeFormula: '${formula.name}' -> ${report.minimized}`,
+    );
+    return {
+      report: JSON.stringify(report),
+      minimized: report.minimized,
+    };
+  }
+
+  /**
+   * One line per formula for the read-only "Formula analysis" setting
+   */
+  getFormulaAnalysisSummary() {
+    const formulas = (this.formulas || []).filter((f) => f.expression);
+    if (formulas.length === 0) {
+      return this.homey.__("analysis.no_formulas");
+    }
+
+    return formulas
+      .map((formula) => {
+        let report;
+        try {
+          report = this.analyzeFormula(formula);
+        } catch (e) {
+          return this.homey.__("analysis.summary_skipped", {
+            formulaName: formula.name,
+            error: e.message,
+          });
+        }
+
+        const notes = [];
+        if (report.tautology) notes.push(this.homey.__("analysis.tautology"));
+        if (report.contradiction) notes.push(this.homey.__("analysis.contradiction"));
+        if (!report.tautology && !report.contradiction && report.unusedInputs.length > 0) {
+          notes.push(
+            this.homey.__("analysis.unused_inputs", {
+              inputs: report.unusedInputs.join(", "),
+            }),
+          );
+        }
+        const line = this.homey.__("analysis.summary_line", {
+          formulaName: formula.name,
+          minimized: report.minimized,
+        });
+        return notes.length > 0 ? `${line} (${notes.join("; ")})` : line;
+      })
+      .join("\n");
+  }
+
+  async updateFormulaAnalysisSetting() {
+    try {
+      const summary = this.getFormulaAnalysisSummary();
+      if (summary !== this.getSetting("formula_analysis")) {
+        await this.setSettings({ formula_analysis: summary });
+      }
+    } catch (e) {
+      this.logger.error("Failed to update formula analysis", e);
+    }
   }
 
   hasFormulaTimedOut(formulaId) {
@@ -1391,6 +2312,9 @@ module.exports = class BaseLogicUnit extends Homey.Device {
     }
     this.timeoutInterval = setInterval(() => {
       this.checkTimeouts();
+      this.evaluateTemporalFormulas().catch((e) =>
+        this.logger.error("errors.evaluation_failed", e),
+      );
     }, 1000);
     this.logger.debug("Started timeout check interval.", {});
   }
@@ -1427,6 +2351,9 @@ module.exports = class BaseLogicUnit extends Homey.Device {
           timeout: formula.timeout,
         });
         formula.timedOut = true;
+        if (formula.persist) {
+          this.formulaStateStore.scheduleSave();
+        }
 
         const triggerData = {
           formula: {
@@ -1469,8 +2396,24 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       this.timeoutInterval = null;
     }
 
+    if (changedKeys.includes("input_names")) {
+      const { names, error } = this.parseInputNames(newSettings.input_names);
+      if (error) {
+        throw new Error(error);
+      }
+      this.declaredInputs = names;
+      this.availableInputs = this.getAvailableInputIds();
+      this.logger.info("settings.input_names_updated", {
+        inputs: this.availableInputs.join(", "),
+      });
+    }
+
     // When formulas change, use newSettings directly instead of cached getSettings()
     if (changedKeys.includes("formulas")) {
+      // Drop compiled ASTs for the old expressions
+      this.formulaCache.invalidate(
+        (this.formulas || []).map((f) => f.expression),
+      );
       this.logger.debug(
         "Initializing formulas from newSettings (not cached)...",
         {},
@@ -1489,9 +2432,13 @@ module.exports = class BaseLogicUnit extends Homey.Device {
             id: f.id || `formula_${Math.random().toString(16).slice(2)}`,
             name: f.name || this.homey.__("formula.unnamed_formula"),
             expression: f.expression || "",
+            ...this.parseFormulaType(f),
             enabled: f.enabled !== false,
             timeout: Number(f.timeout) || 0,
             firstImpression: !!f.firstImpression,
+            evaluation: f.evaluation === "kleene" ? "kleene" : "boolean",
+            ...FormulaStateStore.parseOptions(f),
+            ...FormulaTiming.parseOptions(f),
             inputStates: {},
             lockedInputs: {},
             lastInputTime: null,
@@ -1523,9 +2470,11 @@ module.exports = class BaseLogicUnit extends Homey.Device {
             ? this.homey.__("formula.default_name_alt")
             : this.homey.__("formula.default_name_alt_fallback"),
           expression: this.getDefaultExpression(),
+          type: "combinational",
           enabled: true,
           timeout: 0,
           firstImpression: false,
+          evaluation: "boolean",
           inputStates: {},
           lockedInputs: {},
           lastInputTime: null,
@@ -1550,14 +2499,18 @@ module.exports = class BaseLogicUnit extends Homey.Device {
           enabled: f.enabled,
         }),
       );
+      this.restoreFormulaStates();
+      this.updateFormulaDependencies();
     } else {
       // For other setting changes, use the normal initializeFormulas
       await this.initializeFormulas();
     }
 
-    if (changedKeys.includes("formulas")) {
+    if (changedKeys.includes("formulas") || changedKeys.includes("input_names")) {
       for (const formula of this.formulas) {
-        const validation = this.validateExpression(formula.expression);
+        const validation = this.validateFormulaExpressions(formula) || {
+          valid: true,
+        };
         if (!validation.valid) {
           this.homey.notifications
             .createNotification({
@@ -1581,6 +2534,24 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         }
       }
 
+      if (this.formulaCycle) {
+        this.homey.notifications
+          .createNotification({
+            excerpt: this.homey.__("notifications.invalid_formula_config", {
+              formulaName: this.getName(),
+              error: this.homey.__("formula.error_circular_reference", {
+                cycle: this.formulaCycle.join(" -> "),
+              }),
+            }),
+          })
+          .catch((e) =>
+            this.logger.error(
+              this.homey.__("errors.notification_failed_invalid_formula"),
+              e,
+            ),
+          );
+      }
+
       // Update alarm_config based on validation results
       await this.updateConfigAlarm();
     }
@@ -1616,6 +2587,10 @@ module.exports = class BaseLogicUnit extends Homey.Device {
         }
       }, 500);
     }
+    if (changedKeys.includes("formulas") || changedKeys.includes("input_names")) {
+      // setSettings() can't be called until onSettings has returned
+      setTimeout(() => this.updateFormulaAnalysisSetting(), 1000);
+    }
   }
 
   async checkSettingsChanged() {
@@ -1629,6 +2604,11 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       // Update stored value
       this.lastKnownFormulas = currentFormulas;
 
+      // Drop compiled ASTs for the old expressions
+      this.formulaCache.invalidate(
+        (this.formulas || []).map((f) => f.expression),
+      );
+
       // Reinitialize formulas and validate
       await this.initializeFormulas();
 
@@ -1637,6 +2617,7 @@ module.exports = class BaseLogicUnit extends Homey.Device {
 
       // Re-evaluate formulas with new settings
       await this.evaluateAllFormulasInitial();
+      await this.updateFormulaAnalysisSetting();
 
       this.logger.info("✅ Settings reloaded and validated");
     }
@@ -1655,11 +2636,30 @@ module.exports = class BaseLogicUnit extends Homey.Device {
       clearInterval(this.settingsPoller);
       this.settingsPoller = null;
     }
+    if (this.formulaStateStore) {
+      this.formulaStateStore.stop();
+    }
+    if (this.unsubscribeDeviceOutputs) {
+      this.unsubscribeDeviceOutputs();
+      this.unsubscribeDeviceOutputs = null;
+    }
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      await registry.notifyOutputChanged(this, "removed");
+    }
     this.logger.info("device.cleanup_complete", {
       name: this.getName(),
     });
   }
 
+  async onRenamed(name) {
+    // References use the device name, so let referencing devices re-check theirs
+    const registry = this.getDeviceOutputRegistry();
+    if (registry) {
+      await registry.notifyOutputChanged(this, "renamed");
+    }
+  }
+
 
 // --- Async venting for condition-kort ---
 _sleep(ms) {
@@ -0,0 +1,235 @@
+'use strict';
+
+const FormulaEvaluator = require('./FormulaEvaluator');
+
+/**
+ * DeviceOutputRegistry - Singleton registry of Boolean Toolbox device outputs
+ *
+ * Purpose: Let formulas reference other Logic Units and Logic Devices by name,
+ * e.g. @"Hallway Presence".f1 AND A, instead of wiring a trigger to a
+ * set_input action for every connection.
+ *
+ * Features:
+ * - Looks devices up by name across all logic-unit* and logic-device drivers
+ * - Device output = overall result (alarm_generic) or a single formula result
+ * - Change subscriptions (output changed, device added, renamed or removed)
+ * - Unresolved references are reported, so a rename doesn't break links silently
+ * - Names are indexed once per added/renamed/removed notification, and names
+ *   shared by several devices are reported as ambiguous instead of guessed
+ * - Propagation depth limit for devices that reference each other
+ */
+
+class DeviceOutputRegistry {
+    constructor(homey, logger) {
+        if (DeviceOutputRegistry.instance) {
+            return DeviceOutputRegistry.instance;
+        }
+
+        this.homey = homey;
+        this.logger = logger;
+        this.subscribers = new Set();
+
+        // Uppercase name -> devices, rebuilt lazily after added/renamed/removed
+        this.nameIndex = null;
+
+        // Configuration
+        this.MAX_PROPAGATION_DEPTH = 10;
+
+        this.propagationDepth = 0;
+
+        DeviceOutputRegistry.instance = this;
+        this.logger.info('🔧 DeviceOutputRegistry initialized');
+    }
+
+    /**
+     * Get all Boolean Toolbox devices
+     * @param {string} driverFilter - 'any', 'logic-unit', or 'logic-device'
+     * @returns {Array<{device: Object, driverId: string}>}
+     */
+    getLogicDevices(driverFilter = 'any') {
+        const result = [];
+        const drivers = this.homey.drivers.getDrivers();
+
+        for (const driver of Object.values(drivers)) {
+            const driverId = driver.id;
+
+            let shouldInclude = false;
+            if (driverFilter === 'any') {
+                shouldInclude = driverId.startsWith('logic-unit') || driverId === 'logic-device';
+            } else if (driverFilter === 'logic-unit') {
+                shouldInclude = driverId.startsWith('logic-unit');
+            } else if (driverFilter === 'logic-device') {
+                shouldInclude = driverId === 'logic-device';
+            }
+
+            if (!shouldInclude) continue;
+
+            for (const device of driver.getDevices()) {
+                result.push({ device, driverId });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Devices by uppercase name (built on first use after a change)
+     * @returns {Map<string, Object[]>}
+     */
+    getNameIndex() {
+        if (this.nameIndex) return this.nameIndex;
+
+        const index = new Map();
+        try {
+            for (const { device } of this.getLogicDevices()) {
+                if (device._isDeleting) continue;
+                const key = device.getName().trim().toUpperCase();
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(device);
+            }
+        } catch (e) {
+            this.logger.error('Failed to index devices by name', e);
+            return index;
+        }
+        this.nameIndex = index;
+        return index;
+    }
+
+    /**
+     * Find a device by name (case-insensitive, ignoring surrounding whitespace)
+     * @returns {Object|null} null if no device - or more than one - has the name
+     */
+    findDeviceByName(name) {
+        const matches = this.getNameIndex().get(String(name).trim().toUpperCase()) || [];
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Whether several devices share a name
+     */
+    isAmbiguousName(name) {
+        const matches = this.getNameIndex().get(String(name).trim().toUpperCase()) || [];
+        return matches.length > 1;
+    }
+
+    /**
+     * Device references among a list of formula variables
+     * @param {string[]} variables - Variable names from the AST
+     * @returns {string[]}
+     */
+    getReferences(variables) {
+        return (variables || []).filter(v => FormulaEvaluator.parseDeviceReference(v));
+    }
+
+    /**
+     * Resolve a device reference variable to its current value
+     * @param {string} variable - e.g. @"HALLWAY PRESENCE".F1
+     * @returns {{resolved: boolean, value: boolean|null, device: Object|null, ambiguous: boolean}}
+     */
+    resolveReference(variable) {
+        const ref = FormulaEvaluator.parseDeviceReference(variable);
+        if (!ref) {
+            return { resolved: false, value: null, device: null };
+        }
+
+        if (this.isAmbiguousName(ref.deviceName)) {
+            return { resolved: false, value: null, device: null, ambiguous: true };
+        }
+
+        const device = this.findDeviceByName(ref.deviceName);
+        if (!device || typeof device.getDeviceOutput !== 'function') {
+            return { resolved: false, value: null, device: null };
+        }
+
+        // undefined = the device has no formula with that id
+        const value = device.getDeviceOutput(ref.formulaId);
+        if (value === undefined) {
+            return { resolved: false, value: null, device };
+        }
+
+        return { resolved: true, value: typeof value === 'boolean' ? value : null, device };
+    }
+
+    /**
+     * Known values for the device references in a formula
+     * @param {string[]} variables - Variable names from the AST
+     * @returns {Object} Variable name -> boolean (unknown values are left out)
+     */
+    getReferenceValues(variables) {
+        const values = {};
+        this.getReferences(variables).forEach(variable => {
+            const { value } = this.resolveReference(variable);
+            if (value !== null) {
+                values[variable] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Device references that don't point to an existing device/formula
+     * @param {string[]} variables - Variable names from the AST
+     * @returns {string[]}
+     */
+    getUnresolvedReferences(variables) {
+        return this.getReferences(variables).filter(v => {
+            const { resolved, ambiguous } = this.resolveReference(v);
+            return !resolved && !ambiguous;
+        });
+    }
+
+    /**
+     * Device references whose name matches more than one device
+     * @param {string[]} variables - Variable names from the AST
+     * @returns {string[]}
+     */
+    getAmbiguousReferences(variables) {
+        return this.getReferences(variables).filter(v => this.resolveReference(v).ambiguous);
+    }
+
+    /**
+     * Subscribe to output changes
+     * @param {Function} listener - async (device, reason) => {}, reason: output|added|renamed|removed
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.subscribers.add(listener);
+        return () => this.subscribers.delete(listener);
+    }
+
+    /**
+     * Tell subscribers that a device's output (or name/existence) changed
+     * @param {Object} device - The device that changed
+     * @param {string} reason - 'output', 'added', 'renamed' or 'removed'
+     */
+    async notifyOutputChanged(device, reason = 'output') {
+        if (reason !== 'output') {
+            this.nameIndex = null;
+        }
+
+        if (this.propagationDepth >= this.MAX_PROPAGATION_DEPTH) {
+            this.logger.warn(`⚠️ Device reference propagation stopped at depth ${this.MAX_PROPAGATION_DEPTH} (circular references between devices?)`, {
+                device: device.getName()
+            });
+            return;
+        }
+
+        this.propagationDepth++;
+        try {
+            for (const listener of [...this.subscribers]) {
+                try {
+                    await listener(device, reason);
+                } catch (e) {
+                    this.logger.error('Device output subscriber failed', e);
+                }
+            }
+        } finally {
+            this.propagationDepth--;
+        }
+    }
+}
+
+// Singleton instance
+DeviceOutputRegistry.instance = null;
+
+module.exports = DeviceOutputRegistry;
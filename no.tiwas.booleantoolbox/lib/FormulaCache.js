@@ -0,0 +1,143 @@
+'use strict';
+
+const FormulaEvaluator = require('./FormulaEvaluator');
+
+/**
+ * FormulaCache - Singleton cache of compiled formula expressions
+ *
+ * Purpose: Tokenize and parse each expression once, and reuse the AST on every
+ * input change. Shared by Logic Units and Logic Devices.
+ *
+ * Features:
+ * - Keyed by the expression text (all operator spellings are handled by FormulaEvaluator)
+ * - Invalidated per expression when a device's formulas change
+ * - Bounded size (least recently used entries are evicted first)
+ * - Parse errors are never cached
+ */
+
+class FormulaCache {
+    constructor() {
+        if (FormulaCache.instance) {
+            return FormulaCache.instance;
+        }
+
+        this.evaluator = new FormulaEvaluator();
+        this.entries = new Map(); // expression -> { expression, ast, variables }
+
+        // Configuration
+        this.MAX_ENTRIES = 500;
+
+        // Statistics (useful when debugging)
+        this.hits = 0;
+        this.misses = 0;
+
+        FormulaCache.instance = this;
+    }
+
+    /**
+     * Normalize the cache key for an expression
+     */
+    keyFor(expression) {
+        return typeof expression === 'string' ? expression.trim() : expression;
+    }
+
+    /**
+     * Compile an expression to an AST, or return the cached one
+     * @param {string} expression - The formula expression
+     * @returns {{expression: string, ast: Object, variables: string[], temporal: boolean, clock: boolean}}
+     * @throws {Error} If the expression can't be tokenized or parsed
+     */
+    compile(expression) {
+        const key = this.keyFor(expression);
+        const cached = this.entries.get(key);
+
+        if (cached) {
+            this.hits++;
+            // Move to the end so the Map order doubles as LRU order
+            this.entries.delete(key);
+            this.entries.set(key, cached);
+            return cached;
+        }
+
+        this.misses++;
+        const tokens = this.evaluator.tokenize(key);
+        const ast = this.evaluator.parse(tokens);
+        const entry = {
+            expression: key,
+            ast,
+            variables: this.evaluator.getVariables(ast),
+            temporal: this.evaluator.hasTemporal(ast), // FOR / WITHIN / RISE / FALL
+            clock: this.evaluator.hasClock(ast) // NIGHT / DAYLIGHT / WEEKDAY / WEEKEND / TIME_BETWEEN
+        };
+
+        this.entries.set(key, entry);
+        if (this.entries.size > this.MAX_ENTRIES) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Evaluate an expression using its cached AST
+     * @param {string} expression - The formula expression
+     * @param {Object} variables - Object mapping variable names to values
+     * @param {Object} [context] - Temporal context for FOR / WITHIN / RISE / FALL and the time of day
+     * @returns {boolean}
+     */
+    evaluate(expression, variables = {}, context = null) {
+        const { ast } = this.compile(expression);
+        return this.evaluator.evaluateAST(ast, variables, context);
+    }
+
+    /**
+     * Evaluate an expression with three-valued (Kleene) logic using its cached AST
+     * @param {string} expression - The formula expression
+     * @param {Object} variables - Object mapping variable names to values
+     * @param {Object} [context] - Temporal context for FOR / WITHIN / RISE / FALL and the time of day
+     * @returns {boolean|null} null while the result is still unknown
+     */
+    evaluateKleene(expression, variables = {}, context = null) {
+        const { ast } = this.compile(expression);
+        return this.evaluator.evaluateKleene(ast, variables, context);
+    }
+
+    /**
+     * Drop cached entries for the given expressions
+     * @param {string|string[]} expressions
+     */
+    invalidate(expressions) {
+        const list = Array.isArray(expressions) ? expressions : [expressions];
+        list.forEach(expression => {
+            if (expression) {
+                this.entries.delete(this.keyFor(expression));
+            }
+        });
+    }
+
+    /**
+     * Drop every cached entry
+     */
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        return {
+            size: this.entries.size,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+// Singleton instance
+FormulaCache.instance = null;
+
+module.exports = FormulaCache;
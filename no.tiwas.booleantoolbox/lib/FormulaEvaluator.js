@@ -9,19 +9,193 @@
  * - OR: OR, ||, +, |
  * - XOR: XOR, ^, !=
  * - NOT: NOT, !
+ * - Comparison: >, >=, <, <=, == (numeric, e.g. A > 21.5)
+ *   != is a numeric not-equal when one side is a number (A != 21.5), XOR otherwise
  * 
  * Supported values:
  * - Variables: A-J (case-insensitive)
  * - Literals: TRUE, FALSE, true, false, 1, 0
+ * - Numbers: 21.5, -3, 100 (used in comparisons; 0 and 1 alone stay boolean literals)
+ * - Device references: @"Hallway Presence" (device output) or @"Hallway Presence".f1
+ *   (a formula result). They become variables named @"HALLWAY PRESENCE".F1
  * - Parentheses: ( )
+ *
+ * Time-based operators:
+ * - A FOR 300s: A has been true for at least 300 seconds (units: ms, s, m, h)
+ * - B WITHIN 10s OF C: B and C are both true and became true at most 10s apart
+ * - RISE(A) / FALL(A): true for EDGE_PULSE_MS after A changed false->true / true->false
+ * They need a temporal context ({ now, state, history }) so the device can
+ * keep per-input change timestamps and re-evaluate on a timer.
+ *
+ * Time of day (computed by the device, passed as context.clock):
+ * - NIGHT / DAYLIGHT: the sun is below / above the horizon
+ * - WEEKDAY / WEEKEND: Monday-Friday / Saturday-Sunday
+ * - TIME_BETWEEN(22:00, 06:00): the local time is in the range (may wrap past midnight)
+ *
+ * Counting and gate functions:
+ * - ATLEAST(2, A, B, C), ATMOST(1, A, B, C), EXACTLY(1, A, B, C): how many of
+ *   the inputs are true (the first argument is a whole number)
+ * - MAJORITY(A, B, C): more than half of the inputs are true
+ * - NAND(A, B, ...), NOR(A, B, ...), IMPLIES(A, B)
+ *
+ * Precedence (highest first): comparison, NOT, FOR/WITHIN, AND, XOR, OR.
+ * "NOT A > 5" therefore means "NOT (A > 5)", and "A AND B FOR 5m" means "A AND (B FOR 5m)".
+ *
+ * Evaluation modes:
+ * - evaluateAST: classic two-valued logic, throws on undefined variables
+ * - evaluateKleene: three-valued logic (true/false/null = unknown), so
+ *   "A OR B" with A=true is decided even while B is still unknown
+ *
+ * Analysis:
+ * - analyze: truth table, tautology/contradiction, unused inputs and a
+ *   minimised equivalent expression (Quine–McCluskey) for boolean formulas
+ *
+ * Errors:
+ * - tokenize/parse throw FormulaSyntaxError with { code, message, position,
+ *   length, expected }, so the UI can point at the exact column
  */
 
+/**
+ * Syntax error with the location of the problem in the expression
+ * - code: stable identifier (e.g. UNEXPECTED_CHARACTER), used for localisation
+ * - position: 0-based character index in the expression (null if unknown)
+ * - length: number of characters the error covers
+ * - expected: what would have been valid here (e.g. [')'])
+ * - params: values for the localised message (e.g. { character: '$' })
+ */
+class FormulaSyntaxError extends Error {
+  constructor({ code, message, position = null, length = 0, expected = [], params = {} }) {
+    super(message);
+    this.name = 'FormulaSyntaxError';
+    this.code = code;
+    this.position = position;
+    this.length = length;
+    this.expected = expected;
+    this.params = params;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      position: this.position,
+      length: this.length,
+      expected: this.expected
+    };
+  }
+}
+
+// Source positions for tokens and Variable nodes ({ position, length }).
+// Kept outside the objects so tokens and ASTs stay plain data.
+const sourcePositions = new WeakMap();
+
+// Structural key per AST node (see FormulaEvaluator.nodeKey), computed once per node
+const nodeKeys = new WeakMap();
+
 class FormulaEvaluator {
+  // How long RISE()/FALL() stay true after the edge
+  static EDGE_PULSE_MS = 1000;
+
+  // Largest number of inputs analyze() will enumerate (2^10 = 1024 rows)
+  static MAX_ANALYSIS_INPUTS = 10;
+
+  // Functions and how many arguments they take (max: Infinity = any number).
+  // count: the first argument is a whole number, not an operand.
+  // temporal: the result depends on when values changed.
+  // clock: the arguments are times of day (HH:MM), not operands.
+  static FUNCTIONS = {
+    RISE: { min: 1, max: 1, temporal: true },
+    FALL: { min: 1, max: 1, temporal: true },
+    TIME_BETWEEN: { min: 2, max: 2, clock: true },
+    ATLEAST: { min: 2, max: Infinity, count: true },
+    ATMOST: { min: 2, max: Infinity, count: true },
+    EXACTLY: { min: 2, max: Infinity, count: true },
+    MAJORITY: { min: 1, max: Infinity },
+    NAND: { min: 2, max: Infinity },
+    NOR: { min: 2, max: Infinity },
+    IMPLIES: { min: 2, max: 2 }
+  };
+
+  // Reserved identifiers for the time of day (values come from context.clock)
+  static CLOCK_VARIABLES = ['NIGHT', 'DAYLIGHT', 'WEEKDAY', 'WEEKEND'];
+
   constructor() {
     this.tokens = [];
     this.position = 0;
   }
 
+  /**
+   * Variable name used for a device reference
+   * @param {string} deviceName - Name of the referenced device
+   * @param {string} [formulaId] - Formula id, or empty for the device output
+   * @returns {string} e.g. @"HALLWAY PRESENCE".F1
+   */
+  static formatDeviceReference(deviceName, formulaId) {
+    const name = `@"${deviceName.trim().toUpperCase()}"`;
+    return formulaId ? `${name}.${formulaId.toUpperCase()}` : name;
+  }
+
+  /**
+   * Split a device reference variable into its parts
+   * @param {string} name - Variable name from the AST
+   * @returns {{deviceName: string, formulaId: string|null}|null} null if not a device reference
+   */
+  static parseDeviceReference(name) {
+    const match = /^@"([^"]+)"(?:\.([A-Z0-9_]+))?$/.exec(String(name));
+    if (!match) return null;
+    return { deviceName: match[1], formulaId: match[2] || null };
+  }
+
+  /**
+   * Replace device references with spaces, so text-based checks
+   * (input letters, parentheses) don't look inside device names
+   */
+  static stripDeviceReferences(expression) {
+    return String(expression).replace(/@"[^"]*"(?:\.[a-zA-Z0-9_]*)?/g, ' ');
+  }
+
+  /**
+   * Where a token or Variable node came from in the expression
+   * @returns {{position: number, length: number}|null} null for hand-built tokens/nodes
+   */
+  static getSourcePosition(item) {
+    return (item && typeof item === 'object' && sourcePositions.get(item)) || null;
+  }
+
+  /**
+   * Structured description of any error thrown while compiling or evaluating
+   * @param {Error} error - The thrown error
+   * @param {string} [expression] - The expression, used for the excerpt
+   * @returns {{code: string, message: string, position: number|null, length: number,
+   *   expected: string[], params: Object, column: number|null, excerpt: string}}
+   *   column is 1-based; excerpt marks the problem with [ ], e.g. "A AND [$] B"
+   */
+  static describeError(error, expression = '') {
+    const isSyntax = error instanceof FormulaSyntaxError;
+    const position = isSyntax ? error.position : null;
+    const length = isSyntax ? error.length : 0;
+
+    let excerpt = '';
+    if (position !== null && typeof expression === 'string') {
+      const CONTEXT = 12;
+      const from = Math.max(0, position - CONTEXT);
+      const to = Math.min(expression.length, position + length + CONTEXT);
+      excerpt = `${from > 0 ? '…' : ''}${expression.slice(from, position)}[${expression.slice(position, position + length)}]` +
+        `${expression.slice(position + length, to)}${to < expression.length ? '…' : ''}`;
+    }
+
+    return {
+      code: isSyntax ? error.code : 'INVALID_EXPRESSION',
+      message: error.message,
+      position,
+      length,
+      expected: isSyntax ? error.expected : [],
+      params: isSyntax ? error.params : {},
+      column: position !== null ? position + 1 : null,
+      excerpt
+    };
+  }
+
   /**
    * Tokenize the expression into tokens
    * @param {string} expression - The formula expression to tokenize
@@ -29,19 +203,37 @@ class FormulaEvaluator {
    */
   tokenize(expression) {
     if (!expression || typeof expression !== 'string') {
-      throw new Error('Expression must be a non-empty string');
+      throw new FormulaSyntaxError({
+        code: 'EMPTY_EXPRESSION',
+        message: 'Expression must be a non-empty string',
+        position: 0
+      });
     }
 
     const tokens = [];
     const expr = expression.trim();
+    const offset = expression.indexOf(expr); // posisjoner regnes i det originale uttrykket
     let i = 0;
 
+    // Every loop iteration emits at most one token, so the one just pushed
+    // spans from `start` to the current index
+    let start = 0;
+    let recorded = 0;
+    const recordPositions = () => {
+      for (; recorded < tokens.length; recorded++) {
+        sourcePositions.set(tokens[recorded], { position: offset + start, length: i - start });
+      }
+    };
+
     while (i < expr.length) {
+      recordPositions();
+
       // Skip whitespace
       if (/\s/.test(expr[i])) {
         i++;
         continue;
       }
+      start = i;
 
       // Parentheses
       if (expr[i] === '(') {
@@ -54,6 +246,11 @@ class FormulaEvaluator {
         i++;
         continue;
       }
+      if (expr[i] === ',') {
+        tokens.push({ type: 'COMMA', value: ',' });
+        i++;
+        continue;
+      }
 
       // Two-character operators
       if (i < expr.length - 1) {
@@ -73,6 +270,17 @@ class FormulaEvaluator {
           i += 2;
           continue;
         }
+        if (twoChar === '>=' || twoChar === '<=' || twoChar === '==') {
+          tokens.push({ type: 'COMPARE', value: twoChar });
+          i += 2;
+          continue;
+        }
+      }
+
+      if (expr[i] === '>' || expr[i] === '<') {
+        tokens.push({ type: 'COMPARE', value: expr[i] });
+        i++;
+        continue;
       }
 
       // Single-character operators
@@ -107,7 +315,55 @@ class FormulaEvaluator {
         continue;
       }
 
-      
+      // Device references: @"Device name" or @"Device name".formula_id
+      if (expr[i] === '@' && expr[i + 1] === '"') {
+        const end = expr.indexOf('"', i + 2);
+        if (end === -1) {
+          throw new FormulaSyntaxError({
+            code: 'UNTERMINATED_DEVICE_NAME',
+            message: 'Unterminated device name',
+            position: offset + i,
+            length: expr.length - i,
+            expected: ['"']
+          });
+        }
+        const deviceName = expr.substring(i + 2, end).trim();
+        if (!deviceName) {
+          throw new FormulaSyntaxError({
+            code: 'EMPTY_DEVICE_NAME',
+            message: 'Empty device name',
+            position: offset + i,
+            length: end + 1 - i
+          });
+        }
+        i = end + 1;
+
+        let formulaId = '';
+        if (expr[i] === '.') {
+          i++;
+          while (i < expr.length && /[a-zA-Z0-9_]/.test(expr[i])) {
+            formulaId += expr[i];
+            i++;
+          }
+          if (!formulaId) {
+            throw new FormulaSyntaxError({
+              code: 'EXPECTED_FORMULA_ID',
+              message: `Expected formula id after @"${deviceName}".`,
+              position: offset + i,
+              length: 0,
+              expected: ['formula id'],
+              params: { device: deviceName }
+            });
+          }
+        }
+
+        tokens.push({
+          type: 'VARIABLE',
+          value: FormulaEvaluator.formatDeviceReference(deviceName, formulaId)
+        });
+        continue;
+      }
+
       // Keywords and variables (utvidet: [A-Z][A-Z0-9_]*)
       if (/[a-zA-Z]/.test(expr[i])) {
 
@@ -132,34 +388,82 @@ class FormulaEvaluator {
           tokens.push({ type: 'LITERAL', value: true });
         } else if (upper === 'FALSE') {
           tokens.push({ type: 'LITERAL', value: false });
-        
+        } else if (upper === 'FOR' || upper === 'WITHIN' || upper === 'OF') {
+          tokens.push({ type: upper, value: upper });
+        } else if (FormulaEvaluator.FUNCTIONS[upper] !== undefined && /^\s*\(/.test(expr.slice(i))) {
+          tokens.push({ type: 'FUNCTION', value: upper });
+        } else if (FormulaEvaluator.CLOCK_VARIABLES.includes(upper)) {
+          tokens.push({ type: 'CLOCK', value: upper });
         } else if (/^[A-J]$/.test(upper) || /^[A-Z][A-Z0-9_]*$/.test(upper)) {
           // Variabler: enten en enkel A–J, eller et namespacet navn (F_FORMULA_1_A)
           tokens.push({ type: 'VARIABLE', value: upper });
         } else {
-          throw new Error(`Invalid identifier: ${word}`);
+          throw new FormulaSyntaxError({
+            code: 'INVALID_IDENTIFIER',
+            message: `Invalid identifier: ${word}`,
+            position: offset + start,
+            length: word.length,
+            params: { identifier: word }
+          });
         }
 
         continue;
       }
 
-      // Numbers (0 or 1 as boolean literals)
-      if (/[0-9]/.test(expr[i])) {
-        const num = expr[i];
-        if (num === '0') {
+      // Times of day for TIME_BETWEEN: 22:00, 6:30
+      const timeMatch = expr.slice(i).match(/^(\d{1,2}):(\d{2})(?![0-9])/);
+      if (timeMatch) {
+        const hours = Number(timeMatch[1]);
+        const minutes = Number(timeMatch[2]);
+        if (hours > 23 || minutes > 59) {
+          throw new FormulaSyntaxError({
+            code: 'INVALID_TIME',
+            message: `Invalid time of day: ${timeMatch[0]} (use 00:00-23:59)`,
+            position: offset + i,
+            length: timeMatch[0].length,
+            params: { time: timeMatch[0] }
+          });
+        }
+        tokens.push({ type: 'TIME', value: timeMatch[0], minutes: hours * 60 + minutes });
+        i += timeMatch[0].length;
+        continue;
+      }
+
+      // Durations for time-based operators: 500ms, 300s, 5m, 2h
+      const durationMatch = expr.slice(i).match(/^(\d+(?:\.\d+)?)(ms|s|m|h)(?![a-zA-Z0-9_])/);
+      if (durationMatch) {
+        const factor = { ms: 1, s: 1000, m: 60000, h: 3600000 }[durationMatch[2]];
+        tokens.push({ type: 'DURATION', value: parseFloat(durationMatch[1]) * factor });
+        i += durationMatch[0].length;
+        continue;
+      }
+
+      // Numbers. 0 and 1 on their own are boolean literals (bakoverkompatibelt),
+      // everything else (21.5, -3, 100) becomes a NUMBER for comparisons.
+      const numberMatch = expr.slice(i).match(/^-?\d+(?:\.\d+)?/);
+      if (numberMatch) {
+        const raw = numberMatch[0];
+        if (raw === '0') {
           tokens.push({ type: 'LITERAL', value: false });
-        } else if (num === '1') {
+        } else if (raw === '1') {
           tokens.push({ type: 'LITERAL', value: true });
         } else {
-          throw new Error(`Invalid number: ${num}. Only 0 and 1 are allowed.`);
+          tokens.push({ type: 'NUMBER', value: parseFloat(raw) });
         }
-        i++;
+        i += raw.length;
         continue;
       }
 
       // Unknown character
-      throw new Error(`Unexpected character: ${expr[i]}`);
+      throw new FormulaSyntaxError({
+        code: 'UNEXPECTED_CHARACTER',
+        message: `Unexpected character: ${expr[i]}`,
+        position: offset + i,
+        length: 1,
+        params: { character: expr[i] }
+      });
     }
+    recordPositions();
 
     return tokens;
   }
@@ -174,18 +478,52 @@ class FormulaEvaluator {
     this.position = 0;
 
     if (tokens.length === 0) {
-      throw new Error('Empty expression');
+      throw new FormulaSyntaxError({ code: 'EMPTY_EXPRESSION', message: 'Empty expression', position: 0 });
     }
 
     const ast = this.parseOr();
 
     if (this.position < this.tokens.length) {
-      throw new Error(`Unexpected token: ${this.tokens[this.position].value}`);
+      throw this.unexpectedToken(['AND', 'OR', 'XOR']);
     }
 
     return ast;
   }
 
+  /**
+   * Error for the token at the current position (or the end of the expression)
+   * @param {string[]} expected - What would have been valid here
+   */
+  unexpectedToken(expected = []) {
+    const token = this.tokens[this.position];
+    if (!token) {
+      return this.syntaxErrorAt(null, 'UNEXPECTED_END', 'Unexpected end of expression', expected);
+    }
+    return this.syntaxErrorAt(token, 'UNEXPECTED_TOKEN', `Unexpected token: ${token.value}`, expected, {
+      token: String(token.value)
+    });
+  }
+
+  /**
+   * Build a FormulaSyntaxError located at a token (null = end of the expression)
+   */
+  syntaxErrorAt(token, code, message, expected = [], params = {}) {
+    let location = token ? FormulaEvaluator.getSourcePosition(token) : null;
+    if (!token) {
+      // Rett etter siste token
+      const last = FormulaEvaluator.getSourcePosition(this.tokens[this.tokens.length - 1]);
+      location = last ? { position: last.position + last.length, length: 0 } : null;
+    }
+    return new FormulaSyntaxError({
+      code,
+      message,
+      position: location ? location.position : null,
+      length: location ? location.length : 0,
+      expected,
+      params
+    });
+  }
+
   /**
    * Parse OR expressions (lowest precedence)
    */
@@ -230,11 +568,11 @@ class FormulaEvaluator {
    * Parse AND expressions
    */
   parseAnd() {
-    let left = this.parseUnary();
+    let left = this.parseTemporal();
 
     while (this.position < this.tokens.length && this.tokens[this.position].type === 'AND') {
       this.position++;
-      const right = this.parseUnary();
+      const right = this.parseTemporal();
       left = {
         type: 'BinaryOp',
         operator: 'AND',
@@ -246,6 +584,56 @@ class FormulaEvaluator {
     return left;
   }
 
+  /**
+   * Parse time-based operators (A FOR 5m, B WITHIN 10s OF C)
+   */
+  parseTemporal() {
+    const left = this.parseUnary();
+    const token = this.tokens[this.position];
+
+    if (token && token.type === 'FOR') {
+      this.position++;
+      return {
+        type: 'Temporal',
+        operator: 'FOR',
+        operand: left,
+        duration: this.expectDuration('FOR')
+      };
+    }
+
+    if (token && token.type === 'WITHIN') {
+      this.position++;
+      const duration = this.expectDuration('WITHIN');
+      if (this.position >= this.tokens.length || this.tokens[this.position].type !== 'OF') {
+        throw this.syntaxErrorAt(this.tokens[this.position] || null, 'EXPECTED_OF',
+          'Expected OF after WITHIN duration', ['OF']);
+      }
+      this.position++;
+      return {
+        type: 'Temporal',
+        operator: 'WITHIN',
+        left: left,
+        right: this.parseUnary(),
+        duration: duration
+      };
+    }
+
+    return left;
+  }
+
+  /**
+   * Consume a DURATION token (300s, 5m) after FOR/WITHIN
+   */
+  expectDuration(operator) {
+    const token = this.tokens[this.position];
+    if (!token || token.type !== 'DURATION') {
+      throw this.syntaxErrorAt(token || null, 'EXPECTED_DURATION',
+        `Expected duration after ${operator} (e.g. 300s, 5m)`, ['duration'], { operator });
+    }
+    this.position++;
+    return token.value;
+  }
+
   /**
    * Parse unary expressions (NOT)
    */
@@ -260,15 +648,51 @@ class FormulaEvaluator {
       };
     }
 
-    return this.parsePrimary();
+    return this.parseComparison();
+  }
+
+  /**
+   * Parse comparison expressions (A > 21.5, 10 <= B, A == 3, A != 21.5)
+   * Comparisons do not chain: "A < B < C" is rejected.
+   * "!=" is tokenised as XOR; next to a number it is a numeric not-equal instead.
+   * A number is not a boolean operand, so "A AND 5" is rejected.
+   */
+  parseComparison() {
+    const start = this.tokens[this.position];
+    const left = this.parsePrimary();
+    const token = this.tokens[this.position];
+    const next = this.tokens[this.position + 1];
+    const numericNotEqual = token && token.type === 'XOR' && token.value === '!=' &&
+      (left.type === 'Number' || (next && next.type === 'NUMBER'));
+
+    if (numericNotEqual || (token && token.type === 'COMPARE')) {
+      const operator = token.value;
+      this.position++;
+      const right = this.parsePrimary();
+      return {
+        type: 'Comparison',
+        operator: operator,
+        left: left,
+        right: right
+      };
+    }
+
+    if (left.type === 'Number') {
+      throw this.syntaxErrorAt(start, 'NUMBER_NOT_COMPARED',
+        `Number ${left.value} must be compared (e.g. A > ${left.value})`, ['>', '<', '>=', '<=', '==', '!='],
+        { number: left.value });
+    }
+
+    return left;
   }
 
   /**
    * Parse primary expressions (literals, variables, parentheses)
    */
   parsePrimary() {
+    const operandExpected = ['input', 'TRUE', 'FALSE', 'NOT', '('];
     if (this.position >= this.tokens.length) {
-      throw new Error('Unexpected end of expression');
+      throw this.unexpectedToken(operandExpected);
     }
 
     const token = this.tokens[this.position];
@@ -278,7 +702,8 @@ class FormulaEvaluator {
       this.position++;
       const expr = this.parseOr();
       if (this.position >= this.tokens.length || this.tokens[this.position].type !== 'RPAREN') {
-        throw new Error('Unbalanced parentheses');
+        // Pek på parentesen som aldri blir lukket
+        throw this.syntaxErrorAt(token, 'UNBALANCED_PARENTHESES', 'Unbalanced parentheses', [')']);
       }
       this.position++;
       return expr;
@@ -293,25 +718,143 @@ class FormulaEvaluator {
       };
     }
 
+    // Numbers
+    if (token.type === 'NUMBER') {
+      this.position++;
+      return {
+        type: 'Number',
+        value: token.value
+      };
+    }
+
     // Variables
     if (token.type === 'VARIABLE') {
       this.position++;
-      return {
+      const node = {
         type: 'Variable',
         name: token.value
       };
+      const location = FormulaEvaluator.getSourcePosition(token);
+      if (location) {
+        sourcePositions.set(node, location);
+      }
+      return node;
+    }
+
+    // Time of day: NIGHT, DAYLIGHT, WEEKDAY, WEEKEND
+    if (token.type === 'CLOCK') {
+      this.position++;
+      return {
+        type: 'Clock',
+        name: token.value
+      };
+    }
+
+    // Function calls: RISE(A), ATLEAST(2, A, B, C), IMPLIES(A, B), ...
+    if (token.type === 'FUNCTION') {
+      if (FormulaEvaluator.FUNCTIONS[token.value].clock) {
+        return this.parseClockCall(token);
+      }
+      this.position += 2; // function name and "("
+      const args = [];
+      if (this.position < this.tokens.length && this.tokens[this.position].type !== 'RPAREN') {
+        args.push(this.parseFunctionArgument(FormulaEvaluator.FUNCTIONS[token.value].count));
+        while (this.position < this.tokens.length && this.tokens[this.position].type === 'COMMA') {
+          this.position++;
+          args.push(this.parseOr());
+        }
+      }
+      if (this.position >= this.tokens.length || this.tokens[this.position].type !== 'RPAREN') {
+        throw this.syntaxErrorAt(token, 'UNBALANCED_PARENTHESES', 'Unbalanced parentheses', [')']);
+      }
+      this.position++;
+
+      const spec = FormulaEvaluator.FUNCTIONS[token.value];
+      if (args.length < spec.min || args.length > spec.max) {
+        const expected = spec.min === spec.max ? spec.min : `${spec.min}+`;
+        throw this.syntaxErrorAt(token, 'WRONG_ARGUMENT_COUNT',
+          `${token.value} expects ${expected} argument(s), got ${args.length}`, [],
+          { name: token.value, expected, actual: args.length });
+      }
+
+      if (spec.count) {
+        // 0 og 1 tokeniseres som literals, så godta dem som tall her
+        const countNode = args[0];
+        const count = countNode.type === 'Number'
+          ? countNode.value
+          : countNode.type === 'Literal' ? Number(countNode.value) : NaN;
+        if (!Number.isInteger(count) || count < 0) {
+          throw this.syntaxErrorAt(token, 'INVALID_COUNT',
+            `${token.value} expects a whole number as first argument, e.g. ${token.value}(2, A, B, C)`,
+            ['number'], { name: token.value });
+        }
+        args[0] = { type: 'Number', value: count };
+      }
+      return {
+        type: 'Call',
+        name: token.value,
+        args: args
+      };
     }
 
-    throw new Error(`Unexpected token: ${token.value}`);
+    throw this.unexpectedToken(operandExpected);
+  }
+
+  /**
+   * Parse the first argument of a function call
+   * The count of ATLEAST/ATMOST/EXACTLY is a bare number, which is not valid elsewhere.
+   */
+  parseFunctionArgument(count) {
+    const token = this.tokens[this.position];
+    const next = this.tokens[this.position + 1];
+    if (count && token.type === 'NUMBER' && (!next || next.type === 'COMMA' || next.type === 'RPAREN')) {
+      this.position++;
+      return { type: 'Number', value: token.value };
+    }
+    return this.parseOr();
+  }
+
+  /**
+   * Parse TIME_BETWEEN(22:00, 06:00) - the arguments must be times of day
+   */
+  parseClockCall(token) {
+    this.position += 2; // function name and "("
+    const args = [];
+    while (args.length < 2) {
+      if (args.length > 0) {
+        if (!this.tokens[this.position] || this.tokens[this.position].type !== 'COMMA') {
+          throw this.unexpectedToken([',']);
+        }
+        this.position++;
+      }
+      const arg = this.tokens[this.position];
+      if (!arg || arg.type !== 'TIME') {
+        throw this.syntaxErrorAt(arg || null, 'EXPECTED_TIME',
+          `${token.value} expects times of day, e.g. ${token.value}(22:00, 06:00)`, ['HH:MM'],
+          { name: token.value });
+      }
+      args.push({ type: 'Time', minutes: arg.minutes });
+      this.position++;
+    }
+    if (this.position >= this.tokens.length || this.tokens[this.position].type !== 'RPAREN') {
+      throw this.syntaxErrorAt(token, 'UNBALANCED_PARENTHESES', 'Unbalanced parentheses', [')']);
+    }
+    this.position++;
+    return {
+      type: 'Call',
+      name: token.value,
+      args: args
+    };
   }
 
   /**
    * Evaluate an AST with given variable values
    * @param {Object} ast - The AST to evaluate
-   * @param {Object} variables - Object mapping variable names to boolean values
+   * @param {Object} variables - Object mapping variable names to boolean (or raw numeric) values
+   * @param {Object} [context] - Temporal context (see createTemporalContext)
    * @returns {boolean} The result of the evaluation
    */
-  evaluateAST(ast, variables = {}) {
+  evaluateAST(ast, variables = {}, context = null) {
     if (!ast) {
       throw new Error('Invalid AST');
     }
@@ -320,6 +863,9 @@ class FormulaEvaluator {
       case 'Literal':
         return !!ast.value;
 
+      case 'Number':
+        return ast.value !== 0;
+
       case 'Variable':
         const val = variables[ast.name];
         // Throw error if variable is not defined - don't treat it as false
@@ -330,13 +876,13 @@ class FormulaEvaluator {
 
       case 'UnaryOp':
         if (ast.operator === 'NOT') {
-          return !this.evaluateAST(ast.operand, variables);
+          return !this.evaluateAST(ast.operand, variables, context);
         }
         throw new Error(`Unknown unary operator: ${ast.operator}`);
 
       case 'BinaryOp':
-        const left = this.evaluateAST(ast.left, variables);
-        const right = this.evaluateAST(ast.right, variables);
+        const left = this.evaluateAST(ast.left, variables, context);
+        const right = this.evaluateAST(ast.right, variables, context);
 
         switch (ast.operator) {
           case 'AND':
@@ -349,11 +895,715 @@ class FormulaEvaluator {
             throw new Error(`Unknown binary operator: ${ast.operator}`);
         }
 
+      case 'Comparison':
+        return this.compareValues(
+          ast.operator,
+          this.evaluateNumeric(ast.left, variables, context),
+          this.evaluateNumeric(ast.right, variables, context)
+        );
+
+      case 'Temporal':
+        return this.evaluateTemporal(
+          ast,
+          (node) => this.evaluateAST(node, variables, context),
+          context
+        );
+
+      case 'Clock': {
+        const value = this.evaluateClock(ast, context);
+        if (value === null) {
+          throw new Error(`${ast.name} is not available (is the Homey location set?)`);
+        }
+        return value;
+      }
+
+      case 'Call': {
+        if (this.isClockCall(ast)) {
+          return this.evaluateClock(ast, context);
+        }
+        const valueOf = (node) => this.evaluateAST(node, variables, context);
+        return this.isTemporalCall(ast)
+          ? this.evaluateTemporal(ast, valueOf, context)
+          : this.evaluateFunction(ast, valueOf);
+      }
+
+      default:
+        throw new Error(`Unknown AST node type: ${ast.type}`);
+    }
+  }
+
+  /**
+   * Create a temporal context for time-based operators.
+   * Keep `state` per formula between evaluations; `now` must be fresh every time.
+   * @param {Object} [options]
+   * @param {Map|WeakMap} [options.state] - Per-node change tracking (kept by the device).
+   *   A Map is keyed by the sub-expression, so it survives the expression being
+   *   compiled again (e.g. after the shared FormulaCache evicted it); a WeakMap is
+   *   keyed by the AST node itself.
+   * @param {Function} [options.history] - (variableName) => { since, previous } | null,
+   *   the device's per-input change timestamps
+   * @param {number} [options.now] - Current time in ms (defaults to Date.now())
+   * @param {Object} [options.clock] - Time of day for NIGHT, DAYLIGHT, WEEKDAY, WEEKEND
+   *   and TIME_BETWEEN: { minutes (since local midnight), NIGHT, DAYLIGHT, WEEKDAY, WEEKEND },
+   *   a value may be null when it can't be computed (e.g. no location)
+   * @returns {{now: number, state: Map|WeakMap, history: Function|null, clock: Object|null}}
+   */
+  createTemporalContext({ state, history, now, clock } = {}) {
+    return {
+      now: typeof now === 'number' ? now : Date.now(),
+      state: state || new Map(),
+      history: history || null,
+      clock: clock || null
+    };
+  }
+
+  /**
+   * When did a sub-expression get its current value, and what was it before?
+   * Single inputs use the device's own change timestamps; anything else is
+   * tracked per AST node from one evaluation to the next.
+   * @returns {{since: number, previous: *}}
+   */
+  trackValue(node, value, context) {
+    if (node.type === 'Variable' && context.history) {
+      const entry = context.history(node.name);
+      if (entry && typeof entry.since === 'number') {
+        return entry;
+      }
+    }
+
+    const key = context.state instanceof WeakMap ? node : FormulaEvaluator.nodeKey(node);
+    let entry = context.state.get(key);
+    if (!entry) {
+      entry = { value, since: context.now, previous: undefined };
+      context.state.set(key, entry);
+    } else if (entry.value !== value) {
+      entry = { value, since: context.now, previous: entry.value };
+      context.state.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Key for a sub-expression that is the same every time the expression is
+   * compiled (identical sub-expressions always have the same value, so they may share it)
+   * @param {Object} node - AST node
+   * @returns {string}
+   */
+  static nodeKey(node) {
+    let key = nodeKeys.get(node);
+    if (key === undefined) {
+      key = JSON.stringify(node);
+      nodeKeys.set(node, key);
+    }
+    return key;
+  }
+
+  /**
+   * Evaluate FOR / WITHIN ... OF / RISE() / FALL()
+   * @param {Object} node - Temporal or Call node
+   * @param {Function} valueOf - Evaluates an operand to true/false (or null in Kleene mode)
+   * @param {Object} [context] - Temporal context
+   * @returns {boolean|null}
+   */
+  evaluateTemporal(node, valueOf, context) {
+    const ctx = context || this.createTemporalContext();
+
+    if (node.type === 'Call') {
+      const operand = node.args[0];
+      const value = valueOf(operand);
+      if (value === null) return null;
+      const { since, previous } = this.trackValue(operand, value, ctx);
+      const recent = ctx.now - since <= FormulaEvaluator.EDGE_PULSE_MS;
+
+      switch (node.name) {
+        case 'RISE':
+          return value === true && previous === false && recent;
+        case 'FALL':
+          return value === false && previous === true && recent;
+        default:
+          throw new Error(`Unknown function: ${node.name}`);
+      }
+    }
+
+    if (node.operator === 'FOR') {
+      const value = valueOf(node.operand);
+      if (value === null) return null;
+      const { since } = this.trackValue(node.operand, value, ctx);
+      return value === true && ctx.now - since >= node.duration;
+    }
+
+    if (node.operator === 'WITHIN') {
+      // Both sides are always evaluated so their change tracking stays current
+      const left = valueOf(node.left);
+      const right = valueOf(node.right);
+      const leftSince = left === null ? null : this.trackValue(node.left, left, ctx).since;
+      const rightSince = right === null ? null : this.trackValue(node.right, right, ctx).since;
+
+      if (left === false || right === false) return false;
+      if (left === null || right === null) return null;
+      return Math.abs(leftSince - rightSince) <= node.duration;
+    }
+
+    throw new Error(`Unknown temporal operator: ${node.operator}`);
+  }
+
+  /**
+   * Evaluate NIGHT / DAYLIGHT / WEEKDAY / WEEKEND and TIME_BETWEEN()
+   * @param {Object} node - Clock or Call node
+   * @param {Object} [context] - Temporal context with a clock
+   * @returns {boolean|null} null if the value isn't known
+   */
+  evaluateClock(node, context) {
+    const clock = context && context.clock;
+    if (!clock) {
+      throw new Error(`${node.name} needs the time of day (no clock in the evaluation context)`);
+    }
+
+    if (node.type === 'Clock') {
+      const value = clock[node.name];
+      return typeof value === 'boolean' ? value : null;
+    }
+
+    if (typeof clock.minutes !== 'number') return null;
+    const [from, to] = node.args.map((arg) => arg.minutes);
+    // Fra er med, til er ikke med; 22:00-06:00 går over midnatt
+    return from <= to
+      ? clock.minutes >= from && clock.minutes < to
+      : clock.minutes >= from || clock.minutes < to;
+  }
+
+  /**
+   * Is this a TIME_BETWEEN() style call on the time of day?
+   */
+  isClockCall(node) {
+    const spec = FormulaEvaluator.FUNCTIONS[node.name];
+    return !!(spec && spec.clock);
+  }
+
+  /**
+   * Does an AST use the time of day (and so need re-checking when it changes)?
+   */
+  hasClock(ast) {
+    if (!ast) return false;
+    switch (ast.type) {
+      case 'Clock':
+        return true;
+      case 'Call':
+        return this.isClockCall(ast) || ast.args.some((arg) => this.hasClock(arg));
+      case 'UnaryOp':
+        return this.hasClock(ast.operand);
+      case 'BinaryOp':
+      case 'Comparison':
+        return this.hasClock(ast.left) || this.hasClock(ast.right);
+      case 'Temporal':
+        return [ast.operand, ast.left, ast.right].some((node) => this.hasClock(node));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Is this a RISE()/FALL() style call that depends on when values changed?
+   */
+  isTemporalCall(node) {
+    const spec = FormulaEvaluator.FUNCTIONS[node.name];
+    return !!(spec && spec.temporal);
+  }
+
+  /**
+   * Operands of a function call (without the count of ATLEAST/ATMOST/EXACTLY)
+   */
+  getCallOperands(node) {
+    const spec = FormulaEvaluator.FUNCTIONS[node.name];
+    return spec && spec.count ? node.args.slice(1) : node.args;
+  }
+
+  /**
+   * Evaluate counting and gate functions (ATLEAST, ATMOST, EXACTLY, MAJORITY,
+   * NAND, NOR, IMPLIES). Used by both modes: in Kleene mode valueOf returns
+   * null for unknown operands, and the result is null only when the known
+   * operands can't decide it.
+   * @param {Object} node - Call node
+   * @param {Function} valueOf - Evaluates an operand to true/false (or null)
+   * @returns {boolean|null}
+   */
+  evaluateFunction(node, valueOf) {
+    // Alle operander evalueres, så tidsbaserte deloperander holder sporingen oppdatert
+    const values = this.getCallOperands(node).map(valueOf);
+    const trues = values.filter((v) => v === true).length;
+    const unknowns = values.filter((v) => v === null).length;
+
+    const atLeast = (n) => {
+      if (trues >= n) return true;
+      if (trues + unknowns < n) return false;
+      return null;
+    };
+    const atMost = (n) => {
+      if (trues + unknowns <= n) return true;
+      if (trues > n) return false;
+      return null;
+    };
+
+    switch (node.name) {
+      case 'ATLEAST':
+        return atLeast(node.args[0].value);
+      case 'ATMOST':
+        return atMost(node.args[0].value);
+      case 'EXACTLY': {
+        const low = atLeast(node.args[0].value);
+        const high = atMost(node.args[0].value);
+        if (low === false || high === false) return false;
+        return low === true && high === true ? true : null;
+      }
+      case 'MAJORITY':
+        return atLeast(Math.floor(values.length / 2) + 1);
+      case 'NAND':
+        return atMost(values.length - 1);
+      case 'NOR':
+        return atMost(0);
+      case 'IMPLIES': {
+        const [premise, conclusion] = values;
+        if (premise === false || conclusion === true) return true;
+        if (premise === true && conclusion === false) return false;
+        return null;
+      }
+      default:
+        throw new Error(`Unknown function: ${node.name}`);
+    }
+  }
+
+  /**
+   * Does an AST use time-based operators (and so need re-checking on a timer)?
+   */
+  hasTemporal(ast) {
+    if (!ast) return false;
+    switch (ast.type) {
+      case 'Temporal':
+        return true;
+      case 'Call':
+        return this.isTemporalCall(ast) || ast.args.some((arg) => this.hasTemporal(arg));
+      case 'UnaryOp':
+        return this.hasTemporal(ast.operand);
+      case 'BinaryOp':
+      case 'Comparison':
+        return this.hasTemporal(ast.left) || this.hasTemporal(ast.right);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluate an operand of a comparison as a number.
+   * Booleans count as 1/0, numeric strings are parsed, and anything else
+   * (e.g. a parenthesized boolean expression) falls back to 1/0.
+   * @param {Object} node - AST node
+   * @param {Object} variables - Object mapping variable names to values
+   * @param {Object} [context] - Temporal context
+   * @param {boolean} [kleene] - Evaluate the fallback three-valued (operands are known to be decided)
+   * @returns {number}
+   */
+  evaluateNumeric(node, variables = {}, context = null, kleene = false) {
+    switch (node.type) {
+      case 'Number':
+        return node.value;
+
+      case 'Literal':
+        return node.value ? 1 : 0;
+
+      case 'Variable': {
+        const val = variables[node.name];
+        if (val === undefined || val === "undefined") {
+          throw new Error(`Variable ${node.name} is not defined`);
+        }
+        if (typeof val === 'boolean') return val ? 1 : 0;
+        const num = typeof val === 'number' ? val : parseFloat(val);
+        if (!Number.isFinite(num)) {
+          throw new Error(`Variable ${node.name} is not numeric: ${val}`);
+        }
+        return num;
+      }
+
+      default: {
+        const value = kleene
+          ? this.evaluateKleene(node, variables, context)
+          : this.evaluateAST(node, variables, context);
+        return value ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Apply a comparison operator to two numbers
+   * @param {string} operator - One of >, >=, <, <=, ==
+   * @param {number} left
+   * @param {number} right
+   * @returns {boolean}
+   */
+  compareValues(operator, left, right) {
+    switch (operator) {
+      case '>':
+        return left > right;
+      case '>=':
+        return left >= right;
+      case '<':
+        return left < right;
+      case '<=':
+        return left <= right;
+      case '==':
+        return left === right;
+      case '!=':
+        return left !== right;
+      default:
+        throw new Error(`Unknown comparison operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Evaluate an AST with Kleene three-valued logic.
+   * Undefined variables are "unknown" (null) instead of an error, and
+   * AND/OR short-circuit as soon as the outcome is decided.
+   * @param {Object} ast - The AST to evaluate
+   * @param {Object} variables - Object mapping variable names to values
+   * @param {Object} [context] - Temporal context (see createTemporalContext)
+   * @returns {boolean|null} true, false, or null when the result is still unknown
+   */
+  evaluateKleene(ast, variables = {}, context = null) {
+    if (!ast) {
+      throw new Error('Invalid AST');
+    }
+
+    const isUnknown = (val) => val === undefined || val === "undefined";
+
+    switch (ast.type) {
+      case 'Literal':
+        return !!ast.value;
+
+      case 'Number':
+        return ast.value !== 0;
+
+      case 'Variable': {
+        const val = variables[ast.name];
+        return isUnknown(val) ? null : !!val;
+      }
+
+      case 'UnaryOp': {
+        if (ast.operator !== 'NOT') {
+          throw new Error(`Unknown unary operator: ${ast.operator}`);
+        }
+        const operand = this.evaluateKleene(ast.operand, variables, context);
+        return operand === null ? null : !operand;
+      }
+
+      case 'BinaryOp': {
+        const left = this.evaluateKleene(ast.left, variables, context);
+
+        switch (ast.operator) {
+          case 'AND': {
+            if (left === false) return false;
+            const right = this.evaluateKleene(ast.right, variables, context);
+            if (right === false) return false;
+            return left === null || right === null ? null : true;
+          }
+          case 'OR': {
+            if (left === true) return true;
+            const right = this.evaluateKleene(ast.right, variables, context);
+            if (right === true) return true;
+            return left === null || right === null ? null : false;
+          }
+          case 'XOR': {
+            if (left === null) return null;
+            const right = this.evaluateKleene(ast.right, variables, context);
+            return right === null ? null : left !== right;
+          }
+          default:
+            throw new Error(`Unknown binary operator: ${ast.operator}`);
+        }
+      }
+
+      case 'Comparison': {
+        const unknownOperand = [ast.left, ast.right].some(
+          (node) => this.evaluateKleene(node, variables, context) === null
+        );
+        if (unknownOperand) return null;
+        return this.compareValues(
+          ast.operator,
+          this.evaluateNumeric(ast.left, variables, context, true),
+          this.evaluateNumeric(ast.right, variables, context, true)
+        );
+      }
+
+      case 'Temporal':
+        return this.evaluateTemporal(
+          ast,
+          (node) => this.evaluateKleene(node, variables, context),
+          context
+        );
+
+      case 'Clock':
+        return this.evaluateClock(ast, context);
+
+      case 'Call': {
+        if (this.isClockCall(ast)) {
+          return this.evaluateClock(ast, context);
+        }
+        const valueOf = (node) => this.evaluateKleene(node, variables, context);
+        return this.isTemporalCall(ast)
+          ? this.evaluateTemporal(ast, valueOf, context)
+          : this.evaluateFunction(ast, valueOf);
+      }
+
       default:
         throw new Error(`Unknown AST node type: ${ast.type}`);
     }
   }
 
+  /**
+   * Variable nodes in source order (one per occurrence)
+   * @param {Object} ast - The AST to walk
+   * @returns {Array<Object>}
+   */
+  getVariableNodes(ast) {
+    const nodes = [];
+    const visit = (node) => {
+      if (!node) return;
+      switch (node.type) {
+        case 'Variable':
+          nodes.push(node);
+          break;
+        case 'UnaryOp':
+          visit(node.operand);
+          break;
+        case 'BinaryOp':
+        case 'Comparison':
+          visit(node.left);
+          visit(node.right);
+          break;
+        case 'Temporal':
+          visit(node.operand);
+          visit(node.left);
+          visit(node.right);
+          break;
+        case 'Call':
+          node.args.forEach(visit);
+          break;
+      }
+    };
+    visit(ast);
+    return nodes;
+  }
+
+  /**
+   * Collect the variable names referenced by an AST
+   * @param {Object} ast - The AST to inspect
+   * @returns {Array} Unique variable names in order of first appearance
+   */
+  getVariables(ast) {
+    return [...new Set(this.getVariableNodes(ast).map((node) => node.name))];
+  }
+
+  /**
+   * Throw a located error for the first variable that isn't known
+   * @param {Object} ast - The AST to check
+   * @param {Function} isKnown - name => boolean
+   * @throws {FormulaSyntaxError} UNKNOWN_INPUT at the variable's position
+   */
+  assertKnownVariables(ast, isKnown) {
+    const node = this.getVariableNodes(ast).find((n) => !isKnown(n.name));
+    if (!node) return;
+
+    const location = FormulaEvaluator.getSourcePosition(node);
+    throw new FormulaSyntaxError({
+      code: 'UNKNOWN_INPUT',
+      message: `Unknown input: ${node.name}`,
+      position: location ? location.position : null,
+      length: location ? location.length : 0,
+      params: { name: node.name }
+    });
+  }
+
+  /**
+   * Build a truth table and minimisation report for a boolean AST
+   * @param {Object} ast - The AST to analyze
+   * @param {Object} [options]
+   * @param {string[]} [options.inputs] - Inputs to enumerate (default: the variables in the AST).
+   *   Passing all of a device's inputs lets the report flag the ones the formula ignores.
+   * @returns {{inputs: string[], rows: Array<{inputs: Object, result: boolean}>, minterms: number[],
+   *   tautology: boolean, contradiction: boolean, unusedInputs: string[], minimized: string}}
+   * @throws {Error} For time-based or numeric formulas, or too many inputs
+   */
+  analyze(ast, options = {}) {
+    this.assertBoolean(ast);
+
+    const inputs = [...new Set([...(options.inputs || []), ...this.getVariables(ast)])];
+    if (inputs.length > FormulaEvaluator.MAX_ANALYSIS_INPUTS) {
+      throw new Error(`Too many inputs for a truth table: ${inputs.length} (max ${FormulaEvaluator.MAX_ANALYSIS_INPUTS})`);
+    }
+
+    // Rad i = binærtallet til i, første input er mest signifikante bit
+    const n = inputs.length;
+    const rows = [];
+    const results = [];
+    for (let i = 0; i < 2 ** n; i++) {
+      const values = {};
+      inputs.forEach((name, k) => {
+        values[name] = ((i >> (n - 1 - k)) & 1) === 1;
+      });
+      const result = this.evaluateAST(ast, values);
+      rows.push({ inputs: values, result });
+      results.push(result);
+    }
+
+    const minterms = results.flatMap((result, i) => (result ? [i] : []));
+
+    // An input is unused if flipping it never changes the result
+    const unusedInputs = inputs.filter((name, k) => {
+      const bit = 1 << (n - 1 - k);
+      return results.every((result, i) => result === results[i ^ bit]);
+    });
+
+    return {
+      inputs,
+      rows,
+      minterms,
+      tautology: minterms.length === results.length,
+      contradiction: minterms.length === 0,
+      unusedInputs,
+      minimized: this.minimize(minterms, inputs)
+    };
+  }
+
+  /**
+   * Throw unless the AST only uses boolean operators and gate functions
+   * (no comparisons, numbers or time-based operators)
+   */
+  assertBoolean(ast) {
+    const visit = (node) => {
+      switch (node.type) {
+        case 'Literal':
+        case 'Variable':
+          return;
+        case 'UnaryOp':
+          return visit(node.operand);
+        case 'BinaryOp':
+          visit(node.left);
+          return visit(node.right);
+        case 'Call':
+          if (!this.isTemporalCall(node) && !this.isClockCall(node)) {
+            this.getCallOperands(node).forEach(visit);
+            return;
+          }
+        // falls through
+        default:
+          throw new Error(`Truth tables are only available for purely boolean formulas (found ${node.type})`);
+      }
+    };
+    visit(ast);
+  }
+
+  /**
+   * Minimise a boolean function with Quine–McCluskey
+   * @param {number[]} minterms - Row numbers where the function is true
+   * @param {string[]} names - Input names, most significant bit first
+   * @returns {string} Equivalent expression in sum-of-products form, e.g. "(A AND NOT B) OR C"
+   */
+  minimize(minterms, names) {
+    const n = names.length;
+    if (minterms.length === 0) return 'FALSE';
+    if (minterms.length === 2 ** n) return 'TRUE';
+
+    // 1. Kombiner termer som skiller seg i nøyaktig én bit til primimplikanter
+    let terms = minterms.map((m) => ({
+      bits: m.toString(2).padStart(n, '0'),
+      covers: [m]
+    }));
+    const primes = [];
+
+    while (terms.length > 0) {
+      const byBits = new Map(terms.map((term) => [term.bits, term]));
+      const combined = new Map();
+      const used = new Set();
+
+      // Slå opp partneren direkte i stedet for å sammenligne alle par
+      for (const term of terms) {
+        for (let k = 0; k < n; k++) {
+          if (term.bits[k] !== '0') continue;
+          const partner = byBits.get(`${term.bits.slice(0, k)}1${term.bits.slice(k + 1)}`);
+          if (!partner) continue;
+
+          const bits = `${term.bits.slice(0, k)}-${term.bits.slice(k + 1)}`;
+          if (!combined.has(bits)) {
+            combined.set(bits, {
+              bits,
+              covers: [...term.covers, ...partner.covers].sort((x, y) => x - y)
+            });
+          }
+          used.add(term.bits);
+          used.add(partner.bits);
+        }
+      }
+
+      terms.forEach((term) => {
+        if (!used.has(term.bits)) primes.push(term);
+      });
+      terms = [...combined.values()];
+    }
+
+    // 2. Velg essensielle primimplikanter, deretter grådig dekning av resten
+    const chosen = [];
+    minterms.forEach((m) => {
+      const covering = primes.filter((p) => p.covers.includes(m));
+      if (covering.length === 1 && !chosen.includes(covering[0])) {
+        chosen.push(covering[0]);
+      }
+    });
+
+    const uncovered = new Set(minterms);
+    chosen.forEach((p) => p.covers.forEach((m) => uncovered.delete(m)));
+
+    while (uncovered.size > 0) {
+      let best = null;
+      let bestCount = 0;
+      for (const p of primes) {
+        const count = p.covers.filter((m) => uncovered.has(m)).length;
+        const literals = p.bits.replace(/-/g, '').length;
+        if (count > bestCount ||
+            (count === bestCount && count > 0 && literals < best.bits.replace(/-/g, '').length)) {
+          best = p;
+          bestCount = count;
+        }
+      }
+      chosen.push(best);
+      best.covers.forEach((m) => uncovered.delete(m));
+    }
+
+    // 3. Formater som "(A AND NOT B) OR C", i fast rekkefølge
+    const rank = { '1': 0, '0': 1, '-': 2 };
+    const compareBits = (x, y) => {
+      for (let k = 0; k < n; k++) {
+        if (x[k] !== y[k]) return rank[x[k]] - rank[y[k]];
+      }
+      return 0;
+    };
+    const products = chosen
+      .map((p) => p.bits)
+      .sort(compareBits)
+      .map((bits) => {
+        const literals = [];
+        for (let k = 0; k < n; k++) {
+          if (bits[k] === '1') literals.push(names[k]);
+          if (bits[k] === '0') literals.push(`NOT ${names[k]}`);
+        }
+        return literals;
+      });
+
+    if (products.length === 1) {
+      return products[0].join(' AND ');
+    }
+    return products
+      .map((literals) => (literals.length > 1 ? `(${literals.join(' AND ')})` : literals[0]))
+      .join(' OR ');
+  }
+
   /**
    * Validate and evaluate an expression
    * @param {string} expression - The formula expression
@@ -367,4 +1617,6 @@ class FormulaEvaluator {
   }
 }
 
+FormulaEvaluator.FormulaSyntaxError = FormulaSyntaxError;
+
 module.exports = FormulaEvaluator;
\ No newline at end of file
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * FormulaStateStore - Keeps formula states in the device store across restarts
+ *
+ * Purpose: Formulas with "persist": true get their inputs, first-impression locks,
+ * result and timeout state back after a Homey reboot or app update, instead of
+ * starting with every input "undefined" until each sensor reports again.
+ * Used by Logic Units and Logic Devices (one instance per device).
+ *
+ * Features:
+ * - One snapshot per persisted formula, under 'formula_snapshots' in the device store
+ * - Every input value keeps the time it was received; values older than the
+ *   formula's persistMaxAge (seconds, 0 = no limit) are not restored
+ * - Writes are batched and only happen when something changed
+ * - Restored formulas are flagged (formula.restored) until their next input arrives
+ */
+
+class FormulaStateStore {
+    constructor(device, logger) {
+        this.device = device;
+        this.logger = logger;
+        this.saveTimer = null;
+        this.heartbeat = null;
+        this.dirty = false;
+
+        // Configuration
+        this.SAVE_DELAY_MS = 1000;
+        this.HEARTBEAT_MS = 60 * 1000;
+    }
+
+    /**
+     * Persistence options from a formula in the formulas setting
+     * @param {Object} data - e.g. { "persist": true, "persistMaxAge": 600 }
+     * @returns {{persist: boolean, persistMaxAge: number, restored: boolean}}
+     */
+    static parseOptions(data) {
+        const maxAge = Number(data.persistMaxAge);
+        return {
+            persist: data.persist === true,
+            persistMaxAge: data.persistMaxAge !== undefined && !isNaN(maxAge) && maxAge >= 0
+                ? maxAge
+                : FormulaStateStore.DEFAULT_MAX_AGE,
+            restored: false
+        };
+    }
+
+    /**
+     * A stored input value is usable if it is a boolean, a number or "undefined"
+     */
+    static isInputValue(value) {
+        return typeof value === 'boolean' ||
+            (typeof value === 'number' && isFinite(value)) ||
+            value === 'undefined';
+    }
+
+    /**
+     * Remember when an input value was received (its age is checked on restore)
+     */
+    static touchInput(formula, inputId) {
+        if (!formula.inputTimes) formula.inputTimes = {};
+        formula.inputTimes[inputId] = Date.now();
+    }
+
+    getSnapshots() {
+        return this.device.getStoreValue(FormulaStateStore.STORE_KEY) || {};
+    }
+
+    /**
+     * Put saved states back into the device's formulas (call once, from onInit)
+     * @param {Array} formulas - The device's formulas
+     * @returns {number} Number of restored formulas
+     */
+    restore(formulas) {
+        const snapshots = this.getSnapshots();
+        const now = Date.now();
+        let restored = 0;
+
+        formulas.forEach(formula => {
+            const snapshot = snapshots[formula.id];
+            if (!formula.persist || !snapshot) return;
+
+            // Only inputs the device still has; new inputs stay "undefined"
+            const inputTimes = snapshot.inputTimes || {};
+            const restoredInputs = [];
+            const expiredInputs = [];
+            Object.keys(formula.inputStates).forEach(id => {
+                const value = (snapshot.inputStates || {})[id];
+                if (!FormulaStateStore.isInputValue(value) || value === 'undefined') return;
+
+                // Snapshots without input times (older versions) use the write time
+                const receivedAt = inputTimes[id] || snapshot.savedAt || 0;
+                const ageSeconds = Math.round((now - receivedAt) / 1000);
+                if (formula.persistMaxAge > 0 && ageSeconds > formula.persistMaxAge) {
+                    expiredInputs.push(`${id.toUpperCase()} (${ageSeconds}s)`);
+                    return;
+                }
+                formula.inputStates[id] = value;
+                formula.lockedInputs[id] = (snapshot.lockedInputs || {})[id] === true;
+                formula.inputTimes = { ...formula.inputTimes, [id]: receivedAt };
+                restoredInputs.push(id.toUpperCase());
+            });
+
+            if (expiredInputs.length > 0) {
+                this.logger.info(`⏳ Saved inputs for '${formula.name}' are too old (max ${formula.persistMaxAge}s) - not restored: ${expiredInputs.join(', ')}`);
+            }
+            if (restoredInputs.length === 0) return;
+
+            // The result and timeout state only hold if every saved input is still valid
+            if (expiredInputs.length === 0) {
+                // A result the device already knows (e.g. a latch) wins over the snapshot
+                if (typeof formula.result !== 'boolean' && typeof snapshot.result === 'boolean') {
+                    formula.result = snapshot.result;
+                }
+                formula.timedOut = snapshot.timedOut === true;
+                formula.lastInputTime = snapshot.lastInputTime || null;
+            }
+            formula.restored = true;
+            restored++;
+
+            this.logger.info(`♻️ Restored state for '${formula.name}' (inputs ${restoredInputs.join(', ')})`);
+        });
+
+        return restored;
+    }
+
+    /**
+     * Save soon (several input changes in a row are written once)
+     */
+    scheduleSave() {
+        this.dirty = true;
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(e => this.logger.error('Failed to save formula states', e));
+        }, this.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write a snapshot of every persisted formula (formulas without persist are pruned)
+     */
+    async save() {
+        if (this.device._isDeleting) return;
+
+        this.dirty = false;
+        const now = Date.now();
+        const snapshots = {};
+        (this.device.formulas || [])
+            .filter(formula => formula.persist)
+            .forEach(formula => {
+                snapshots[formula.id] = {
+                    inputStates: { ...formula.inputStates },
+                    lockedInputs: { ...formula.lockedInputs },
+                    inputTimes: { ...formula.inputTimes },
+                    result: typeof formula.result === 'boolean' ? formula.result : null,
+                    timedOut: formula.timedOut === true,
+                    lastInputTime: formula.lastInputTime || null,
+                    savedAt: now
+                };
+            });
+
+        // Nothing to save and nothing left to prune
+        if (Object.keys(snapshots).length === 0 && Object.keys(this.getSnapshots()).length === 0) {
+            return;
+        }
+
+        try {
+            await this.device.setStoreValue(FormulaStateStore.STORE_KEY, snapshots);
+        } catch (e) {
+            this.dirty = true; // Try again on the next heartbeat
+            throw e;
+        }
+    }
+
+    /**
+     * Start the heartbeat that retries a failed save (nothing is written if nothing changed)
+     */
+    start() {
+        this.stop();
+        this.heartbeat = setInterval(() => {
+            if (!this.dirty) return;
+            this.save().catch(e => this.logger.error('Failed to save formula states', e));
+        }, this.HEARTBEAT_MS);
+    }
+
+    /**
+     * Stop the heartbeat and drop a pending save
+     */
+    stop() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+}
+
+FormulaStateStore.STORE_KEY = 'formula_snapshots';
+FormulaStateStore.DEFAULT_MAX_AGE = 3600; // seconds
+
+module.exports = FormulaStateStore;
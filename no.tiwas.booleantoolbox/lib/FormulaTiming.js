@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * FormulaTiming - On-delay, off-delay and minimum on-time for formula results
+ *
+ * Purpose: Stop flapping inputs (e.g. motion sensors) from spamming flows, the
+ * way PLC timers (TON/TOF) do. The formula still evaluates on every input; only
+ * the published result (formula.result, alarm_generic, triggers) is held back.
+ * Used by Logic Units and Logic Devices for combinational formulas.
+ *
+ * Features:
+ * - onDelay: TRUE is published once the expression has been TRUE for onDelay seconds
+ * - offDelay: FALSE is published once the expression has been FALSE for offDelay seconds
+ * - minOnTime: a published TRUE stays TRUE for at least minOnTime seconds
+ * - A pending change is cancelled when the expression goes back before it is due,
+ *   or when it has no result (missing input, evaluation error)
+ * - The device re-evaluates formulas with a pending change every second (isPending)
+ */
+
+class FormulaTiming {
+    /**
+     * Timing options from a formula in the formulas setting (seconds, 0 = off)
+     * @param {Object} data - e.g. { "onDelay": 5, "offDelay": 30, "minOnTime": 10 }
+     * @returns {{onDelay: number, offDelay: number, minOnTime: number}}
+     */
+    static parseOptions(data) {
+        const seconds = value => {
+            const number = Number(value);
+            return isNaN(number) || number < 0 ? 0 : number;
+        };
+        return {
+            onDelay: seconds(data.onDelay),
+            offDelay: seconds(data.offDelay),
+            minOnTime: seconds(data.minOnTime)
+        };
+    }
+
+    /**
+     * Name of the first invalid timing option in a formula, or null
+     * @param {Object} data - A formula from the formulas setting
+     * @returns {string|null}
+     */
+    static findInvalidOption(data) {
+        return ['onDelay', 'offDelay', 'minOnTime'].find(key => {
+            if (data[key] === undefined || data[key] === null) return false;
+            const number = Number(data[key]);
+            return isNaN(number) || number < 0;
+        }) || null;
+    }
+
+    static hasTiming(formula) {
+        return formula.onDelay > 0 || formula.offDelay > 0 || formula.minOnTime > 0;
+    }
+
+    /**
+     * The result to publish for a new evaluation
+     * @param {Object} formula - The device's formula (formula.result = currently published result)
+     * @param {boolean} raw - What the expression evaluates to right now
+     * @param {number} [now] - Time in ms (defaults to Date.now())
+     * @returns {boolean} The new published result (formula.result if the change is still held back)
+     */
+    static apply(formula, raw, now = Date.now()) {
+        if (!formula.timing) formula.timing = { raw: null, rawSince: now, onSince: null };
+        const timing = formula.timing;
+
+        if (raw !== timing.raw) {
+            timing.raw = raw;
+            timing.rawSince = now;
+        }
+
+        const published = formula.result;
+        timing.pending = false;
+
+        // Nothing to hold back: no change, or the first known result (start-up)
+        if (raw === published) return published;
+        if (typeof published !== 'boolean' || !FormulaTiming.hasTiming(formula)) {
+            return FormulaTiming.publish(timing, raw, now);
+        }
+
+        const due = raw
+            ? timing.rawSince + formula.onDelay * 1000
+            : Math.max(
+                timing.rawSince + formula.offDelay * 1000,
+                (timing.onSince || 0) + formula.minOnTime * 1000
+            );
+
+        if (now >= due) return FormulaTiming.publish(timing, raw, now);
+
+        timing.pending = true;
+        return published;
+    }
+
+    /**
+     * Drop a pending change because the expression has no result right now.
+     * Delays start over once it has one again; minOnTime still counts from the last TRUE.
+     * @param {Object} formula - The device's formula
+     * @param {number} [now] - Time in ms (defaults to Date.now())
+     */
+    static cancel(formula, now = Date.now()) {
+        if (!formula.timing) return;
+        formula.timing = { raw: null, rawSince: now, onSince: formula.timing.onSince, pending: false };
+    }
+
+    static publish(timing, value, now) {
+        if (value === true) timing.onSince = now;
+        return value;
+    }
+
+    /**
+     * True while a change is held back (the device should re-evaluate the formula)
+     */
+    static isPending(formula) {
+        return !!(formula.timing && formula.timing.pending);
+    }
+}
+
+module.exports = FormulaTiming;
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * LinkAggregate - Combine several devices into one Logic Device input
+ *
+ * Purpose: One input letter can follow a list of devices ("any of these motion
+ * sensors", "all doors closed") instead of a single capability. Each device is
+ * converted to true/false as usual; the aggregate mode combines them.
+ *
+ * Features:
+ * - aggregate "any": TRUE if at least one device is TRUE
+ * - aggregate "all": TRUE if every device is TRUE
+ * - aggregate "count>=N": TRUE if at least N devices are TRUE
+ * - Devices without a value count as unknown: the result is only unknown when it
+ *   can't be decided from the devices that have reported
+ * - invert: negate the input (works for single links too)
+ */
+
+const UNKNOWN = 'undefined';
+
+class LinkAggregate {
+    /**
+     * Parse an aggregate mode
+     * @param {string} [aggregate] - "any" (default), "all" or "count>=N"
+     * @returns {{type: string, count: number}|null} null if the mode is invalid
+     */
+    static parseMode(aggregate) {
+        const mode = aggregate === undefined ? 'any' : String(aggregate).trim().toLowerCase();
+        if (mode === 'any' || mode === 'all') {
+            return { type: mode, count: 0 };
+        }
+        const match = mode.match(/^count\s*>=\s*(\d+)$/);
+        if (match && Number(match[1]) >= 1) {
+            return { type: 'count', count: Number(match[1]) };
+        }
+        return null;
+    }
+
+    /**
+     * Combine the converted values of all devices in a link
+     * @param {Array<boolean|string>} values - true/false, or 'undefined' for no value yet
+     * @param {{type: string, count: number}} mode - From parseMode()
+     * @returns {boolean|string} true/false, or 'undefined' if it can't be decided yet
+     */
+    static combine(values, mode) {
+        const trueCount = values.filter(v => v === true).length;
+        const unknownCount = values.filter(v => typeof v !== 'boolean').length;
+
+        let needed;
+        if (mode.type === 'all') needed = values.length;
+        else if (mode.type === 'count') needed = mode.count;
+        else needed = 1;
+
+        if (trueCount >= needed) return true;
+        if (trueCount + unknownCount < needed) return false;
+        return UNKNOWN;
+    }
+
+    /**
+     * Negate a boolean input value (unknown and raw numbers are left as they are)
+     */
+    static invert(value) {
+        return typeof value === 'boolean' ? !value : value;
+    }
+}
+
+module.exports = LinkAggregate;
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * LinkWatchdog - Singleton that watches the Homey device list and API connection
+ *
+ * Purpose: Logic Device inputs listen to other devices through capability
+ * instances. When a linked device is deleted and re-paired, or the API
+ * connection drops, those listeners die silently. The watchdog tells Logic
+ * Devices about it so they can re-resolve their links and re-subscribe.
+ * Zone links also use it to follow devices that are added to or moved into a zone.
+ *
+ * Features:
+ * - One subscription to device.create / device.update / device.delete for the whole app
+ * - Connection state: 'disconnected' when the API socket drops, 'reconnected' when it is back
+ * - Subscribers get (reason, apiDevice), reason: added|updated|removed|disconnected|reconnected
+ */
+
+class LinkWatchdog {
+    constructor(homey, logger) {
+        if (LinkWatchdog.instance) {
+            return LinkWatchdog.instance;
+        }
+
+        this.homey = homey;
+        this.logger = logger;
+        this.subscribers = new Set();
+        this.api = null;
+        this.connected = null;
+        this.handlers = null;
+
+        LinkWatchdog.instance = this;
+        this.logger.info('🔧 LinkWatchdog initialized');
+    }
+
+    /**
+     * Start listening to the device manager (call once the API is available)
+     * @param {Object} api - HomeyAPI instance (this.homey.app.api)
+     */
+    async start(api) {
+        if (this.api || !api) return;
+        this.api = api;
+
+        this.handlers = {
+            'device.create': device => this.notify('added', device),
+            'device.update': device => this.notify('updated', device),
+            'device.delete': device => this.notify('removed', device),
+            connect: () => {
+                // The first connect is the normal start-up, not a reconnect
+                const wasDisconnected = this.connected === false;
+                this.connected = true;
+                if (wasDisconnected) {
+                    this.logger.info('🔌 Device API reconnected - re-subscribing links');
+                    this.notify('reconnected', null);
+                }
+            },
+            disconnect: () => {
+                this.connected = false;
+                this.logger.warn('🔌 Device API disconnected');
+                this.notify('disconnected', null);
+            }
+        };
+        Object.entries(this.handlers).forEach(([event, handler]) => api.devices.on(event, handler));
+
+        try {
+            await api.devices.connect();
+            this.connected = true;
+        } catch (e) {
+            this.connected = false;
+            this.logger.error('LinkWatchdog could not connect to device events', e);
+        }
+    }
+
+    /**
+     * Subscribe to device list and connection changes
+     * @param {Function} listener - async (reason, apiDevice) => {}
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.subscribers.add(listener);
+        return () => this.subscribers.delete(listener);
+    }
+
+    async notify(reason, device) {
+        for (const listener of [...this.subscribers]) {
+            try {
+                await listener(reason, device);
+            } catch (e) {
+                this.logger.error('LinkWatchdog subscriber failed', e);
+            }
+        }
+    }
+
+    destroy() {
+        if (this.api && this.handlers) {
+            Object.entries(this.handlers).forEach(([event, handler]) =>
+                this.api.devices.removeListener(event, handler)
+            );
+        }
+        this.api = null;
+        this.handlers = null;
+        this.subscribers.clear();
+        LinkWatchdog.instance = null;
+    }
+}
+
+// Singleton instance
+LinkWatchdog.instance = null;
+
+module.exports = LinkWatchdog;
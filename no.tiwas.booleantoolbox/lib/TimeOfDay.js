@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * TimeOfDay - Local time and sun position for formulas, computed offline
+ *
+ * Purpose: Give formulas NIGHT, DAYLIGHT, WEEKDAY, WEEKEND and TIME_BETWEEN()
+ * without a sensor or an internet service. Sunrise and sunset are computed
+ * from the Homey location with the standard sunrise equation (NOAA), which is
+ * accurate to about a minute.
+ *
+ * Features:
+ * - Sunrise/sunset for the solar day nearest to a moment, including polar day and night
+ * - Local minutes since midnight and weekday in the Homey time zone
+ * - A clock snapshot in the format FormulaEvaluator expects (context.clock)
+ * - One shared instance per location/time zone, with sun times cached per solar day
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440587.5; // Julian date of the Unix epoch
+const J2000 = 2451545.0;
+const RAD = Math.PI / 180;
+
+class TimeOfDay {
+    /**
+     * @param {Object} options
+     * @param {number} [options.latitude] - Degrees, north positive
+     * @param {number} [options.longitude] - Degrees, east positive
+     * @param {string} [options.timeZone] - IANA time zone, e.g. 'Europe/Oslo'
+     */
+    constructor({ latitude, longitude, timeZone } = {}) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+        this.timeZone = timeZone || undefined;
+        this.sunCache = null;
+        this.formatter = null;
+    }
+
+    /**
+     * Shared instance for a location and time zone (the clock is read every second)
+     * @param {Object} options - Same as the constructor
+     * @returns {TimeOfDay}
+     */
+    static forLocation({ latitude, longitude, timeZone } = {}) {
+        const key = `${latitude}|${longitude}|${timeZone}`;
+        let instance = TimeOfDay.instances.get(key);
+        if (!instance) {
+            // Homey has one location - old entries are only left after it changes
+            TimeOfDay.instances.clear();
+            instance = new TimeOfDay({ latitude, longitude, timeZone });
+            TimeOfDay.instances.set(key, instance);
+        }
+        return instance;
+    }
+
+    /**
+     * Number of the solar day (mean solar noon) nearest to a moment
+     */
+    static solarDay(now, longitude) {
+        const julianDate = now / DAY_MS + J1970;
+        return Math.round(julianDate - J2000 - 0.0008 + longitude / 360);
+    }
+
+    hasLocation() {
+        return Number.isFinite(this.latitude) && Number.isFinite(this.longitude) &&
+            Math.abs(this.latitude) <= 90 && Math.abs(this.longitude) <= 180;
+    }
+
+    /**
+     * Sunrise and sunset for the solar day nearest to a moment
+     * @param {number} now - Time in ms
+     * @param {number} latitude - Degrees, north positive
+     * @param {number} longitude - Degrees, east positive
+     * @returns {{sunrise: number|null, sunset: number|null, polar: string|null}}
+     *   Times in ms; polar is 'day' (sun never sets) or 'night' (sun never rises)
+     */
+    static sunTimes(now, latitude, longitude) {
+        // Mean solar noon nearest to now
+        const cycle = TimeOfDay.solarDay(now, longitude);
+        const meanNoon = cycle + 0.0008 - longitude / 360;
+
+        const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+        const center = 1.9148 * Math.sin(anomaly * RAD) +
+            0.0200 * Math.sin(2 * anomaly * RAD) +
+            0.0003 * Math.sin(3 * anomaly * RAD);
+        const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+        const transit = J2000 + meanNoon +
+            0.0053 * Math.sin(anomaly * RAD) -
+            0.0069 * Math.sin(2 * eclipticLongitude * RAD);
+
+        const declination = Math.asin(Math.sin(eclipticLongitude * RAD) * Math.sin(23.4397 * RAD));
+        // -0.833° = refraction plus the sun's radius
+        const cosHourAngle = (Math.sin(-0.833 * RAD) - Math.sin(latitude * RAD) * Math.sin(declination)) /
+            (Math.cos(latitude * RAD) * Math.cos(declination));
+
+        if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+        if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+
+        const hourAngle = Math.acos(cosHourAngle) / RAD;
+        const toMs = julian => Math.round((julian - J1970) * DAY_MS);
+        return {
+            sunrise: toMs(transit - hourAngle / 360),
+            sunset: toMs(transit + hourAngle / 360),
+            polar: null
+        };
+    }
+
+    /**
+     * Sunrise and sunset at this location, computed once per solar day
+     * @param {number} now - Time in ms
+     */
+    getSunTimes(now) {
+        const day = TimeOfDay.solarDay(now, this.longitude);
+        if (!this.sunCache || this.sunCache.day !== day) {
+            this.sunCache = { day, sun: TimeOfDay.sunTimes(now, this.latitude, this.longitude) };
+        }
+        return this.sunCache.sun;
+    }
+
+    /**
+     * Local minutes since midnight and weekday (0 = Sunday) in the configured time zone
+     * @param {number} now - Time in ms
+     * @returns {{minutes: number, weekday: number}}
+     */
+    localTime(now) {
+        if (!this.formatter) {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                hour: 'numeric',
+                minute: 'numeric',
+                weekday: 'short'
+            });
+        }
+        const parts = {};
+        this.formatter.formatToParts(new Date(now)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        return {
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+        };
+    }
+
+    /**
+     * Clock values for FormulaEvaluator (context.clock)
+     * @param {number} [now] - Time in ms (defaults to Date.now())
+     * @returns {{minutes: number, weekday: number, NIGHT: boolean|null, DAYLIGHT: boolean|null,
+     *   WEEKDAY: boolean, WEEKEND: boolean, sunrise: number|null, sunset: number|null}}
+     *   NIGHT/DAYLIGHT are null without a location
+     */
+    getClock(now = Date.now()) {
+        const { minutes, weekday } = this.localTime(now);
+        const weekend = weekday === 0 || weekday === 6;
+
+        let daylight = null;
+        let sun = { sunrise: null, sunset: null };
+        if (this.hasLocation()) {
+            sun = this.getSunTimes(now);
+            daylight = sun.polar
+                ? sun.polar === 'day'
+                : now >= sun.sunrise && now < sun.sunset;
+        }
+
+        return {
+            minutes,
+            weekday,
+            NIGHT: daylight === null ? null : !daylight,
+            DAYLIGHT: daylight,
+            WEEKDAY: !weekend,
+            WEEKEND: weekend,
+            sunrise: sun.sunrise,
+            sunset: sun.sunset
+        };
+    }
+}
+
+TimeOfDay.instances = new Map();
+
+module.exports = TimeOfDay;
@@ -1,5 +1,7 @@
 'use strict';
 
+const FormulaCache = require('./FormulaCache');
+
 /**
  * WaiterManager - Singleton class for managing async flow waiters
  *
@@ -10,6 +12,11 @@
  * - Wildcard pattern matching for bulk operations
  * - Flow lifecycle tracking and cleanup
  * - Memory-safe with configurable limits
+ * - Waiter definitions are saved to homey.settings and restored after an app restart
+ * - Expression waiters: a formula (A AND (B OR NOT C)) over several device capabilities
+ * - hold_for: the target must stay matched for a while before the waiter resolves YES
+ * - waiter_resolved trigger with value, elapsed time and reason, plus a ring buffer
+ *   of recent resolutions for diagnostics
  */
 
 class WaiterManager {
@@ -30,6 +37,14 @@ class WaiterManager {
         this.MAX_TIMEOUT_MS = 24 * 60 * 60 * 1000; // 24 hours
         this.MIN_TIMEOUT_MS = 100; // 100ms
         this.WARNING_THRESHOLD = 50;
+        this.SETTINGS_KEY = 'persisted_waiters';
+        this.MAX_RECENT_RESOLUTIONS = 50;
+
+        // Ring buffer of recent resolutions (oldest first)
+        this.recentResolutions = [];
+
+        // Waiter expressions share the compiled ASTs with Logic Units and Logic Devices
+        this.formulaCache = new FormulaCache();
 
         // Cleanup interval
         this.cleanupInterval = setInterval(() => {
@@ -72,6 +87,22 @@ class WaiterManager {
         return value * (multipliers[unit] || 1000); // Default to seconds
     }
 
+    /**
+     * Check that hold_for can finish before the timeout
+     * A hold as long as the timeout would always end on the NO-output.
+     *
+     * @param {number} holdForMs - Hold duration in ms (0 = none)
+     * @param {object} config - Configuration { timeoutValue, timeoutUnit }
+     * @throws {Error} if a timeout is set and the hold is not shorter
+     */
+    validateHoldFor(holdForMs, config) {
+        if (!holdForMs || !config.timeoutValue) return;
+        const timeoutMs = this.validateTimeout(this.convertToMs(config.timeoutValue, config.timeoutUnit));
+        if (holdForMs >= timeoutMs) {
+            throw new Error(`Hold for (${holdForMs / 1000} s) must be shorter than the timeout (${timeoutMs / 1000} s)`);
+        }
+    }
+
     /**
      * Match waiter ID against pattern (supports wildcards)
      * Examples:
@@ -112,7 +143,8 @@ class WaiterManager {
      * @param {string} id - Waiter ID (auto-generated if not provided)
      * @param {object} config - Configuration { timeoutValue, timeoutUnit }
      * @param {object} flowContext - Flow execution context
-     * @param {object} deviceConfig - Device listening config { deviceId, capability, targetValue }
+     * @param {object} deviceConfig - Device listening config { deviceId, capability, targetValue, holdForMs },
+     *   or { expression, bindings } for an expression waiter (see resolveExpressionBindings)
      * @returns {Promise<string>} - Returns waiter ID
      */
     async createWaiter(id, config, flowContext, deviceConfig = null) {
@@ -126,6 +158,9 @@ class WaiterManager {
             id = this.generateWaiterId();
         }
 
+        // Parse the target once instead of on every capability change
+        const target = this.parseWaiterTarget(deviceConfig);
+
         // Check if waiter already exists with same flow
         const existing = this.waiters.get(id);
         if (existing && existing.flowId === flowContext.flowId) {
@@ -134,6 +169,9 @@ class WaiterManager {
             if (existing.timeoutHandle) {
                 clearTimeout(existing.timeoutHandle);
             }
+            if (existing.holdHandle) {
+                clearTimeout(existing.holdHandle);
+            }
             // Keep the resolver to trigger the same flow instance
         } else if (existing) {
             throw new Error(`Waiter ID "${id}" already exists for a different flow`);
@@ -152,34 +190,19 @@ class WaiterManager {
             flowToken: flowContext.flowToken,
             enabled: true,
             timeoutMs,
+            deadline: timeoutMs > 0 ? Date.now() + timeoutMs : 0,
             timeoutHandle: null,
+            holdHandle: null,       // Running hold_for timer while the target is matched
             resolver: null, // Will be set by the condition card
             config,
             deviceConfig,           // NEW: Store device listening info
+            target,                 // Parsed deviceConfig.targetValue (null for expression waiters)
             capabilityListener: null // NEW: Store listener reference
         };
 
         // Set timeout if specified
         if (timeoutMs > 0) {
-            waiterData.timeoutHandle = setTimeout(() => {
-                this.logger.warn(`⏰ Waiter "${id}" timed out after ${timeoutMs}ms`);
-
-                // Get waiter data before removing
-                const waiter = this.waiters.get(id);
-
-                // Resolve with false to trigger NO-output (red path)
-                if (waiter && waiter.resolver) {
-                    try {
-                        waiter.resolver(false);
-                        this.logger.info(`❌ Waiter "${id}" resolved to NO-output (timeout)`);
-                    } catch (error) {
-                        this.logger.error(`Failed to resolve waiter "${id}" on timeout:`, error);
-                    }
-                }
-
-                // Clean up
-                this.removeWaiter(id);
-            }, timeoutMs);
+            this.startTimeout(waiterData, timeoutMs);
         }
 
         // Store waiter
@@ -198,9 +221,121 @@ class WaiterManager {
 
         this.logger.info(`✅ Waiter created: ${id} (timeout: ${timeoutMs}ms, total: ${this.waiters.size})`);
 
+        this.saveWaiters();
+
         return id;
     }
 
+    /**
+     * Start the timeout that resolves a waiter to NO-output
+     * @param {object} waiterData - Waiter data
+     * @param {number} delayMs - Time left until the deadline
+     */
+    startTimeout(waiterData, delayMs) {
+        waiterData.timeoutHandle = setTimeout(() => {
+            this.logger.warn(`⏰ Waiter "${waiterData.id}" timed out after ${waiterData.timeoutMs}ms`);
+
+            // Resolve with false to trigger NO-output (red path)
+            this.resolveWaiter(waiterData.id, false, 'timeout');
+        }, delayMs);
+    }
+
+    /**
+     * Resolve a waiter and remove it
+     * Restored waiters have no resolver - their flow branch ended with the previous
+     * app instance - so they fire the waiter_lost trigger with the real reason instead.
+     *
+     * @param {string} id - Waiter ID
+     * @param {boolean} result - true = YES-output, false = NO-output
+     * @param {string} reason - Why the waiter resolved ('matched' or 'timeout')
+     * @returns {boolean} - false if the waiter no longer exists
+     */
+    resolveWaiter(id, result, reason) {
+        const waiter = this.waiters.get(id);
+        if (!waiter) return false;
+
+        const output = result ? 'YES' : 'NO';
+        if (waiter.resolver) {
+            try {
+                waiter.resolver(result);
+                this.logger.info(`${result ? '✅' : '❌'} Waiter "${id}" resolved to ${output}-output (${reason})`);
+            } catch (error) {
+                this.logger.error(`Failed to resolve waiter "${id}" (${reason}):`, error);
+            }
+        } else if (waiter.restored) {
+            this.logger.info(`${result ? '✅' : '❌'} Restored waiter "${id}" finished with ${output} (${reason})`);
+            this.triggerWaiterLost(waiter, reason, false);
+        }
+
+        this.removeWaiter(id);
+
+        this.reportResolution({
+            waiterId: id,
+            result,
+            value: waiter.lastValue,
+            elapsedMs: Date.now() - waiter.created,
+            // The branch of a restored waiter ended with the restart, so it reports 'resumed'
+            reason: waiter.restored ? 'resumed' : reason,
+            outcome: reason
+        });
+        return true;
+    }
+
+    /**
+     * Record a resolution and fire the waiter_resolved trigger
+     * Also called by the condition cards for 'matched_immediately' (no waiter is created then).
+     *
+     * @param {object} resolution - { waiterId, result, value, elapsedMs, reason, outcome }
+     *   reason: 'matched_immediately' | 'matched' | 'timeout' | 'resumed' (a waiter restored after an app restart)
+     *   outcome: 'matched_immediately' | 'matched' | 'timeout' (defaults to reason)
+     */
+    async reportResolution(resolution) {
+        const entry = this.recordResolution(resolution);
+
+        const tokens = {
+            waiter_id: entry.waiterId,
+            result: entry.result,
+            value: entry.value === undefined || entry.value === null ? '' : String(entry.value),
+            elapsed_ms: entry.elapsedMs,
+            reason: entry.reason,
+            outcome: entry.outcome
+        };
+        try {
+            await this.homey.flow.getTriggerCard('waiter_resolved').trigger(tokens, { waiter_id: entry.waiterId });
+        } catch (error) {
+            this.logger.error(`Failed to trigger waiter_resolved for "${entry.waiterId}":`, error);
+        }
+    }
+
+    /**
+     * Add a resolution to the ring buffer (drops the oldest when full)
+     * @returns {object} - The stored entry
+     */
+    recordResolution({ waiterId, result, value, elapsedMs = 0, reason, outcome = reason }) {
+        const entry = {
+            waiterId,
+            result: !!result,
+            value,
+            elapsedMs: Math.max(0, Math.round(elapsedMs)),
+            reason,
+            outcome,
+            resolvedAt: new Date().toISOString()
+        };
+
+        this.recentResolutions.push(entry);
+        if (this.recentResolutions.length > this.MAX_RECENT_RESOLUTIONS) {
+            this.recentResolutions.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * Get recent resolutions for diagnostics (newest first)
+     */
+    getRecentResolutions() {
+        return [...this.recentResolutions].reverse();
+    }
+
     /**
      * Enable or disable waiters matching a pattern
      *
@@ -222,6 +357,8 @@ class WaiterManager {
             affected++;
         }
 
+        this.saveWaiters();
+
         this.logger.info(`${enabled ? '✅' : '⏸️ '} ${enabled ? 'Enabled' : 'Disabled'} ${affected} waiter(s) matching "${idPattern}"`);
         return affected;
     }
@@ -245,11 +382,17 @@ class WaiterManager {
             if (waiterData.timeoutHandle) {
                 clearTimeout(waiterData.timeoutHandle);
             }
+            if (waiterData.holdHandle) {
+                clearTimeout(waiterData.holdHandle);
+            }
 
-            // Unregister capability listener
+            // Unregister capability listener(s)
+            const listeners = [...(waiterData.capabilityListeners || [])];
             if (waiterData.capabilityListener) {
+                listeners.push(waiterData.capabilityListener);
+            }
+            for (const { device, capability, listener } of listeners) {
                 try {
-                    const { device, capability, listener } = waiterData.capabilityListener;
                     device.removeListener(`capability.${capability}`, listener);
                     this.logger.debug(`🔇 Unregistered listener for ${id}`);
                 } catch (error) {
@@ -270,10 +413,158 @@ class WaiterManager {
             removed++;
         }
 
+        this.saveWaiters();
+
         this.logger.info(`🗑️  Removed ${removed} waiter(s) matching "${idPattern}"`);
         return removed;
     }
 
+    /**
+     * Save the definitions of all active waiters to homey.settings
+     * Only what is needed to re-register them is stored (no handles or resolvers).
+     */
+    saveWaiters() {
+        const definitions = [];
+        for (const waiter of this.waiters.values()) {
+            definitions.push({
+                id: waiter.id,
+                created: waiter.created,
+                deadline: waiter.deadline,
+                flowId: waiter.flowId,
+                enabled: waiter.enabled,
+                config: waiter.config,
+                deviceConfig: waiter.deviceConfig
+            });
+        }
+
+        try {
+            this.homey.settings.set(this.SETTINGS_KEY, definitions);
+        } catch (error) {
+            this.logger.error('Failed to save waiters to settings:', error);
+        }
+    }
+
+    /**
+     * Restore waiters saved by a previous app instance
+     * Their flow branches ended with the previous app instance, so every restored waiter
+     * ends in the waiter_lost trigger: at once if its deadline passed or its device is gone,
+     * otherwise when it matches or times out (its listeners are registered again).
+     *
+     * @param {object} api - Homey API instance
+     * @returns {Promise<number>} - Number of waiters that are listening again
+     */
+    async restoreWaiters(api) {
+        const saved = this.homey.settings.get(this.SETTINGS_KEY);
+        if (!Array.isArray(saved) || saved.length === 0) return 0;
+
+        this.logger.info(`♻️  Restoring ${saved.length} saved waiter(s)`);
+
+        let restored = 0;
+        for (const definition of saved) {
+            if (!definition || !definition.id || this.waiters.has(definition.id)) continue;
+
+            const now = Date.now();
+            if (definition.deadline > 0 && definition.deadline <= now) {
+                this.logger.warn(`⏰ Saved waiter "${definition.id}" expired during restart - resolving to NO`);
+                await this.triggerWaiterLost(definition, 'timeout');
+                continue;
+            }
+            if (!api || !definition.deviceConfig) {
+                await this.triggerWaiterLost(definition, 'device_unavailable');
+                continue;
+            }
+
+            let target;
+            try {
+                target = this.parseWaiterTarget(definition.deviceConfig);
+            } catch (error) {
+                this.logger.warn(`⚠️  Could not restore waiter "${definition.id}": ${error.message}`);
+                await this.triggerWaiterLost(definition, 'device_unavailable');
+                continue;
+            }
+
+            const waiterData = {
+                id: definition.id,
+                created: definition.created || now,
+                flowId: definition.flowId,
+                flowToken: null,
+                enabled: definition.enabled !== false,
+                timeoutMs: definition.deadline > 0 ? definition.deadline - (definition.created || now) : 0,
+                deadline: definition.deadline || 0,
+                timeoutHandle: null,
+                holdHandle: null,
+                resolver: null,
+                restored: true,
+                config: definition.config,
+                deviceConfig: definition.deviceConfig,
+                target,
+                capabilityListener: null
+            };
+
+            this.waiters.set(waiterData.id, waiterData);
+            if (!this.flowTracking.has(waiterData.flowId)) {
+                this.flowTracking.set(waiterData.flowId, new Set());
+            }
+            this.flowTracking.get(waiterData.flowId).add(waiterData.id);
+
+            try {
+                await this.registerCapabilityListener(waiterData.id, api);
+            } catch (error) {
+                this.logger.warn(`⚠️  Could not restore waiter "${waiterData.id}": ${error.message}`);
+                this.removeWaiter(waiterData.id);
+                await this.triggerWaiterLost(definition, 'device_unavailable');
+                continue;
+            }
+
+            if (waiterData.deadline > 0) {
+                this.startTimeout(waiterData, waiterData.deadline - now);
+            }
+            restored++;
+            this.logger.info(`♻️  Restored waiter "${waiterData.id}" - listening until it matches or times out`);
+
+            // The target may have been reached while the app was restarting
+            try {
+                if (waiterData.enabled && await this.matchesNow(waiterData.deviceConfig, api, {}, target)) {
+                    this.updateMatch(waiterData, true);
+                }
+            } catch (error) {
+                this.logger.debug(`Could not check current value for restored waiter "${waiterData.id}": ${error.message}`);
+            }
+        }
+
+        this.saveWaiters();
+        return restored;
+    }
+
+    /**
+     * Fire the waiter_lost trigger for a waiter whose flow branch ended with a restart
+     * @param {object} definition - Saved waiter definition (or restored waiter data)
+     * @param {string} reason - 'timeout', 'device_unavailable' or 'matched'
+     * @param {boolean} [record=true] - Add a 'lost_' entry to the recent resolutions
+     *   (resolveWaiter has already recorded restored waiters that finished)
+     */
+    async triggerWaiterLost(definition, reason, record = true) {
+        const tokens = {
+            waiter_id: definition.id,
+            reason,
+            flow_id: definition.flowId || ''
+        };
+        try {
+            if (record) {
+                this.recordResolution({
+                    waiterId: definition.id,
+                    result: false,
+                    elapsedMs: Date.now() - (definition.created || Date.now()),
+                    reason: `lost_${reason}`
+                });
+            }
+            await this.homey.flow.getTriggerCard('waiter_lost').trigger(tokens, { waiter_id: definition.id });
+            this.logger.info(`🪦 Waiter "${definition.id}" lost after restart (${reason})`);
+        } catch (error) {
+            this.logger.error(`Failed to trigger waiter_lost for "${definition.id}":`, error);
+        }
+    }
+
     /**
      * Register capability listener for a waiter
      * @param {string} waiterId - Waiter ID
@@ -283,7 +574,11 @@ class WaiterManager {
         const waiter = this.waiters.get(waiterId);
         if (!waiter || !waiter.deviceConfig) return;
 
-        const { deviceId, capability, targetValue } = waiter.deviceConfig;
+        if (waiter.deviceConfig.expression) {
+            return this.registerExpressionListeners(waiterId, homey);
+        }
+
+        const { deviceId, capability } = waiter.deviceConfig;
 
         try {
             // Get device from Homey API
@@ -292,24 +587,24 @@ class WaiterManager {
             // Register capability listener
             const listener = async (value) => {
                 this.logger.debug(`📡 Capability change: ${deviceId}.${capability} = ${value}`);
+                waiter.lastValue = value;
 
                 // Check if value matches target
-                if (this.valueMatches(value, targetValue)) {
+                const matched = this.valueMatches(value, waiter.target);
+                if (matched) {
                     this.logger.info(`✅ Target value reached for waiter: ${waiterId}`);
-
-                    // Trigger waiter (YES-output)
-                    if (waiter.resolver && waiter.enabled) {
-                        waiter.resolver(true);
-                        this.logger.info(`✅ Waiter "${waiterId}" resolved to YES-output (capability matched)`);
-                    }
-
-                    this.removeWaiter(waiterId);
                 }
+                this.updateMatch(waiter, matched);
             };
 
             // Register listener
             await device.makeCapabilityInstance(capability, listener);
 
+            // Starting value, reported as the final value if nothing changes before the timeout
+            if (waiter.lastValue === undefined) {
+                waiter.lastValue = device.capabilitiesObj?.[capability]?.value;
+            }
+
             // Store listener reference for cleanup
             waiter.capabilityListener = {
                 device,
@@ -325,21 +620,341 @@ class WaiterManager {
         }
     }
 
+    /**
+     * Register listeners for every capability bound in an expression waiter
+     * The expression is re-evaluated on each change and resolves YES once it is true.
+     * @param {string} waiterId - Waiter ID
+     * @param {object} homey - Homey API instance
+     */
+    async registerExpressionListeners(waiterId, homey) {
+        const waiter = this.waiters.get(waiterId);
+        const { expression, bindings } = waiter.deviceConfig;
+        this.compileExpression(expression, bindings);
+
+        const values = {};
+        waiter.capabilityListeners = [];
+
+        try {
+            for (const binding of bindings) {
+                const device = await homey.devices.getDevice({ id: binding.deviceId });
+                values[binding.input] = this.bindingValue(device.capabilitiesObj?.[binding.capability]?.value, binding.capability);
+
+                const listener = async (value) => {
+                    this.logger.debug(`📡 Capability change: ${binding.deviceId}.${binding.capability} = ${value} (${binding.input})`);
+                    values[binding.input] = this.bindingValue(value, binding.capability);
+                    waiter.lastValue = this.formatExpressionValues(bindings, values);
+
+                    if (!this.waiters.has(waiterId)) return;
+                    const matched = this.expressionResult(expression, values) === true;
+                    if (matched) {
+                        this.logger.info(`✅ Expression "${expression}" is true for waiter: ${waiterId}`);
+                    }
+                    this.updateMatch(waiter, matched);
+                };
+
+                await device.makeCapabilityInstance(binding.capability, listener);
+                waiter.capabilityListeners.push({ device, capability: binding.capability, listener });
+            }
+
+            waiter.lastValue = this.formatExpressionValues(bindings, values);
+            this.logger.debug(`📡 Registered ${bindings.length} listener(s) for expression "${expression}"`);
+
+        } catch (error) {
+            this.logger.error(`Failed to register expression listeners for ${waiterId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a new match state to a waiter
+     * Without hold_for the first match resolves YES. With hold_for the target must stay
+     * matched that long; a value that no longer matches restarts the hold. The overall
+     * timeout keeps running, so a hold that can't finish in time ends on the NO-output.
+     *
+     * @param {object} waiter - Waiter data
+     * @param {boolean} matched - Whether the target is matched right now
+     */
+    updateMatch(waiter, matched) {
+        const holdForMs = waiter.deviceConfig?.holdForMs || 0;
+
+        if (!matched) {
+            if (waiter.holdHandle) {
+                clearTimeout(waiter.holdHandle);
+                waiter.holdHandle = null;
+                this.logger.info(`↩️  Waiter "${waiter.id}" no longer matches - hold restarts on next match`);
+            }
+            return;
+        }
+
+        if (holdForMs <= 0) {
+            this.targetReached(waiter);
+            return;
+        }
+        if (waiter.holdHandle) return; // Already holding
+
+        this.logger.info(`⏳ Waiter "${waiter.id}" matched - holding for ${holdForMs}ms`);
+        waiter.holdHandle = setTimeout(() => {
+            waiter.holdHandle = null;
+            if (this.waiters.get(waiter.id) === waiter) {
+                this.targetReached(waiter);
+            }
+        }, holdForMs);
+    }
+
+    /**
+     * Target reached: resolve to YES-output, or just clean up if the waiter is disabled
+     */
+    targetReached(waiter) {
+        if (waiter.enabled) {
+            this.resolveWaiter(waiter.id, true, 'matched');
+        } else {
+            this.removeWaiter(waiter.id);
+        }
+    }
+
+    /**
+     * Parse the bindings of an expression waiter
+     * Format: "A = Garage door.alarm_contact; B = Hallway.alarm_motion" (separated by ; or new lines)
+     *
+     * @param {string} text - Bindings as entered on the flow card
+     * @returns {Array<{input: string, reference: string}>} - reference is "Device name.capability"
+     */
+    parseExpressionBindings(text) {
+        const bindings = [];
+        for (const part of String(text || '').split(/[;\n]/)) {
+            if (!part.trim()) continue;
+
+            const match = part.match(/^\s*([A-Ja-j])\s*=\s*(.+?)\s*$/);
+            if (!match) {
+                throw new Error(`Invalid binding "${part.trim()}" (expected e.g. A = Garage door.alarm_contact)`);
+            }
+            const input = match[1].toUpperCase();
+            if (bindings.some(b => b.input === input)) {
+                throw new Error(`Input ${input} is bound more than once`);
+            }
+            bindings.push({ input, reference: match[2] });
+        }
+
+        if (bindings.length === 0) {
+            throw new Error('No bindings given (expected e.g. A = Garage door.alarm_contact)');
+        }
+        return bindings;
+    }
+
+    /**
+     * Resolve expression bindings to device IDs
+     * Device names and sub-capabilities may contain dots, so every dot is tried as
+     * the split point until a device with that name and capability is found.
+     *
+     * @param {string} text - Bindings as entered on the flow card
+     * @param {object} homey - Homey API instance
+     * @returns {Promise<Array<{input, deviceId, deviceName, capability}>>}
+     */
+    async resolveExpressionBindings(text, homey) {
+        const bindings = this.parseExpressionBindings(text);
+        const devices = Object.values(await homey.devices.getDevices());
+
+        return bindings.map(({ input, reference }) => {
+            for (let dot = reference.indexOf('.'); dot !== -1; dot = reference.indexOf('.', dot + 1)) {
+                const name = reference.slice(0, dot).trim().toLowerCase();
+                const capability = reference.slice(dot + 1).trim();
+                const device = devices.find(d =>
+                    String(d.name).trim().toLowerCase() === name && (d.capabilities || []).includes(capability)
+                );
+                if (device) {
+                    return { input, deviceId: device.id, deviceName: device.name, capability };
+                }
+            }
+            throw new Error(`Binding ${input}: no device capability matches "${reference}" (use Device name.capability)`);
+        });
+    }
+
+    /**
+     * Compile a waiter expression (via FormulaCache) and check it only uses bound inputs
+     * Time-based operators need a device timer, so they are not supported here.
+     *
+     * @param {string} expression - e.g. "A AND (B OR NOT C)"
+     * @param {Array<{input: string}>} bindings - Resolved bindings
+     * @returns {object} - The cache entry ({ast, variables, temporal, clock})
+     */
+    compileExpression(expression, bindings) {
+        const entry = this.formulaCache.compile(expression);
+        this.formulaCache.evaluator.assertKnownVariables(entry.ast, name => bindings.some(b => b.input === name));
+        if (entry.temporal || entry.clock) {
+            throw new Error('Time-based operators (FOR, WITHIN, RISE, FALL, NIGHT, TIME_BETWEEN, ...) are not supported in waiter expressions');
+        }
+        return entry;
+    }
+
+    /**
+     * Convert a bound capability value the way Logic Device links do (convertToBoolean)
+     * Numbers are kept for comparisons like A > 21.5; a missing value stays unknown.
+     *
+     * @param {any} value - Capability value
+     * @param {string} capability - Capability ID
+     * @returns {boolean|number|undefined}
+     */
+    bindingValue(value, capability) {
+        if (value === undefined || value === null) return undefined;
+        if (typeof value === 'boolean') return value;
+        if (capability.startsWith('alarm_') || capability === 'onoff') return !!value;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+        if (typeof value === 'string') {
+            return ['true', '1', 'on', 'yes'].includes(value.toLowerCase());
+        }
+        return !!value;
+    }
+
+    /**
+     * Describe the bound values of an expression waiter, e.g. "A=true, B=21.5"
+     */
+    formatExpressionValues(bindings, values) {
+        return bindings.map(b => `${b.input}=${values[b.input] === undefined ? '?' : values[b.input]}`).join(', ');
+    }
+
+    /**
+     * Evaluate an expression with three-valued logic, using its cached AST
+     * @returns {boolean|null} - null while a bound capability has no (usable) value
+     */
+    expressionResult(expression, values) {
+        try {
+            return this.formulaCache.evaluateKleene(expression, values);
+        } catch (error) {
+            this.logger.debug(`Expression could not be evaluated yet: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a waiter's target is already reached
+     * @param {object} deviceConfig - Single capability or expression config
+     * @param {object} homey - Homey API instance
+     * @param {object} [details] - Receives the current value as details.value
+     * @param {object} [target] - Parsed target (parsed from deviceConfig.targetValue if not given)
+     * @returns {Promise<boolean>}
+     */
+    async matchesNow(deviceConfig, homey, details = {}, target = null) {
+        if (deviceConfig.expression) {
+            this.compileExpression(deviceConfig.expression, deviceConfig.bindings);
+            const values = {};
+            for (const binding of deviceConfig.bindings) {
+                const device = await homey.devices.getDevice({ id: binding.deviceId });
+                values[binding.input] = this.bindingValue(device.capabilitiesObj?.[binding.capability]?.value, binding.capability);
+            }
+            details.value = this.formatExpressionValues(deviceConfig.bindings, values);
+            return this.expressionResult(deviceConfig.expression, values) === true;
+        }
+
+        const device = await homey.devices.getDevice({ id: deviceConfig.deviceId });
+        details.value = device.capabilitiesObj?.[deviceConfig.capability]?.value;
+        return this.valueMatches(details.value, target || this.parseTarget(deviceConfig.targetValue));
+    }
+
     /**
      * Check if actual value matches target value
      * @param {any} actual - Actual value from device
-     * @param {string} target - Target value from user (as string)
+     * @param {object} parsed - Target from parseTarget()
      * @returns {boolean}
      */
-    valueMatches(actual, target) {
-        // Convert target string to appropriate type
-        let targetTyped = target;
+    valueMatches(actual, parsed) {
+        const isNumber = typeof actual === 'number' && Number.isFinite(actual);
+
+        switch (parsed.type) {
+            case 'compare':
+                if (!isNumber) return false;
+                switch (parsed.operator) {
+                    case '>=': return actual >= parsed.value;
+                    case '>': return actual > parsed.value;
+                    case '<=': return actual <= parsed.value;
+                    default: return actual < parsed.value;
+                }
+            case 'range':
+                return isNumber && actual >= parsed.min && actual <= parsed.max;
+            case 'in':
+                return parsed.values.some(value => value === actual);
+            case 'tolerance':
+                // Small margin so ~0.5±0.05 accepts 0.55 despite floating point rounding
+                return isNumber && Math.abs(actual - parsed.value) <= parsed.tolerance + 1e-9;
+            default:
+                return actual === parsed.value;
+        }
+    }
+
+    /**
+     * Parse the target of a single capability waiter
+     * @param {object} deviceConfig - Device listening config
+     * @returns {object|null} - Parsed target, or null for expression waiters
+     * @throws {Error} if the target is invalid (see parseTarget)
+     */
+    parseWaiterTarget(deviceConfig) {
+        if (!deviceConfig || deviceConfig.expression) return null;
+        return this.parseTarget(deviceConfig.targetValue);
+    }
 
-        if (target === 'true') targetTyped = true;
-        else if (target === 'false') targetTyped = false;
-        else if (!isNaN(target)) targetTyped = Number(target);
+    /**
+     * Parse a target value from the flow card
+     * Grammar:
+     *   >=20, >20, <=5, <5          numeric comparison
+     *   between 18 and 22           numeric range (inclusive, either order)
+     *   in (open, opening)          one of several values
+     *   ~0.5±0.05 (or ~0.5+-0.05)   number within a tolerance
+     *   anything else               equal to the value (true/false/numbers are converted)
+     *
+     * @param {string} target - Target value from user
+     * @returns {object} - { type: 'compare'|'range'|'in'|'tolerance'|'equals', ... }
+     * @throws {Error} if a comparison, range or tolerance has no valid number
+     */
+    parseTarget(target) {
+        const text = String(target ?? '').trim();
+        const number = (value) => {
+            const trimmed = String(value).trim();
+            const num = Number(trimmed);
+            if (trimmed === '' || !Number.isFinite(num)) {
+                throw new Error(`Invalid number "${trimmed}" in target "${text}"`);
+            }
+            return num;
+        };
 
-        return actual === targetTyped;
+        let match = text.match(/^(>=|<=|>|<)\s*(.*)$/);
+        if (match) {
+            return { type: 'compare', operator: match[1], value: number(match[2]) };
+        }
+
+        match = text.match(/^between\s+(.+?)\s+and\s+(.+)$/i);
+        if (match) {
+            const low = number(match[1]);
+            const high = number(match[2]);
+            return { type: 'range', min: Math.min(low, high), max: Math.max(low, high) };
+        }
+
+        match = text.match(/^in\s*\((.*)\)$/i);
+        if (match) {
+            const values = match[1].split(',')
+                .map(value => value.trim())
+                .filter(value => value !== '')
+                .map(value => this.typedValue(value));
+            if (values.length === 0) {
+                throw new Error(`Empty value list in target "${text}"`);
+            }
+            return { type: 'in', values };
+        }
+
+        match = text.match(/^~\s*(.+?)\s*(?:±|\+\/-|\+-)\s*(.+)$/);
+        if (match) {
+            return { type: 'tolerance', value: number(match[1]), tolerance: Math.abs(number(match[2])) };
+        }
+
+        return { type: 'equals', value: this.typedValue(target) };
+    }
+
+    /**
+     * Convert a target string to the type a capability would report
+     */
+    typedValue(target) {
+        if (target === 'true') return true;
+        if (target === 'false') return false;
+        if (!isNaN(target)) return Number(target);
+        return target;
     }
 
     /**
@@ -487,9 +1102,12 @@ class WaiterManager {
             if (data.timeoutHandle) {
                 clearTimeout(data.timeoutHandle);
             }
+            if (data.holdHandle) {
+                clearTimeout(data.holdHandle);
+            }
         }
 
-        // Clear all waiters
+        // Clear all waiters (saved definitions are kept for restoreWaiters() on next start)
         this.waiters.clear();
         this.flowTracking.clear();
 